@@ -0,0 +1,104 @@
+import "dotenv/config";
+import { promises as fs } from "node:fs";
+import { parseArgs } from "node:util";
+import { backtestWorkflow } from "../mastra/workflows/backtestWorkflow";
+
+const USAGE = `Usage: npm run backtest -- [options]
+
+  --source <snapshots|recordings>  History to replay (default: snapshots)
+  --dir <path>                     Recordings directory (default: FOOTBALL_RECORD_DIR)
+  --from <date>                    Start of the period, ISO date/time
+  --to <date>                      End of the period (exclusive)
+  --window <5|10|15|HT|FT>         Verification window (default: GOAL_VERIFY_WINDOW)
+  --candidates <file.json>         JSON array of { name, thresholds?, formula? }
+  --no-current                     Do not include the current settings as a reference
+  --json                           Print the raw results as JSON
+`;
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      source: { type: "string", default: "snapshots" },
+      dir: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      window: { type: "string" },
+      candidates: { type: "string" },
+      "no-current": { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const candidates = values.candidates
+    ? JSON.parse(await fs.readFile(values.candidates, "utf8"))
+    : [];
+
+  const run = await backtestWorkflow.createRunAsync();
+  const result = await run.start({
+    inputData: {
+      source: values.source as "snapshots" | "recordings",
+      dir: values.dir,
+      from: values.from,
+      to: values.to,
+      window: values.window,
+      includeCurrent: !values["no-current"],
+      candidates,
+    },
+  });
+
+  if (result.status !== "success") {
+    console.error(
+      "❌ Backtest failed",
+      result.status === "failed" ? result.error : result.status,
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const output = result.result;
+  if (values.json) {
+    console.log(JSON.stringify(output, null, 2));
+    return;
+  }
+
+  console.log(
+    `📊 Backtest over ${output.fixtures} fixtures (window: ${output.window})\n`,
+  );
+  console.table(
+    output.results.map((entry) => ({
+      candidate: entry.candidate,
+      total: entry.thresholds.thresholdTotal,
+      diff: entry.thresholds.thresholdDiff,
+      corners10: entry.thresholds.escanteios10min,
+      shots: entry.thresholds.shotsMin,
+      formula: `v${entry.formulaVersion} ${entry.formulaName}`,
+      alerts: entry.alerts,
+      settled: entry.settled,
+      hits: entry.hits,
+      "hit %": entry.hitRate,
+      "per match": entry.alertsPerMatch,
+      "per day": entry.alertsPerDay,
+      "median min to goal": entry.minutesToGoal?.median ?? "-",
+    })),
+  );
+
+  for (const entry of output.results) {
+    console.log(`\n⏱️ ${entry.candidate}: alerts (hits) by match period`);
+    console.log(
+      entry.timing
+        .map((period) => `${period.period}: ${period.alerts} (${period.hits})`)
+        .join("  "),
+    );
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Backtest failed", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,47 @@
+import "dotenv/config";
+import { parseArgs } from "node:util";
+import TelegramBot from "node-telegram-bot-api";
+
+const WEBHOOK_PATH = "/webhooks/telegram/action";
+
+const USAGE = `Usage: npm run telegram:webhook -- --url <base url>
+
+Registers <base url>${WEBHOOK_PATH} as the bot's webhook, with
+TELEGRAM_WEBHOOK_SECRET as the secret token Telegram sends on every update.
+
+  --url <base url>  Public URL of the deployment, e.g. https://bot.example.com
+`;
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      url: { type: "string" },
+      help: { type: "boolean", default: false },
+    },
+  });
+
+  if (values.help || !values.url) {
+    console.log(USAGE);
+    if (!values.help) process.exitCode = 1;
+    return;
+  }
+
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!token || !secret) {
+    console.error(
+      "❌ TELEGRAM_BOT_TOKEN and TELEGRAM_WEBHOOK_SECRET must be configured",
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const url = `${values.url.replace(/\/+$/, "")}${WEBHOOK_PATH}`;
+  await new TelegramBot(token).setWebHook(url, { secret_token: secret });
+  console.log(`✅ Telegram webhook set to ${url}`);
+}
+
+main().catch((error) => {
+  console.error("❌ Could not set the Telegram webhook", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,19 @@
+import { openai } from "@ai-sdk/openai";
+import { Agent } from "@mastra/core/agent";
+
+// Rewords alert messages only. It has no tools and no memory, so a rewording
+// call can never send messages, store alerts or change thresholds.
+export const alertCopywriterAgent = new Agent({
+  name: "Alert Copywriter Agent",
+
+  instructions: `
+You rewrite football goal alerts for Telegram.
+
+- Keep every number, team name, league name and the fixture ID exactly as they are
+- Keep the HTML tags and entities; do not add new tags, and write any other "<", ">" or "&" as &lt;, &gt; or &amp;
+- Do not add new facts, predictions or advice
+- Reply with the message text only
+`,
+
+  model: openai("gpt-4o"),
+});
@@ -10,6 +10,13 @@ import { storeAlert } from "../tools/storeAlert";
 import { verifyGoalOutcomes } from "../tools/verifyGoalOutcomes";
 import { performDailyAnalysis } from "../tools/performDailyAnalysis";
 import { getCurrentThresholds } from "../tools/getCurrentThresholds";
+import { trainGoalModel } from "../tools/trainGoalModel";
+import { getThresholdHistory } from "../tools/getThresholdHistory";
+import { rollbackThresholds } from "../tools/rollbackThresholds";
+import { updateThresholds } from "../tools/updateThresholds";
+import { updateStateThresholds } from "../tools/updateStateThresholds";
+import { updateSubscriber } from "../tools/updateSubscriber";
+import { savePressureFormula } from "../tools/savePressureFormula";
 
 export const footballMonitorAgent = new Agent({
   name: "Football Monitor Agent",
@@ -27,15 +34,21 @@ You are an adaptive learning football match monitoring agent. Your role is to:
 
 3. **Alert Criteria**: Send an alert when:
    - Total pressure >= current threshold_total OR
-   - Pressure difference >= current threshold_diff AND shots on goal >= 2 OR
+   - Pressure difference >= current threshold_diff AND shots on goal >= shots_min OR
    - Corners in last period >= escanteios_10min threshold
+   - Only when ALERT_MIN_TIER is "medium": total pressure >= 70% of threshold_total (a below-threshold alert, sent only to chats that chose the medium tier)
+   - Each alert carries a goal-probability tier: high (a pressure rule fired), medium (total pressure from 70% of threshold_total) or low, plus a corner-race flag
+   - Thresholds form a hierarchy: a team row within the fixture's league (the stricter one when both teams have a row), else the league row, else the global thresholds
+   - The thresholds depend on the game state: a threshold set for the minute band, score margin (level, one goal, two or more) and red cards (even or uneven) overrides the values of the thresholds row it belongs to (global, league or team), and only applies to fixtures using that row; per-minute sets compare pressure per match minute instead of match totals
+   - The side with the higher pressure is stored as the pressing team; verification records whether that team scored the next goal
 
 4. **Daily Analysis**: Evaluate your own performance by:
    - Calculating accuracy rate (goals confirmed / alerts sent)
-   - Recommending threshold adjustments:
-     * If accuracy > 85%: Decrease thresholds by 5% (be more aggressive)
-     * If accuracy < 50% and alerts >= 3: Increase thresholds by 5% (be more conservative)
-     * If accuracy 50-85%: Keep thresholds unchanged
+   - Reporting the threshold optimizer's proposal: it searches threshold_total, threshold_diff, escanteios_10min and shots_min on stored match history and applies a new set only when it is significantly better on held-out matches
+   - Leagues with enough stored fixtures are tuned on their own matches; the others stay on the global thresholds
+   - Every threshold change, including state threshold sets, is versioned; use getThresholdHistory to compare versions
+   - Only use updateThresholds, updateStateThresholds or rollbackThresholds when an operator explicitly asks for it
+   - Pressure formulas are versioned weights per stat key; only use savePressureFormula when an operator explicitly asks for a new formula, and only activate it when asked to
 
 5. **Communication**: Format Telegram messages clearly with:
    - Match info (teams, score, minute)
@@ -43,6 +56,8 @@ You are an adaptive learning football match monitoring agent. Your role is to:
    - Probability assessment
    - Actionable recommendations
    - Daily reports with performance stats
+   - Messages reach every active subscriber; alerts only reach subscribers whose leagues, alert tiers, minimum probability and quiet hours match
+   - Only use updateSubscriber when an operator explicitly asks to add a chat or change its preferences
 
 Always be data-driven and transparent about your reasoning. Your goal is to continuously improve prediction accuracy through adaptive learning.
 `,
@@ -58,6 +73,13 @@ Always be data-driven and transparent about your reasoning. Your goal is to cont
     verifyGoalOutcomes,
     performDailyAnalysis,
     getCurrentThresholds,
+    trainGoalModel,
+    getThresholdHistory,
+    rollbackThresholds,
+    updateThresholds,
+    updateStateThresholds,
+    updateSubscriber,
+    savePressureFormula,
   },
 
   memory: new Memory({
@@ -0,0 +1,194 @@
+import { pressureRates } from "./gameState";
+
+export type AlertThresholds = {
+  thresholdTotal: number;
+  thresholdDiff: number;
+  escanteios10min: number;
+  // Minimum combined shots on goal for the pressure-difference rule
+  shotsMin?: number;
+  // When set and a model probability is available, replaces the raw threshold rules
+  minProbability?: number | null;
+  // thresholdTotal and thresholdDiff are pressure per match minute instead of match totals
+  perMinute?: boolean;
+  // Lowest tier that fires an alert on pressure alone (default: high)
+  minTier?: AlertTier;
+};
+
+export type AlertMetrics = {
+  // Match minute, needed by per-minute thresholds
+  minute?: number;
+  pressTotal: number;
+  pressDiff: number;
+  // Per-side pressure, used to name the pressing team; optional for callers without it
+  pressHome?: number;
+  pressAway?: number;
+  shotsHome: number;
+  shotsAway: number;
+  cornersHome: number;
+  cornersAway: number;
+  // Corners in the last 10 minutes; null when no snapshot history is available
+  recentCorners: number | null;
+  // Goal probability from the active model; null when no model is active
+  probability?: number | null;
+};
+
+export type AlertReason =
+  "press_total" | "press_diff" | "press_near" | "corners" | "probability";
+
+// Next-goal likelihood, as the original bot's "Alta" / "Média" / "Baixa"
+export const ALERT_TIERS = ["high", "medium", "low"] as const;
+
+export type AlertTier = (typeof ALERT_TIERS)[number];
+
+export type PressingSide = "home" | "away";
+
+export type AlertDecision = {
+  shouldAlert: boolean;
+  reasons: AlertReason[];
+  tier: AlertTier;
+  // Corners in the last 10 minutes reached escanteios10min
+  cornerRace: boolean;
+  // Side with the higher pressure; null when level or per-side pressure is unknown
+  pressingSide: PressingSide | null;
+  shotsOnGoal: number;
+  corners: number;
+  recentCorners: number | null;
+  // Fired only on the medium tier (no rule reached its threshold); delivered
+  // only to chats that ask for medium alerts
+  belowThreshold: boolean;
+};
+
+// Default minimum combined shots on goal before the pressure-difference rule can fire
+export const MIN_SHOTS_FOR_DIFF_RULE = 2;
+
+// Share of the high-tier threshold where the medium tier starts
+export const MEDIUM_TIER_RATIO = 0.7;
+
+/**
+ * The lowest tier that fires an alert, from ALERT_MIN_TIER: "high" (default;
+ * the original bot only sent "Alta") or "medium" to also fire from
+ * MEDIUM_TIER_RATIO of the total-pressure threshold for chats that opt in.
+ */
+export function getAlertMinTier(): AlertTier {
+  return process.env.ALERT_MIN_TIER === "medium" ? "medium" : "high";
+}
+
+/** The total pressure at which a fixture starts firing alerts. */
+export function firingLevel(
+  threshold: number,
+  minTier: AlertTier = "high",
+): number {
+  return minTier === "high" ? threshold : threshold * MEDIUM_TIER_RATIO;
+}
+
+/**
+ * The pressure total and difference the thresholds are compared with: match
+ * totals, or per-minute rates for per-minute thresholds.
+ */
+export function comparedPressure(
+  metrics: { pressTotal: number; pressDiff: number; minute?: number },
+  thresholds: Pick<AlertThresholds, "perMinute">,
+): { total: number; diff: number } {
+  if (!thresholds.perMinute) {
+    return { total: metrics.pressTotal, diff: metrics.pressDiff };
+  }
+  const rates = pressureRates(metrics, metrics.minute ?? 0);
+  return { total: rates.pressTotalRate, diff: rates.pressDiffRate };
+}
+
+/**
+ * Applies the alert rules to a fixture's pressure metrics.
+ * Any single rule is enough to fire; every rule that matched is reported.
+ * With a model probability and a minimum probability configured, only the
+ * probability rule is used.
+ *
+ * The tier is high when a pressure (or probability) rule fired, medium from
+ * MEDIUM_TIER_RATIO of the total-pressure (or minimum-probability) threshold
+ * and low below it. With `minTier` "medium", a medium pressure tier fires a
+ * below-threshold alert ("press_near"); the probability rule never fires
+ * below the minimum probability. The corner rule only sets the corner-race
+ * flag, so an alert fired by corners alone carries the tier of its pressure.
+ */
+export function evaluateAlert(
+  metrics: AlertMetrics,
+  thresholds: AlertThresholds,
+): AlertDecision {
+  const shotsOnGoal = metrics.shotsHome + metrics.shotsAway;
+  const corners = metrics.cornersHome + metrics.cornersAway;
+  const reasons: AlertReason[] = [];
+  const minTier = thresholds.minTier ?? "high";
+
+  const probability = metrics.probability ?? null;
+  const minProbability = thresholds.minProbability ?? null;
+  const cornerRace =
+    metrics.recentCorners !== null &&
+    metrics.recentCorners >= thresholds.escanteios10min;
+  const pressingSide = pressingSideFor(metrics);
+
+  if (probability !== null && minProbability !== null) {
+    const fired = probability >= minProbability;
+    if (fired) reasons.push("probability");
+    return {
+      shouldAlert: fired,
+      reasons,
+      tier: tierFor(fired, probability, minProbability),
+      cornerRace,
+      pressingSide,
+      shotsOnGoal,
+      corners,
+      recentCorners: metrics.recentCorners,
+      belowThreshold: false,
+    };
+  }
+
+  const pressure = comparedPressure(metrics, thresholds);
+
+  if (pressure.total >= thresholds.thresholdTotal) {
+    reasons.push("press_total");
+  }
+
+  if (
+    pressure.diff >= thresholds.thresholdDiff &&
+    shotsOnGoal >= (thresholds.shotsMin ?? MIN_SHOTS_FOR_DIFF_RULE)
+  ) {
+    reasons.push("press_diff");
+  }
+
+  const tier = tierFor(
+    reasons.length > 0,
+    pressure.total,
+    thresholds.thresholdTotal,
+  );
+  if (tier === "medium" && minTier === "medium") {
+    reasons.push("press_near");
+  }
+
+  if (cornerRace) {
+    reasons.push("corners");
+  }
+
+  return {
+    shouldAlert: reasons.length > 0,
+    reasons,
+    tier,
+    cornerRace,
+    pressingSide,
+    shotsOnGoal,
+    corners,
+    recentCorners: metrics.recentCorners,
+    belowThreshold: reasons.length === 1 && reasons[0] === "press_near",
+  };
+}
+
+function tierFor(fired: boolean, value: number, threshold: number): AlertTier {
+  if (fired) return "high";
+  return value >= threshold * MEDIUM_TIER_RATIO ? "medium" : "low";
+}
+
+function pressingSideFor(metrics: AlertMetrics): PressingSide | null {
+  if (metrics.pressHome === undefined || metrics.pressAway === undefined) {
+    return null;
+  }
+  if (metrics.pressHome === metrics.pressAway) return null;
+  return metrics.pressHome > metrics.pressAway ? "home" : "away";
+}
@@ -0,0 +1,325 @@
+import axios, { type AxiosResponse } from "axios";
+import pg from "pg";
+import { readNumberEnv } from "./config";
+import { recordResponse } from "./recorder";
+
+export const API_FOOTBALL_BASE_URL = "https://v3.football.api-sports.io";
+
+const REQUEST_TIMEOUT_MS = 15000;
+const QUOTA_PERSIST_INTERVAL_MS = 30 * 1000;
+// A longer Retry-After would hold the monitoring cycle past its next run
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+export type QueryParams = Record<string, string | number>;
+
+export type QuotaState = {
+  dailyLimit: number | null;
+  dailyRemaining: number | null;
+  minuteLimit: number | null;
+  minuteRemaining: number | null;
+  updatedAt: string | null;
+};
+
+export class ApiFootballError extends Error {
+  constructor(
+    message: string,
+    public readonly status?: number,
+    public readonly retryable: boolean = false,
+  ) {
+    super(message);
+    this.name = "ApiFootballError";
+  }
+}
+
+export type Logger = {
+  info: (message: string, args?: Record<string, any>) => void;
+  warn: (message: string, args?: Record<string, any>) => void;
+};
+
+type CacheEntry = { expiresAt: number; data: any };
+
+const cache = new Map<string, CacheEntry>();
+
+const quota: QuotaState = {
+  dailyLimit: null,
+  dailyRemaining: null,
+  minuteLimit: null,
+  minuteRemaining: null,
+  updatedAt: null,
+};
+
+let quotaLoaded = false;
+let lastQuotaPersist = 0;
+
+export function requestKey(path: string, params: QueryParams): string {
+  const query = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join("&");
+  return `${path}?${query}`;
+}
+
+function readHeaderNumber(
+  headers: AxiosResponse["headers"],
+  name: string,
+): number | null {
+  const raw = headers[name.toLowerCase()];
+  if (raw === undefined || raw === null) return null;
+  const value = parseInt(String(raw), 10);
+  return Number.isFinite(value) ? value : null;
+}
+
+function isSameUtcDay(a: Date, b: Date): boolean {
+  return a.toISOString().slice(0, 10) === b.toISOString().slice(0, 10);
+}
+
+function updateQuota(headers: AxiosResponse["headers"]): void {
+  const dailyLimit = readHeaderNumber(headers, "x-ratelimit-requests-limit");
+  const dailyRemaining = readHeaderNumber(
+    headers,
+    "x-ratelimit-requests-remaining",
+  );
+  const minuteLimit = readHeaderNumber(headers, "x-ratelimit-limit");
+  const minuteRemaining = readHeaderNumber(headers, "x-ratelimit-remaining");
+
+  if (dailyLimit !== null) quota.dailyLimit = dailyLimit;
+  if (dailyRemaining !== null) quota.dailyRemaining = dailyRemaining;
+  if (minuteLimit !== null) quota.minuteLimit = minuteLimit;
+  if (minuteRemaining !== null) quota.minuteRemaining = minuteRemaining;
+  quota.updatedAt = new Date().toISOString();
+}
+
+async function loadQuota(logger?: Logger): Promise<void> {
+  if (quotaLoaded) return;
+  quotaLoaded = true;
+
+  const connectionString = process.env.DATABASE_URL;
+  if (!connectionString) return;
+
+  const client = new pg.Client({ connectionString });
+  try {
+    await client.connect();
+    const result = await client.query(`
+      SELECT daily_limit, daily_remaining, minute_limit, minute_remaining, updated_at
+      FROM football_api_quota
+      WHERE id = 1
+    `);
+
+    const row = result.rows[0];
+    // The daily plan resets at 00:00 UTC, so yesterday's counters are stale
+    if (!row || !row.updated_at || !isSameUtcDay(row.updated_at, new Date())) {
+      return;
+    }
+
+    quota.dailyLimit = row.daily_limit;
+    quota.dailyRemaining = row.daily_remaining;
+    quota.minuteLimit = row.minute_limit;
+    quota.minuteRemaining = row.minute_remaining;
+    quota.updatedAt = row.updated_at.toISOString();
+  } catch (error: any) {
+    logger?.warn("⚠️ [apiFootball] Could not load persisted quota", {
+      error: error.message,
+    });
+  } finally {
+    await client.end();
+  }
+}
+
+async function persistQuota(logger?: Logger): Promise<void> {
+  const connectionString = process.env.DATABASE_URL;
+  if (!connectionString) return;
+  if (Date.now() - lastQuotaPersist < QUOTA_PERSIST_INTERVAL_MS) return;
+  lastQuotaPersist = Date.now();
+
+  const client = new pg.Client({ connectionString });
+  try {
+    await client.connect();
+    await client.query(
+      `
+        INSERT INTO football_api_quota
+        (id, daily_limit, daily_remaining, minute_limit, minute_remaining, updated_at)
+        VALUES (1, $1, $2, $3, $4, NOW())
+        ON CONFLICT (id) DO UPDATE
+        SET daily_limit = EXCLUDED.daily_limit,
+            daily_remaining = EXCLUDED.daily_remaining,
+            minute_limit = EXCLUDED.minute_limit,
+            minute_remaining = EXCLUDED.minute_remaining,
+            updated_at = EXCLUDED.updated_at
+      `,
+      [
+        quota.dailyLimit,
+        quota.dailyRemaining,
+        quota.minuteLimit,
+        quota.minuteRemaining,
+      ],
+    );
+  } catch (error: any) {
+    logger?.warn("⚠️ [apiFootball] Could not persist quota", {
+      error: error.message,
+    });
+  } finally {
+    await client.end();
+  }
+}
+
+export function getQuotaState(): QuotaState {
+  return { ...quota };
+}
+
+/**
+ * Number of requests the current monitoring cycle may spend. The remaining
+ * daily quota (minus a reserve) is spread evenly over the minutes left in the
+ * UTC day, and never exceeds what is left of the per-minute limit.
+ */
+export async function getCycleRequestBudget(logger?: Logger): Promise<number> {
+  await loadQuota(logger);
+
+  const reserve = readNumberEnv("API_FOOTBALL_DAILY_RESERVE", 50);
+  let budget = Number.POSITIVE_INFINITY;
+
+  if (quota.dailyRemaining !== null) {
+    const now = new Date();
+    const minutesLeft =
+      24 * 60 - (now.getUTCHours() * 60 + now.getUTCMinutes());
+    budget = Math.floor(
+      Math.max(0, quota.dailyRemaining - reserve) / Math.max(1, minutesLeft),
+    );
+    // Spare daily quota is still usable one request at a time
+    if (budget === 0 && quota.dailyRemaining > reserve) budget = 1;
+  }
+
+  if (quota.minuteRemaining !== null) {
+    budget = Math.min(budget, quota.minuteRemaining);
+  }
+
+  return budget;
+}
+
+function isRetryable(error: any): boolean {
+  if (error instanceof ApiFootballError) return error.retryable;
+  const status = error.response?.status;
+  if (status !== undefined) {
+    return status === 429 || status === 408 || status >= 500;
+  }
+  // No response: only network failures (timeouts, resets, DNS) are retried,
+  // not errors thrown while building the request or handling the response
+  return error.code !== undefined || error.request !== undefined;
+}
+
+function retryDelayMs(error: any, attempt: number): number {
+  const retryAfter = parseInt(error.response?.headers?.["retry-after"], 10);
+  if (Number.isFinite(retryAfter)) {
+    return Math.min(Math.max(retryAfter, 0) * 1000, MAX_RETRY_DELAY_MS);
+  }
+  return 500 * 2 ** attempt + Math.floor(Math.random() * 250);
+}
+
+/**
+ * Caches a response, first dropping expired entries when the cache is full
+ * and then the oldest ones, so keys that are never read again (finished
+ * fixtures) do not accumulate.
+ */
+function cacheResponse(key: string, data: any, ttlMs: number): void {
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    const now = Date.now();
+    for (const [cachedKey, entry] of cache) {
+      if (entry.expiresAt <= now) cache.delete(cachedKey);
+    }
+    for (const cachedKey of cache.keys()) {
+      if (cache.size < MAX_CACHE_ENTRIES) break;
+      cache.delete(cachedKey);
+    }
+  }
+  cache.set(key, { expiresAt: Date.now() + ttlMs, data });
+}
+
+function checkApiErrors(data: any): void {
+  const errors = data?.errors;
+  const hasErrors = Array.isArray(errors)
+    ? errors.length > 0
+    : errors && Object.keys(errors).length > 0;
+  if (!hasErrors) return;
+
+  // API-Football reports quota problems as HTTP 200 with an `errors` object
+  const rateLimited = !Array.isArray(errors) && "rateLimit" in errors;
+  throw new ApiFootballError(
+    `API-Football error: ${JSON.stringify(errors)}`,
+    200,
+    rateLimited,
+  );
+}
+
+/**
+ * Performs a GET request against API-Football, sharing authentication,
+ * retries with exponential backoff, quota tracking and a short-lived
+ * in-memory cache between all the tools.
+ */
+export async function apiFootballGet(
+  path: string,
+  params: QueryParams = {},
+  options: { cacheTtlMs?: number; logger?: Logger } = {},
+): Promise<any> {
+  const { cacheTtlMs = 0, logger } = options;
+
+  const apiKey = process.env.API_FOOTBALL_KEY;
+  if (!apiKey) {
+    throw new ApiFootballError("API_FOOTBALL_KEY not configured");
+  }
+
+  const key = requestKey(path, params);
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    logger?.info("💾 [apiFootball] Cache hit", { key });
+    return cached.data;
+  }
+  if (cached) cache.delete(key);
+
+  await loadQuota(logger);
+
+  const maxRetries = readNumberEnv("API_FOOTBALL_MAX_RETRIES", 3);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      logger?.info("📡 [apiFootball] Calling API-Football", {
+        key,
+        attempt,
+      });
+
+      const response = await axios.get(`${API_FOOTBALL_BASE_URL}${path}`, {
+        params,
+        headers: { "x-apisports-key": apiKey },
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+
+      updateQuota(response.headers);
+      void persistQuota(logger);
+      checkApiErrors(response.data);
+      recordResponse(path, params, response.data, logger);
+
+      if (cacheTtlMs > 0) cacheResponse(key, response.data, cacheTtlMs);
+
+      return response.data;
+    } catch (error: any) {
+      if (error.response?.headers) updateQuota(error.response.headers);
+
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        if (error instanceof ApiFootballError) throw error;
+        throw new ApiFootballError(
+          error.message || "API-Football request failed",
+          error.response?.status,
+        );
+      }
+
+      const delay = retryDelayMs(error, attempt);
+      logger?.warn("⚠️ [apiFootball] Request failed, retrying", {
+        key,
+        attempt,
+        delay,
+        status: error.response?.status,
+        error: error.message,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
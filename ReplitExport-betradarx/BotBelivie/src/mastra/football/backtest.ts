@@ -0,0 +1,584 @@
+import type { RuntimeContext } from "@mastra/core/runtime-context";
+import type pg from "pg";
+import { calculatePressure } from "../tools/calculatePressure";
+import {
+  evaluateAlert,
+  getAlertMinTier,
+  type AlertReason,
+  type AlertThresholds,
+} from "./alertRules";
+import type { Logger } from "./apiFootball";
+import {
+  decideCooldown,
+  type CooldownConfig,
+  type PreviousAlert,
+} from "./cooldown";
+import {
+  extractValidGoals,
+  judgeAlert,
+  type GoalEvent,
+  type Verdict,
+  type VerificationWindow,
+} from "./goalVerification";
+import { readGameState, type GameState } from "./gameState";
+import {
+  goalsFromScoreProgression,
+  TIMING_PERIODS,
+  timingPeriod,
+} from "./matchTimeline";
+import {
+  DEFAULT_PRESSURE_FORMULA,
+  loadPressureFormulaOrDefault,
+  type PressureFormula,
+} from "./pressureFormula";
+import {
+  LIVE_LIST_STALE_MS,
+  readRecordings,
+  responseItems,
+} from "./replayProvider";
+import { selectWindowBaselines, type TotalsAtMinute } from "./snapshots";
+import { extractMatchStats } from "./statistics";
+import {
+  DEFAULT_THRESHOLDS,
+  GLOBAL_SCOPE,
+  listScopedThresholds,
+  listStateThresholdSets,
+  thresholdsForFixture,
+  thresholdsForState,
+  type ScopedThresholds,
+  type StateThresholdSet,
+  type ThresholdScope,
+  type ThresholdValues,
+} from "./thresholds";
+
+// Same window the monitor reads recent corners from
+const CORNER_WINDOW = 10;
+
+/** One polling cycle's view of a fixture: its clock, score and raw statistics. */
+export type BacktestFrame = {
+  minute: number;
+  // API-Football status short code ("1H", "HT", "2H", ...)
+  status: string;
+  goalsHome: number;
+  goalsAway: number;
+  stats: any[];
+};
+
+export type BacktestFixture = {
+  fixtureId: number;
+  // API-Football league ID; null when the source did not record it
+  leagueId: number | null;
+  homeTeamId: number | null;
+  awayTeamId: number | null;
+  // UTC day (YYYY-MM-DD) of the first frame
+  date: string;
+  frames: BacktestFrame[];
+  // Standing goals, chronological
+  goals: GoalEvent[];
+  // Last known status, used to decide whether an alert's window has passed
+  finalStatus: { short: string; elapsed: number };
+};
+
+/**
+ * The league, team and game-state thresholds that override a candidate's
+ * thresholds, as the monitor applies them. `scope` is the row the candidate
+ * stands for (global unless set), which selects its game-state sets.
+ */
+export type ThresholdOverrides = {
+  scoped: ScopedThresholds[];
+  stateSets: StateThresholdSet[];
+  scope?: ThresholdScope;
+};
+
+export const NO_OVERRIDES: ThresholdOverrides = { scoped: [], stateSets: [] };
+
+export type BacktestCandidate = {
+  name: string;
+  thresholds: ThresholdValues;
+  overrides: ThresholdOverrides;
+  formula: PressureFormula;
+};
+
+export type BacktestResult = {
+  candidate: string;
+  thresholds: ThresholdValues;
+  formulaVersion: number;
+  formulaName: string;
+  fixtures: number;
+  days: number;
+  fixturesWithAlerts: number;
+  alerts: number;
+  suppressed: number;
+  settled: number;
+  hits: number;
+  // Percentage of settled alerts followed by a goal inside the window
+  hitRate: number;
+  alertsPerMatch: number;
+  alertsPerDay: number;
+  reasons: Record<AlertReason, number>;
+  timing: { period: string; alerts: number; hits: number }[];
+  minutesToGoal: { mean: number; median: number } | null;
+};
+
+type FrameSource = { time: number; fixture: any };
+
+function round2(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Loads fixtures from stored stats snapshots captured between `from` and
+ * `to`. Snapshots without raw statistics cannot be re-evaluated and are
+ * skipped.
+ */
+export async function loadSnapshotFixtures(
+  client: pg.Client,
+  range: { from?: string; to?: string } = {},
+): Promise<BacktestFixture[]> {
+  const result = await client.query(
+    `
+      SELECT fixture_id, league_id, minute, status, goals_home, goals_away, statistics, captured_at
+      FROM football_stats_snapshots
+      WHERE statistics IS NOT NULL
+        AND ($1::timestamptz IS NULL OR captured_at >= $1)
+        AND ($2::timestamptz IS NULL OR captured_at < $2)
+      ORDER BY fixture_id, captured_at ASC
+    `,
+    [range.from ?? null, range.to ?? null],
+  );
+
+  const byFixture = new Map<number, any[]>();
+  for (const row of result.rows) {
+    const rows = byFixture.get(row.fixture_id) ?? [];
+    rows.push(row);
+    byFixture.set(row.fixture_id, rows);
+  }
+
+  return [...byFixture.entries()].map(([fixtureId, rows]) => {
+    const frames = rows.map((row) => ({
+      minute: row.minute,
+      status: row.status ?? "",
+      goalsHome: row.goals_home,
+      goalsAway: row.goals_away,
+      stats: Array.isArray(row.statistics) ? row.statistics : [],
+    }));
+    const last = rows[rows.length - 1];
+    // Statistics responses list the home team first
+    const teams = frames.find((frame) => frame.stats.length >= 2)?.stats;
+
+    return {
+      fixtureId,
+      leagueId: rows.find((row) => row.league_id !== null)?.league_id ?? null,
+      homeTeamId: teams?.[0]?.team?.id ?? null,
+      awayTeamId: teams?.[1]?.team?.id ?? null,
+      date: rows[0].captured_at.toISOString().slice(0, 10),
+      frames,
+      goals: goalsFromScoreProgression(frames),
+      finalStatus: { short: last.status ?? "", elapsed: last.minute },
+    };
+  });
+}
+
+/**
+ * Loads fixtures from recorded API-Football responses (see the recorder).
+ * Each recorded statistics response becomes a frame, timed by the latest
+ * live fixtures list recorded before it. Goals come from recorded events
+ * when available, otherwise from the score progression.
+ */
+export async function loadRecordedFixtures(
+  dir: string,
+  range: { from?: string; to?: string } = {},
+): Promise<BacktestFixture[]> {
+  const from = range.from ? Date.parse(range.from) : Number.NEGATIVE_INFINITY;
+  const to = range.to ? Date.parse(range.to) : Number.POSITIVE_INFINITY;
+
+  const sightings = new Map<number, FrameSource[]>();
+  const statistics: { time: number; fixtureId: number; stats: any[] }[] = [];
+  const events = new Map<number, any[]>();
+
+  const recordings = (await readRecordings(dir))
+    .map((entry) => ({ ...entry, time: Date.parse(entry.ts) }))
+    .filter((entry) => entry.time >= from && entry.time < to)
+    .sort((a, b) => a.time - b.time);
+
+  for (const entry of recordings) {
+    const items = responseItems(entry.response);
+    const params = entry.params || {};
+
+    if (entry.path === "/fixtures") {
+      for (const fixture of items) {
+        const fixtureId = fixture.fixture?.id;
+        if (!fixtureId) continue;
+        const list = sightings.get(fixtureId) ?? [];
+        list.push({ time: entry.time, fixture });
+        sightings.set(fixtureId, list);
+      }
+    } else if (entry.path === "/fixtures/statistics" && params.fixture) {
+      statistics.push({
+        time: entry.time,
+        fixtureId: Number(params.fixture),
+        stats: items,
+      });
+    } else if (entry.path === "/fixtures/events" && params.fixture) {
+      events.set(Number(params.fixture), items);
+    }
+  }
+
+  const frames = new Map<number, BacktestFrame[]>();
+  const firstSeen = new Map<number, number>();
+  for (const { time, fixtureId, stats } of statistics) {
+    let seen: FrameSource | null = null;
+    for (const sighting of sightings.get(fixtureId) ?? []) {
+      if (sighting.time > time) break;
+      seen = sighting;
+    }
+    if (!seen || time - seen.time > LIVE_LIST_STALE_MS) continue;
+
+    const list = frames.get(fixtureId) ?? [];
+    list.push({
+      minute: seen.fixture.fixture?.status?.elapsed ?? 0,
+      status: seen.fixture.fixture?.status?.short ?? "",
+      goalsHome: seen.fixture.goals?.home ?? 0,
+      goalsAway: seen.fixture.goals?.away ?? 0,
+      stats,
+    });
+    frames.set(fixtureId, list);
+    if (!firstSeen.has(fixtureId)) firstSeen.set(fixtureId, time);
+  }
+
+  return [...frames.entries()].map(([fixtureId, fixtureFrames]) => {
+    const fixtureSightings = sightings.get(fixtureId) ?? [];
+    const last = fixtureSightings[fixtureSightings.length - 1].fixture;
+    const recordedEvents = events.get(fixtureId) ?? last.events;
+
+    return {
+      fixtureId,
+      leagueId: last.league?.id ?? null,
+      homeTeamId: last.teams?.home?.id ?? null,
+      awayTeamId: last.teams?.away?.id ?? null,
+      date: new Date(firstSeen.get(fixtureId)!).toISOString().slice(0, 10),
+      frames: fixtureFrames,
+      goals: recordedEvents
+        ? extractValidGoals(recordedEvents)
+        : goalsFromScoreProgression(fixtureFrames),
+      finalStatus: {
+        short: last.fixture?.status?.short ?? "",
+        elapsed: last.fixture?.status?.elapsed ?? 0,
+      },
+    };
+  });
+}
+
+/**
+ * The thresholds and pressure formula currently in effect, or the defaults
+ * when no database is available: the global row plus the league, team and
+ * game-state rows the monitor applies over it, and the formula it scores
+ * with (the default one when the active formula cannot be loaded).
+ * Candidates are described relative to it.
+ */
+export async function loadCurrentCandidate(
+  client: pg.Client | null,
+  logger?: Logger,
+): Promise<BacktestCandidate> {
+  if (!client) {
+    return {
+      name: "current",
+      thresholds: DEFAULT_THRESHOLDS,
+      overrides: NO_OVERRIDES,
+      formula: DEFAULT_PRESSURE_FORMULA,
+    };
+  }
+
+  const result = await client.query(`
+    SELECT threshold_total, threshold_diff, escanteios_10min, shots_min
+    FROM football_thresholds
+    WHERE id = 1
+  `);
+  const row = result.rows[0];
+
+  return {
+    name: "current",
+    thresholds: row
+      ? {
+          thresholdTotal: parseFloat(row.threshold_total),
+          thresholdDiff: parseFloat(row.threshold_diff),
+          escanteios10min: parseInt(row.escanteios_10min, 10),
+          shotsMin: parseInt(row.shots_min, 10),
+        }
+      : DEFAULT_THRESHOLDS,
+    overrides: {
+      scoped: await listScopedThresholds(client),
+      stateSets: await listStateThresholdSets(client),
+    },
+    formula: await loadPressureFormulaOrDefault(client, logger),
+  };
+}
+
+/**
+ * The game state at a frame. Red cards come from the statistics, since
+ * stored frames keep no events.
+ */
+function frameState(frame: BacktestFrame): GameState {
+  const { home, away } = extractMatchStats(frame.stats);
+  return {
+    ...readGameState({
+      fixture: { status: { elapsed: frame.minute, short: frame.status } },
+      goals: { home: frame.goalsHome, away: frame.goalsAway },
+    }),
+    redCardsHome: home.redCards,
+    redCardsAway: away.redCards,
+    manpower: home.redCards === away.redCards ? "even" : "uneven",
+  };
+}
+
+/** A frame's pressure metrics and what an alert fired there would have scored. */
+export type EvaluatedFrame = {
+  minute: number;
+  pressTotal: number;
+  pressDiff: number;
+  shotsHome: number;
+  shotsAway: number;
+  cornersHome: number;
+  cornersAway: number;
+  recentCorners: number | null;
+  state: GameState;
+  verdict: Verdict;
+};
+
+export type EvaluatedFixture = {
+  fixtureId: number;
+  leagueId: number | null;
+  homeTeamId: number | null;
+  awayTeamId: number | null;
+  date: string;
+  frames: EvaluatedFrame[];
+};
+
+export type BacktestScore = Omit<
+  BacktestResult,
+  "candidate" | "thresholds" | "formulaVersion" | "formulaName"
+>;
+
+/**
+ * Replays every fixture's frames through `calculatePressure` exactly as a
+ * monitoring cycle would, and judges an alert at each frame against the
+ * fixture's goals. Nothing here depends on the thresholds, so one
+ * evaluation can be scored against any number of threshold sets.
+ */
+export async function evaluateFixtures(
+  fixtures: BacktestFixture[],
+  formula: PressureFormula,
+  options: { window: VerificationWindow; runtimeContext: RuntimeContext },
+): Promise<EvaluatedFixture[]> {
+  const evaluated: EvaluatedFixture[] = [];
+
+  for (const fixture of fixtures) {
+    const history = new Map<number, TotalsAtMinute>();
+    const frames: EvaluatedFrame[] = [];
+
+    for (const frame of fixture.frames) {
+      if (frame.stats.length < 2) continue;
+
+      const baselines = selectWindowBaselines(
+        [...history.values()]
+          .filter((entry) => entry.minute < frame.minute)
+          .sort((a, b) => a.minute - b.minute),
+        frame.minute,
+      );
+
+      const pressure = await calculatePressure.execute!({
+        context: { stats: frame.stats, baselines, formula },
+        runtimeContext: options.runtimeContext,
+      });
+      if (!pressure.success) continue;
+
+      history.set(frame.minute, {
+        minute: frame.minute,
+        attacksHome: pressure.attacksHome,
+        attacksAway: pressure.attacksAway,
+        shotsHome: pressure.shotsHome,
+        shotsAway: pressure.shotsAway,
+        cornersHome: pressure.cornersHome,
+        cornersAway: pressure.cornersAway,
+      });
+
+      const cornerWindow = pressure.windowed.find(
+        (entry) => entry.window === CORNER_WINDOW,
+      );
+
+      frames.push({
+        minute: frame.minute,
+        pressTotal: pressure.pressTotal,
+        pressDiff: pressure.pressDiff,
+        shotsHome: pressure.shotsHome,
+        shotsAway: pressure.shotsAway,
+        cornersHome: pressure.cornersHome,
+        cornersAway: pressure.cornersAway,
+        recentCorners: cornerWindow?.corners ?? null,
+        state: frameState(frame),
+        verdict: judgeAlert(
+          {
+            minute: frame.minute,
+            goalsAtAlert: frame.goalsHome + frame.goalsAway,
+          },
+          { fixture: { status: fixture.finalStatus } },
+          fixture.goals,
+          options.window,
+        ),
+      });
+    }
+
+    evaluated.push({
+      fixtureId: fixture.fixtureId,
+      leagueId: fixture.leagueId,
+      homeTeamId: fixture.homeTeamId,
+      awayTeamId: fixture.awayTeamId,
+      date: fixture.date,
+      frames,
+    });
+  }
+
+  return evaluated;
+}
+
+/**
+ * Applies the alert rules and the cooldown to evaluated fixtures, as the
+ * monitor would have with `values` as the global thresholds and `overrides`
+ * over them, and tallies the alerts that fire.
+ */
+export function scoreThresholds(
+  fixtures: EvaluatedFixture[],
+  values: ThresholdValues,
+  cooldown: CooldownConfig,
+  overrides: ThresholdOverrides = NO_OVERRIDES,
+): BacktestScore {
+  const minTier = getAlertMinTier();
+
+  let fixturesWithAlerts = 0;
+  let alerts = 0;
+  let suppressed = 0;
+  let settled = 0;
+  let hits = 0;
+  const reasons: Record<AlertReason, number> = {
+    press_total: 0,
+    press_diff: 0,
+    press_near: 0,
+    corners: 0,
+    probability: 0,
+  };
+  const timing = new Map(
+    TIMING_PERIODS.map((period) => [period.label, { alerts: 0, hits: 0 }]),
+  );
+  const minutesToGoal: number[] = [];
+
+  for (const fixture of fixtures) {
+    let lastAlert: PreviousAlert | null = null;
+    let fixtureAlerts = 0;
+    const scopedRow = thresholdsForFixture(overrides.scoped, fixture);
+    const fixtureValues = scopedRow ?? values;
+    const base: AlertThresholds = {
+      thresholdTotal: fixtureValues.thresholdTotal,
+      thresholdDiff: fixtureValues.thresholdDiff,
+      escanteios10min: fixtureValues.escanteios10min,
+      shotsMin: fixtureValues.shotsMin,
+      minProbability: null,
+      minTier,
+    };
+
+    for (const frame of fixture.frames) {
+      const { thresholds } = thresholdsForState(
+        base,
+        overrides.stateSets,
+        frame.state,
+        scopedRow ?? overrides.scope ?? GLOBAL_SCOPE,
+      );
+      const decision = evaluateAlert(frame, thresholds);
+      if (!decision.shouldAlert) continue;
+
+      const check = decideCooldown(
+        lastAlert,
+        frame.minute,
+        frame.pressTotal,
+        cooldown,
+      );
+      if (!check.allowed) {
+        suppressed++;
+        continue;
+      }
+
+      lastAlert = {
+        id: alerts,
+        minute: frame.minute,
+        pressTotal: frame.pressTotal,
+      };
+      alerts++;
+      fixtureAlerts++;
+      decision.reasons.forEach((reason) => reasons[reason]++);
+
+      const period = timing.get(timingPeriod(frame.minute))!;
+      period.alerts++;
+
+      const verdict = frame.verdict;
+      if (!verdict.settled) continue;
+
+      settled++;
+      if (verdict.goalHappened) {
+        hits++;
+        period.hits++;
+        minutesToGoal.push(
+          (verdict.firstGoal?.minute ?? frame.minute) - frame.minute,
+        );
+      }
+    }
+
+    if (fixtureAlerts > 0) fixturesWithAlerts++;
+  }
+
+  const days = new Set(fixtures.map((fixture) => fixture.date)).size;
+  const sortedMinutes = [...minutesToGoal].sort((a, b) => a - b);
+  const middle = Math.floor(sortedMinutes.length / 2);
+
+  return {
+    fixtures: fixtures.length,
+    days,
+    fixturesWithAlerts,
+    alerts,
+    suppressed,
+    settled,
+    hits,
+    hitRate: settled > 0 ? round2((hits / settled) * 100) : 0,
+    alertsPerMatch: fixtures.length > 0 ? round2(alerts / fixtures.length) : 0,
+    alertsPerDay: days > 0 ? round2(alerts / days) : 0,
+    reasons,
+    timing: TIMING_PERIODS.map((period) => ({
+      period: period.label,
+      ...timing.get(period.label)!,
+    })),
+    minutesToGoal:
+      sortedMinutes.length > 0
+        ? {
+            mean: round2(
+              sortedMinutes.reduce((sum, v) => sum + v, 0) /
+                sortedMinutes.length,
+            ),
+            median:
+              sortedMinutes.length % 2 === 1
+                ? sortedMinutes[middle]
+                : (sortedMinutes[middle - 1] + sortedMinutes[middle]) / 2,
+          }
+        : null,
+  };
+}
+
+export function backtestResult(
+  candidate: BacktestCandidate,
+  score: BacktestScore,
+): BacktestResult {
+  return {
+    candidate: candidate.name,
+    thresholds: candidate.thresholds,
+    formulaVersion: candidate.formula.version,
+    formulaName: candidate.formula.name,
+    ...score,
+  };
+}
@@ -0,0 +1,121 @@
+import type pg from "pg";
+import { readNumberEnv } from "./config";
+
+export type CooldownConfig = {
+  quietMinutes: number;
+  minPressureRise: number;
+};
+
+export type SuppressionReason =
+  "duplicate_minute" | "quiet_period" | "pressure_not_rising";
+
+export type CooldownCheck =
+  | { allowed: true; lastAlertId?: number }
+  | { allowed: false; reason: SuppressionReason; lastAlertId: number };
+
+export function getCooldownConfig(): CooldownConfig {
+  return {
+    quietMinutes: readNumberEnv("ALERT_COOLDOWN_MINUTES", 10),
+    minPressureRise: readNumberEnv("ALERT_REALERT_PRESSURE_DELTA", 10),
+  };
+}
+
+export type PreviousAlert = {
+  id: number;
+  minute: number;
+  pressTotal: number;
+};
+
+/**
+ * Decides whether a fixture may alert again. A repeat alert needs the quiet
+ * period to have passed since the previous one and the total pressure to have
+ * risen by at least `minPressureRise` since then.
+ */
+export function decideCooldown(
+  last: PreviousAlert | null,
+  minute: number,
+  pressTotal: number,
+  config: CooldownConfig = getCooldownConfig(),
+): CooldownCheck {
+  if (!last) {
+    return { allowed: true };
+  }
+
+  const lastAlertId = last.id;
+
+  if (minute <= last.minute) {
+    return { allowed: false, reason: "duplicate_minute", lastAlertId };
+  }
+
+  if (minute - last.minute < config.quietMinutes) {
+    return { allowed: false, reason: "quiet_period", lastAlertId };
+  }
+
+  if (pressTotal - last.pressTotal < config.minPressureRise) {
+    return { allowed: false, reason: "pressure_not_rising", lastAlertId };
+  }
+
+  return { allowed: true, lastAlertId };
+}
+
+export async function checkAlertCooldown(
+  client: pg.Client,
+  fixtureId: number,
+  minute: number,
+  pressTotal: number,
+  config: CooldownConfig = getCooldownConfig(),
+): Promise<CooldownCheck> {
+  const result = await client.query(
+    `
+      SELECT id, minute, press_total
+      FROM football_alerts
+      WHERE fixture_id = $1
+      ORDER BY minute DESC, id DESC
+      LIMIT 1
+    `,
+    [fixtureId],
+  );
+
+  const last = result.rows[0];
+
+  return decideCooldown(
+    last
+      ? {
+          id: last.id,
+          minute: parseInt(last.minute, 10),
+          pressTotal: parseFloat(last.press_total),
+        }
+      : null,
+    minute,
+    pressTotal,
+    config,
+  );
+}
+
+export async function recordSuppressedAlert(
+  client: pg.Client,
+  suppression: {
+    fixtureId: number;
+    minute: number;
+    pressTotal: number;
+    pressDiff: number;
+    reason: SuppressionReason;
+    lastAlertId: number;
+  },
+): Promise<void> {
+  await client.query(
+    `
+      INSERT INTO football_alert_suppressions
+      (fixture_id, minute, press_total, press_diff, reason, last_alert_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `,
+    [
+      suppression.fixtureId,
+      suppression.minute,
+      suppression.pressTotal,
+      suppression.pressDiff,
+      suppression.reason,
+      suppression.lastAlertId,
+    ],
+  );
+}
@@ -0,0 +1,116 @@
+import { apiFootballGet } from "./apiFootball";
+import { ReplayProvider } from "./replayProvider";
+
+export type ProviderLogger = {
+  info: (message: string, args?: Record<string, any>) => void;
+  warn: (message: string, args?: Record<string, any>) => void;
+};
+
+export type ProviderOptions = { logger?: ProviderLogger };
+
+// Competitions and their coverage change a few times a season at most
+const LEAGUES_CACHE_TTL_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Source of API-Football data for the tools. Every method returns the
+ * `response` part of the corresponding API-Football endpoint.
+ */
+export interface FootballDataProvider {
+  readonly name: string;
+  getLiveFixtures(options?: ProviderOptions): Promise<any[]>;
+  getFixtureStatistics(
+    fixtureId: number,
+    options?: ProviderOptions,
+  ): Promise<any[]>;
+  getFixture(fixtureId: number, options?: ProviderOptions): Promise<any | null>;
+  getFixtureEvents(
+    fixtureId: number,
+    options?: ProviderOptions,
+  ): Promise<any[]>;
+  getCurrentLeagues(options?: ProviderOptions): Promise<any[]>;
+}
+
+export class HttpProvider implements FootballDataProvider {
+  readonly name = "http";
+
+  async getLiveFixtures({ logger }: ProviderOptions = {}): Promise<any[]> {
+    const data = await apiFootballGet(
+      "/fixtures",
+      { live: "all" },
+      { cacheTtlMs: 20 * 1000, logger },
+    );
+    return data.response || [];
+  }
+
+  async getFixtureStatistics(
+    fixtureId: number,
+    { logger }: ProviderOptions = {},
+  ): Promise<any[]> {
+    const data = await apiFootballGet(
+      "/fixtures/statistics",
+      { fixture: fixtureId },
+      { cacheTtlMs: 30 * 1000, logger },
+    );
+    return data.response || [];
+  }
+
+  async getFixture(
+    fixtureId: number,
+    { logger }: ProviderOptions = {},
+  ): Promise<any | null> {
+    const data = await apiFootballGet(
+      "/fixtures",
+      { id: fixtureId },
+      { cacheTtlMs: 30 * 1000, logger },
+    );
+    return data.response?.[0] ?? null;
+  }
+
+  async getFixtureEvents(
+    fixtureId: number,
+    { logger }: ProviderOptions = {},
+  ): Promise<any[]> {
+    const data = await apiFootballGet(
+      "/fixtures/events",
+      { fixture: fixtureId },
+      { cacheTtlMs: 30 * 1000, logger },
+    );
+    return data.response || [];
+  }
+
+  async getCurrentLeagues({ logger }: ProviderOptions = {}): Promise<any[]> {
+    const data = await apiFootballGet(
+      "/leagues",
+      { current: "true" },
+      { cacheTtlMs: LEAGUES_CACHE_TTL_MS, logger },
+    );
+    return data.response || [];
+  }
+}
+
+let provider: FootballDataProvider | null = null;
+
+/**
+ * Returns the provider selected by FOOTBALL_DATA_PROVIDER ("http" by default,
+ * or "replay" to read recorded responses from FOOTBALL_REPLAY_DIR).
+ */
+export function getFootballDataProvider(): FootballDataProvider {
+  if (provider) return provider;
+
+  const kind = process.env.FOOTBALL_DATA_PROVIDER || "http";
+  if (kind === "replay") {
+    const dir = process.env.FOOTBALL_REPLAY_DIR;
+    if (!dir) {
+      throw new Error(
+        "FOOTBALL_DATA_PROVIDER=replay requires FOOTBALL_REPLAY_DIR",
+      );
+    }
+    provider = new ReplayProvider(dir);
+  } else if (kind === "http") {
+    provider = new HttpProvider();
+  } else {
+    throw new Error(`Unknown FOOTBALL_DATA_PROVIDER: ${kind}`);
+  }
+
+  return provider;
+}
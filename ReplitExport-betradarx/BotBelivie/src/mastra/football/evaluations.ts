@@ -0,0 +1,398 @@
+import type pg from "pg";
+import {
+  comparedPressure,
+  firingLevel,
+  type AlertThresholds,
+} from "./alertRules";
+import { readNumberEnv } from "./config";
+import { judgeAlert, type VerificationWindow } from "./goalVerification";
+import {
+  goalsFromScoreProgression,
+  timingPeriod,
+  TIMING_PERIODS,
+} from "./matchTimeline";
+
+// A fixture with no snapshot for this long has left the live list
+const FIXTURE_GONE_MS = 30 * 60 * 1000;
+
+export type EvaluationConfig = {
+  // Share of ordinary fixture-minutes stored; alerts and near misses are always stored
+  sampleRate: number;
+  // Fraction of a pressure threshold that counts as a near miss
+  nearMissRatio: number;
+};
+
+export type FixtureEvaluation = {
+  fixtureId: number;
+  minute: number;
+  pressTotal: number;
+  pressDiff: number;
+  shotsOnGoal: number;
+  corners: number;
+  recentCorners: number | null;
+  goalsAtEval: number;
+  probability: number | null;
+  thresholdVersion: number | null;
+  // Pressure formula the pressure metrics were scored with
+  formulaVersion: number;
+  // The alert rules fired, whether or not the cooldown let the alert through
+  ruleFired: boolean;
+  alerted: boolean;
+  alertId?: number | null;
+};
+
+export function getEvaluationConfig(): EvaluationConfig {
+  return {
+    sampleRate: Math.min(
+      Math.max(readNumberEnv("EVALUATION_SAMPLE_RATE", 1), 0),
+      1,
+    ),
+    nearMissRatio: readNumberEnv("EVALUATION_NEAR_MISS_RATIO", 0.85),
+  };
+}
+
+/**
+ * A fixture-minute where no rule fired but the pressure total came within
+ * `nearMissRatio` of the level that fires an alert (the medium tier unless
+ * `minTier` is "high"), the difference within `nearMissRatio` of its
+ * threshold, or the recent corners were one short.
+ */
+export function isNearMiss(
+  evaluation: Pick<
+    FixtureEvaluation,
+    "minute" | "pressTotal" | "pressDiff" | "recentCorners" | "ruleFired"
+  >,
+  thresholds: AlertThresholds,
+  ratio: number,
+): boolean {
+  if (evaluation.ruleFired) return false;
+
+  const pressure = comparedPressure(evaluation, thresholds);
+  return (
+    pressure.total >=
+      firingLevel(thresholds.thresholdTotal, thresholds.minTier) * ratio ||
+    pressure.diff >= thresholds.thresholdDiff * ratio ||
+    (evaluation.recentCorners !== null &&
+      evaluation.recentCorners >= thresholds.escanteios10min - 1)
+  );
+}
+
+/**
+ * Stores a fixture-minute's evaluation. Fired rules and near misses are
+ * always kept; other minutes are kept with probability `sampleRate` and
+ * weighted by its inverse so rates stay unbiased. A minute seen twice (for
+ * example during the half-time break) keeps its first metrics but records an
+ * alert from either pass.
+ */
+export async function recordEvaluation(
+  client: pg.Client,
+  evaluation: FixtureEvaluation,
+  thresholds: AlertThresholds,
+  config: EvaluationConfig = getEvaluationConfig(),
+): Promise<boolean> {
+  const nearMiss = isNearMiss(evaluation, thresholds, config.nearMissRatio);
+
+  let sampleWeight = 1;
+  if (!evaluation.ruleFired && !nearMiss) {
+    if (config.sampleRate <= 0 || Math.random() >= config.sampleRate) {
+      return false;
+    }
+    sampleWeight = 1 / config.sampleRate;
+  }
+
+  await client.query(
+    `
+      INSERT INTO football_evaluations
+      (fixture_id, minute, press_total, press_diff, shots_on_goal, corners,
+       recent_corners, goals_at_eval, goal_probability, threshold_version,
+       rule_fired, alerted, near_miss, alert_id, sample_weight, formula_version)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+      ON CONFLICT (fixture_id, minute) DO UPDATE SET
+        rule_fired = football_evaluations.rule_fired OR EXCLUDED.rule_fired,
+        alerted = football_evaluations.alerted OR EXCLUDED.alerted,
+        alert_id = COALESCE(football_evaluations.alert_id, EXCLUDED.alert_id)
+    `,
+    [
+      evaluation.fixtureId,
+      evaluation.minute,
+      evaluation.pressTotal,
+      evaluation.pressDiff,
+      evaluation.shotsOnGoal,
+      evaluation.corners,
+      evaluation.recentCorners,
+      evaluation.goalsAtEval,
+      evaluation.probability,
+      evaluation.thresholdVersion,
+      evaluation.ruleFired,
+      evaluation.alerted,
+      nearMiss,
+      evaluation.alertId ?? null,
+      sampleWeight,
+      evaluation.formulaVersion,
+    ],
+  );
+
+  return true;
+}
+
+/**
+ * Settles pending evaluations with the same verdict as alerts, timing goals
+ * from the stored snapshots' score progression so no API requests are
+ * needed. A fixture whose snapshots stopped over 30 minutes ago is treated
+ * as finished.
+ */
+export async function settleEvaluations(
+  client: pg.Client,
+  window: VerificationWindow,
+): Promise<number> {
+  const pending = await client.query(`
+    SELECT id, fixture_id, minute, goals_at_eval
+    FROM football_evaluations
+    WHERE goal_happened IS NULL
+      AND created_at > NOW() - INTERVAL '1 day'
+    ORDER BY fixture_id, minute
+  `);
+  if (pending.rows.length === 0) return 0;
+
+  const fixtureIds = [...new Set(pending.rows.map((row) => row.fixture_id))];
+  const snapshots = await client.query(
+    `
+      SELECT fixture_id, minute, status, goals_home, goals_away, captured_at
+      FROM football_stats_snapshots
+      WHERE fixture_id = ANY($1)
+      ORDER BY fixture_id, captured_at ASC
+    `,
+    [fixtureIds],
+  );
+
+  const byFixture = new Map<number, any[]>();
+  for (const row of snapshots.rows) {
+    const rows = byFixture.get(row.fixture_id) ?? [];
+    rows.push(row);
+    byFixture.set(row.fixture_id, rows);
+  }
+
+  let updated = 0;
+  for (const row of pending.rows) {
+    const rows = byFixture.get(row.fixture_id);
+    if (!rows) continue;
+
+    const last = rows[rows.length - 1];
+    const gone = Date.now() - last.captured_at.getTime() > FIXTURE_GONE_MS;
+    const goals = goalsFromScoreProgression(
+      rows.map((snapshot) => ({
+        minute: snapshot.minute,
+        goalsHome: snapshot.goals_home,
+        goalsAway: snapshot.goals_away,
+      })),
+    );
+
+    const verdict = judgeAlert(
+      { minute: row.minute, goalsAtAlert: row.goals_at_eval },
+      {
+        fixture: {
+          status: {
+            short: gone ? "FT" : (last.status ?? ""),
+            elapsed: last.minute,
+          },
+        },
+      },
+      goals,
+      window,
+    );
+    if (!verdict.settled) continue;
+
+    await client.query(
+      `
+        UPDATE football_evaluations
+        SET goal_happened = $1,
+            first_goal_minute = $2,
+            verification_window = $3,
+            verified_at = NOW()
+        WHERE id = $4
+      `,
+      [
+        verdict.goalHappened,
+        verdict.firstGoal?.minute ?? null,
+        String(window),
+        row.id,
+      ],
+    );
+    updated++;
+  }
+
+  return updated;
+}
+
+export type MinuteBandRecall = {
+  band: string;
+  // Weighted fixture-minutes and the percentage followed by a goal
+  evaluations: number;
+  baseRate: number;
+  alerts: number;
+  alertHitRate: number;
+  // Alert hit rate over the band's base rate; null without alerts or goals
+  lift: number | null;
+};
+
+export type RecallReport = {
+  evaluations: number;
+  // Weighted fixture-minutes followed by a goal inside the window
+  positiveMinutes: number;
+  baseRate: number;
+  // Percentage of positive minutes where a rule fired
+  minuteRecall: number;
+  goals: number;
+  goalsAlerted: number;
+  // Percentage of goals with an alert inside the window before them
+  goalRecall: number;
+  nearMisses: { count: number; goalRate: number };
+  falseNegatives: {
+    count: number;
+    nearMissShare: number;
+    avgPressTotal: number;
+    avgPressDiff: number;
+    avgRecentCorners: number | null;
+    byBand: { band: string; count: number }[];
+  };
+  bands: MinuteBandRecall[];
+};
+
+function percent(part: number, whole: number): number {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
+function average(values: { value: number; weight: number }[]): number | null {
+  const weight = values.reduce((sum, entry) => sum + entry.weight, 0);
+  if (weight === 0) return null;
+  const total = values.reduce(
+    (sum, entry) => sum + entry.value * entry.weight,
+    0,
+  );
+  return Math.round((total / weight) * 100) / 100;
+}
+
+/**
+ * Recall, false-negative patterns and lift over the baseline goal rate per
+ * 15-minute band, from the evaluations settled in the last `hours` hours.
+ * Sampled minutes count with their sample weight.
+ */
+export async function computeRecallReport(
+  client: pg.Client,
+  hours = 24,
+): Promise<RecallReport> {
+  const result = await client.query(
+    `
+      SELECT fixture_id, minute, press_total, press_diff, recent_corners,
+             rule_fired, alerted, near_miss, sample_weight,
+             goal_happened, first_goal_minute
+      FROM football_evaluations
+      WHERE goal_happened IS NOT NULL
+        AND created_at > NOW() - ($1 || ' hours')::interval
+    `,
+    [String(hours)],
+  );
+
+  const rows = result.rows.map((row) => ({
+    fixtureId: row.fixture_id as number,
+    minute: row.minute as number,
+    pressTotal: parseFloat(row.press_total),
+    pressDiff: parseFloat(row.press_diff),
+    recentCorners: row.recent_corners as number | null,
+    ruleFired: row.rule_fired as boolean,
+    alerted: row.alerted as boolean,
+    nearMiss: row.near_miss as boolean,
+    weight: parseFloat(row.sample_weight),
+    goalHappened: row.goal_happened as boolean,
+    firstGoalMinute: row.first_goal_minute as number | null,
+  }));
+
+  const weightOf = (subset: typeof rows) =>
+    subset.reduce((sum, row) => sum + row.weight, 0);
+
+  const positives = rows.filter((row) => row.goalHappened);
+  const evaluations = weightOf(rows);
+  const positiveMinutes = weightOf(positives);
+
+  const goalKey = (row: (typeof rows)[number]) =>
+    `${row.fixtureId}:${row.firstGoalMinute}`;
+  const goals = new Set(positives.map(goalKey));
+  const goalsAlerted = new Set(
+    positives.filter((row) => row.alerted).map(goalKey),
+  );
+
+  const nearMisses = rows.filter((row) => row.nearMiss);
+  const missed = positives.filter((row) => !row.ruleFired);
+
+  const bands = TIMING_PERIODS.map(({ label }) => {
+    const inBand = rows.filter((row) => timingPeriod(row.minute) === label);
+    const alerts = inBand.filter((row) => row.alerted);
+    const baseRate = percent(
+      weightOf(inBand.filter((row) => row.goalHappened)),
+      weightOf(inBand),
+    );
+    const alertHitRate = percent(
+      alerts.filter((row) => row.goalHappened).length,
+      alerts.length,
+    );
+
+    return {
+      band: label,
+      evaluations: Math.round(weightOf(inBand)),
+      baseRate,
+      alerts: alerts.length,
+      alertHitRate,
+      lift:
+        alerts.length > 0 && baseRate > 0
+          ? Math.round((alertHitRate / baseRate) * 100) / 100
+          : null,
+    };
+  });
+
+  return {
+    evaluations: Math.round(evaluations),
+    positiveMinutes: Math.round(positiveMinutes),
+    baseRate: percent(positiveMinutes, evaluations),
+    minuteRecall: percent(
+      weightOf(positives.filter((row) => row.ruleFired)),
+      positiveMinutes,
+    ),
+    goals: goals.size,
+    goalsAlerted: goalsAlerted.size,
+    goalRecall: percent(goalsAlerted.size, goals.size),
+    nearMisses: {
+      count: nearMisses.length,
+      goalRate: percent(
+        nearMisses.filter((row) => row.goalHappened).length,
+        nearMisses.length,
+      ),
+    },
+    falseNegatives: {
+      count: Math.round(weightOf(missed)),
+      nearMissShare: percent(
+        weightOf(missed.filter((row) => row.nearMiss)),
+        weightOf(missed),
+      ),
+      avgPressTotal:
+        average(
+          missed.map((row) => ({ value: row.pressTotal, weight: row.weight })),
+        ) ?? 0,
+      avgPressDiff:
+        average(
+          missed.map((row) => ({ value: row.pressDiff, weight: row.weight })),
+        ) ?? 0,
+      avgRecentCorners: average(
+        missed
+          .filter((row) => row.recentCorners !== null)
+          .map((row) => ({ value: row.recentCorners!, weight: row.weight })),
+      ),
+      byBand: TIMING_PERIODS.map(({ label }) => ({
+        band: label,
+        count: Math.round(
+          weightOf(missed.filter((row) => timingPeriod(row.minute) === label)),
+        ),
+      })),
+    },
+    bands,
+  };
+}
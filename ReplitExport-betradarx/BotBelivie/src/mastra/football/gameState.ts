@@ -0,0 +1,106 @@
+import { timingPeriod } from "./matchTimeline";
+
+export type MatchHalf = "1H" | "2H" | "ET";
+
+// The 15-minute timing periods, with extra time as a band of its own
+export const MINUTE_BANDS = [
+  "0-15",
+  "16-30",
+  "31-45",
+  "46-60",
+  "61-75",
+  "76-90",
+  "90+",
+  "ET",
+] as const;
+
+export type MinuteBand = (typeof MINUTE_BANDS)[number];
+
+export const SCORE_STATES = ["level", "one_goal", "two_plus"] as const;
+
+export type ScoreState = (typeof SCORE_STATES)[number];
+
+// Whether both sides still have the same number of players
+export const MANPOWER_STATES = ["even", "uneven"] as const;
+
+export type Manpower = (typeof MANPOWER_STATES)[number];
+
+export type GameState = {
+  minute: number;
+  half: MatchHalf;
+  minuteBand: MinuteBand;
+  // Home goals minus away goals
+  scoreDiff: number;
+  scoreState: ScoreState;
+  redCardsHome: number;
+  redCardsAway: number;
+  manpower: Manpower;
+};
+
+const EXTRA_TIME_STATUSES = ["ET", "BT", "P"];
+const SECOND_HALF_STATUSES = ["2H"];
+
+function halfOf(status: string, minute: number): MatchHalf {
+  if (EXTRA_TIME_STATUSES.includes(status)) return "ET";
+  if (SECOND_HALF_STATUSES.includes(status)) return "2H";
+  if (status === "1H" || status === "HT") return "1H";
+  return minute > 90 ? "ET" : minute > 45 ? "2H" : "1H";
+}
+
+function isRedCard(event: any): boolean {
+  if (event.type !== "Card") return false;
+  const detail = String(event.detail ?? "").toLowerCase();
+  return detail.includes("red") || detail.includes("second yellow");
+}
+
+export function scoreStateFor(scoreDiff: number): ScoreState {
+  const margin = Math.abs(scoreDiff);
+  return margin === 0 ? "level" : margin === 1 ? "one_goal" : "two_plus";
+}
+
+/**
+ * Reads the game context from a live fixture: clock and half from its status,
+ * the score, and red cards from the events the live feed includes (none when
+ * the payload has no events).
+ */
+export function readGameState(fixture: any, events?: any[]): GameState {
+  const minute: number = fixture.fixture?.status?.elapsed ?? 0;
+  const half = halfOf(fixture.fixture?.status?.short ?? "", minute);
+  const scoreDiff = (fixture.goals?.home ?? 0) - (fixture.goals?.away ?? 0);
+
+  const redCards = (events ?? fixture.events ?? []).filter(isRedCard);
+  const homeId = fixture.teams?.home?.id;
+  const awayId = fixture.teams?.away?.id;
+  const redCardsHome = redCards.filter(
+    (e: any) => e.team?.id === homeId,
+  ).length;
+  const redCardsAway = redCards.filter(
+    (e: any) => e.team?.id === awayId,
+  ).length;
+
+  return {
+    minute,
+    half,
+    minuteBand: half === "ET" ? "ET" : (timingPeriod(minute) as MinuteBand),
+    scoreDiff,
+    scoreState: scoreStateFor(scoreDiff),
+    redCardsHome,
+    redCardsAway,
+    manpower: redCardsHome === redCardsAway ? "even" : "uneven",
+  };
+}
+
+/**
+ * Pressure per match minute. Totals are whole-match, so they grow with the
+ * clock; the rates compare minute 20 and minute 80 on the same scale.
+ */
+export function pressureRates(
+  metrics: { pressTotal: number; pressDiff: number },
+  minute: number,
+): { pressTotalRate: number; pressDiffRate: number } {
+  const minutes = Math.max(minute, 1);
+  return {
+    pressTotalRate: metrics.pressTotal / minutes,
+    pressDiffRate: metrics.pressDiff / minutes,
+  };
+}
@@ -0,0 +1,153 @@
+export type VerificationWindow = 5 | 10 | 15 | "HT" | "FT";
+
+export type GoalEvent = {
+  minute: number;
+  extra: number | null;
+  teamId: number | null;
+  teamName: string | null;
+  type: string;
+};
+
+export type AlertToVerify = {
+  minute: number;
+  goalsAtAlert: number;
+};
+
+export type Verdict =
+  | { settled: false }
+  | { settled: true; goalHappened: boolean; firstGoal: GoalEvent | null };
+
+const FINISHED_STATUSES = ["FT", "AET", "PEN", "AWD", "WO"];
+// Abandoned, cancelled or decided off the pitch: pending alerts are voided
+const VOID_STATUSES = ["ABD", "CANC", "AWD", "WO"];
+const FIRST_HALF_STATUSES = ["1H"];
+
+export function parseVerificationWindow(
+  raw: string | undefined,
+): VerificationWindow {
+  const value = (raw || "10").trim().toUpperCase();
+  if (value === "HT" || value === "FT") return value;
+  if (value === "5" || value === "10" || value === "15") {
+    return Number(value) as 5 | 10 | 15;
+  }
+  return 10;
+}
+
+function eventTime(event: any): number {
+  return (event.time?.elapsed ?? 0) + (event.time?.extra ?? 0) / 100;
+}
+
+/**
+ * Turns API-Football `/fixtures/events` into the goals that stand, in
+ * chronological order. Missed penalties are ignored and a VAR "goal
+ * cancelled/disallowed" event removes the latest goal of that team.
+ */
+export function extractValidGoals(events: any[]): GoalEvent[] {
+  const ordered = [...events].sort((a, b) => eventTime(a) - eventTime(b));
+
+  const goals: GoalEvent[] = [];
+
+  for (const event of ordered) {
+    const type = String(event.type ?? "").toLowerCase();
+    const detail = String(event.detail ?? "");
+    const teamId = event.team?.id ?? null;
+
+    if (type === "goal" && !/missed penalty/i.test(detail)) {
+      goals.push({
+        minute: event.time?.elapsed ?? 0,
+        extra: event.time?.extra ?? null,
+        teamId,
+        teamName: event.team?.name ?? null,
+        type: detail || "Goal",
+      });
+    } else if (type === "var" && /goal (cancelled|disallowed)/i.test(detail)) {
+      for (let i = goals.length - 1; i >= 0; i--) {
+        if (goals[i].teamId === teamId) {
+          goals.splice(i, 1);
+          break;
+        }
+      }
+    }
+  }
+
+  return goals;
+}
+
+function windowEndMinute(
+  alertMinute: number,
+  window: VerificationWindow,
+): number {
+  if (typeof window === "number") return alertMinute + window;
+  if (window === "HT" && alertMinute <= 45) return 45;
+  return 90;
+}
+
+function windowHasPassed(
+  fixture: any,
+  alertMinute: number,
+  window: VerificationWindow,
+): boolean {
+  const status = fixture.fixture?.status?.short ?? "";
+  const elapsed = fixture.fixture?.status?.elapsed ?? 0;
+
+  if (FINISHED_STATUSES.includes(status)) return true;
+  if (window === "HT" && alertMinute <= 45) {
+    return !FIRST_HALF_STATUSES.includes(status);
+  }
+  if (window === "FT" || window === "HT") {
+    return ["ET", "BT", "P"].includes(status);
+  }
+  return elapsed > windowEndMinute(alertMinute, window);
+}
+
+/** The fixture status that voids a still-open alert, or null. */
+export function voidStatus(fixture: any): string | null {
+  const status = fixture.fixture?.status?.short ?? "";
+  return VOID_STATUSES.includes(status) ? status : null;
+}
+
+/**
+ * Decides an alert's outcome from the fixture and its standing goals. The
+ * first goal after the alert is the goal following the `goalsAtAlert` goals
+ * already on the board, which avoids guessing within the alert's minute.
+ */
+export function judgeAlert(
+  alert: AlertToVerify,
+  fixture: any,
+  goals: GoalEvent[],
+  window: VerificationWindow,
+): Verdict {
+  const firstGoal =
+    goals
+      .slice(alert.goalsAtAlert)
+      .find((goal) => goal.minute >= alert.minute) ?? null;
+
+  if (firstGoal && firstGoal.minute <= windowEndMinute(alert.minute, window)) {
+    return { settled: true, goalHappened: true, firstGoal };
+  }
+
+  if (windowHasPassed(fixture, alert.minute, window)) {
+    return { settled: true, goalHappened: false, firstGoal };
+  }
+
+  return { settled: false };
+}
+
+/**
+ * Whether the goal that settled an alert green came from the pressing team:
+ * false for a red, null when the alert has no pressing side or its team is
+ * unknown. `teamIds` falls back to the fixture's teams when not stored.
+ */
+export function pressingTeamScored(
+  verdict: Verdict,
+  pressingSide: "home" | "away" | null,
+  teamIds: { home: number | null; away: number | null },
+): boolean | null {
+  if (!verdict.settled || !pressingSide) return null;
+  if (!verdict.goalHappened) return false;
+
+  const pressingTeamId = teamIds[pressingSide];
+  const scorerId = verdict.firstGoal?.teamId ?? null;
+  if (pressingTeamId === null || scorerId === null) return null;
+  return scorerId === pressingTeamId;
+}
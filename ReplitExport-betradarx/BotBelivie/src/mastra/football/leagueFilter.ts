@@ -0,0 +1,171 @@
+import { readListEnv } from "./config";
+import type { FootballDataProvider, ProviderLogger } from "./dataProvider";
+
+export type LeagueFilterConfig = {
+  // Empty allowlists admit everything
+  allowLeagues: number[];
+  blockLeagues: number[];
+  allowCountries: string[];
+  blockCountries: string[];
+  // API-Football competition types ("league", "cup"), lower-cased
+  competitionTypes: string[];
+  // Lower-cased fragments of league names to skip, e.g. "friendlies", "u19"
+  blockNames: string[];
+  requireStatistics: boolean;
+};
+
+export type LeagueInfo = {
+  type: string | null;
+  // Whether the season's fixtures have statistics, by season year
+  statisticsBySeason: Map<number, boolean>;
+};
+
+export type SkipReason =
+  | "league_blocked"
+  | "league_not_allowed"
+  | "country"
+  | "competition_type"
+  | "league_name"
+  | "no_statistics";
+
+export type FixtureFilterResult = {
+  fixtures: any[];
+  skipped: Partial<Record<SkipReason, number>>;
+};
+
+function readIdList(name: string): number[] {
+  return readListEnv(name)
+    .map((item) => Number(item))
+    .filter((id) => Number.isInteger(id));
+}
+
+function readLowerList(name: string): string[] {
+  return readListEnv(name).map((item) => item.toLowerCase());
+}
+
+export function getLeagueFilterConfig(): LeagueFilterConfig {
+  return {
+    allowLeagues: readIdList("FOOTBALL_LEAGUE_ALLOWLIST"),
+    blockLeagues: readIdList("FOOTBALL_LEAGUE_BLOCKLIST"),
+    allowCountries: readLowerList("FOOTBALL_COUNTRY_ALLOWLIST"),
+    blockCountries: readLowerList("FOOTBALL_COUNTRY_BLOCKLIST"),
+    competitionTypes: readLowerList("FOOTBALL_COMPETITION_TYPES"),
+    blockNames: readLowerList("FOOTBALL_LEAGUE_NAME_BLOCKLIST"),
+    requireStatistics: process.env.FOOTBALL_REQUIRE_STATISTICS !== "false",
+  };
+}
+
+export function needsLeagueLookup(config: LeagueFilterConfig): boolean {
+  return config.requireStatistics || config.competitionTypes.length > 0;
+}
+
+/**
+ * Indexes the `/leagues?current=true` response by league id.
+ */
+export function indexLeagues(leagues: any[]): Map<number, LeagueInfo> {
+  const index = new Map<number, LeagueInfo>();
+  for (const item of leagues) {
+    const id = item.league?.id;
+    if (typeof id !== "number") continue;
+
+    const statisticsBySeason = new Map<number, boolean>();
+    for (const season of item.seasons ?? []) {
+      const statistics = season.coverage?.fixtures?.statistics_fixtures;
+      if (typeof season.year === "number" && typeof statistics === "boolean") {
+        statisticsBySeason.set(season.year, statistics);
+      }
+    }
+
+    index.set(id, {
+      type: item.league?.type ? String(item.league.type).toLowerCase() : null,
+      statisticsBySeason,
+    });
+  }
+  return index;
+}
+
+/**
+ * Loads the current competitions through the provider. A failed lookup only
+ * disables the coverage and competition-type checks for this call.
+ */
+export async function loadLeagueIndex(
+  provider: FootballDataProvider,
+  logger?: ProviderLogger,
+): Promise<Map<number, LeagueInfo> | null> {
+  try {
+    return indexLeagues(await provider.getCurrentLeagues({ logger }));
+  } catch (error: any) {
+    logger?.warn("⚠️ [leagueFilter] Could not load league coverage", {
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+export function skipReason(
+  fixture: any,
+  config: LeagueFilterConfig,
+  leagues: Map<number, LeagueInfo> | null,
+): SkipReason | null {
+  const id = fixture.league?.id;
+  const country = String(fixture.league?.country ?? "").toLowerCase();
+  const name = String(fixture.league?.name ?? "").toLowerCase();
+
+  if (config.blockLeagues.includes(id)) return "league_blocked";
+  if (config.allowLeagues.length > 0 && !config.allowLeagues.includes(id)) {
+    return "league_not_allowed";
+  }
+  if (config.blockCountries.includes(country)) return "country";
+  if (
+    config.allowCountries.length > 0 &&
+    !config.allowCountries.includes(country)
+  ) {
+    return "country";
+  }
+  if (config.blockNames.some((fragment) => name.includes(fragment))) {
+    return "league_name";
+  }
+
+  // Leagues missing from the lookup are kept: unknown is not "no coverage"
+  const league = leagues?.get(id);
+  if (!league) return null;
+
+  if (
+    config.competitionTypes.length > 0 &&
+    league.type !== null &&
+    !config.competitionTypes.includes(league.type)
+  ) {
+    return "competition_type";
+  }
+  if (
+    config.requireStatistics &&
+    league.statisticsBySeason.get(fixture.league?.season) === false
+  ) {
+    return "no_statistics";
+  }
+  return null;
+}
+
+/**
+ * Drops the live fixtures the configured filters exclude, so that no
+ * statistics requests are spent on them, and counts them by reason.
+ */
+export function filterFixtures(
+  fixtures: any[],
+  config: LeagueFilterConfig,
+  leagues: Map<number, LeagueInfo> | null,
+): FixtureFilterResult {
+  const kept: any[] = [];
+  const skipped: Partial<Record<SkipReason, number>> = {};
+
+  for (const fixture of fixtures) {
+    const reason = skipReason(fixture, config, leagues);
+    if (reason) {
+      skipped[reason] = (skipped[reason] ?? 0) + 1;
+    } else {
+      kept.push(fixture);
+    }
+  }
+
+  return { fixtures: kept, skipped };
+}
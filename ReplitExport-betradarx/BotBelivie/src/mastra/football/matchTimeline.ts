@@ -0,0 +1,55 @@
+import type { GoalEvent } from "./goalVerification";
+
+// Match-clock helpers shared by the game state, the backtest and the evaluations
+
+export const TIMING_PERIODS = [
+  { label: "0-15", from: 0, to: 15 },
+  { label: "16-30", from: 16, to: 30 },
+  { label: "31-45", from: 31, to: 45 },
+  { label: "46-60", from: 46, to: 60 },
+  { label: "61-75", from: 61, to: 75 },
+  { label: "76-90", from: 76, to: 90 },
+  { label: "90+", from: 91, to: Number.POSITIVE_INFINITY },
+];
+
+export function timingPeriod(minute: number): string {
+  return (
+    TIMING_PERIODS.find(
+      (period) => minute >= period.from && minute <= period.to,
+    )?.label ?? "90+"
+  );
+}
+
+/** A fixture's clock and score at one polling cycle. */
+export type ScoreFrame = {
+  minute: number;
+  goalsHome: number;
+  goalsAway: number;
+};
+
+/**
+ * Rebuilds the goal list from how the score moved between frames. Each goal
+ * is placed at the first frame showing it; a score that goes down (VAR)
+ * removes that side's latest goal.
+ */
+export function goalsFromScoreProgression(frames: ScoreFrame[]): GoalEvent[] {
+  const sides = { home: [] as GoalEvent[], away: [] as GoalEvent[] };
+
+  for (const frame of frames) {
+    for (const side of ["home", "away"] as const) {
+      const goals = side === "home" ? frame.goalsHome : frame.goalsAway;
+      while (sides[side].length < goals) {
+        sides[side].push({
+          minute: frame.minute,
+          extra: null,
+          teamId: null,
+          teamName: side,
+          type: "Goal",
+        });
+      }
+      if (sides[side].length > goals) sides[side].length = goals;
+    }
+  }
+
+  return [...sides.home, ...sides.away].sort((a, b) => a.minute - b.minute);
+}
@@ -0,0 +1,670 @@
+import type { Mastra } from "@mastra/core";
+import type { RuntimeContext } from "@mastra/core/runtime-context";
+import pg from "pg";
+import { alertCopywriterAgent } from "../agents/alertCopywriterAgent";
+import {
+  DEFAULT_LANGUAGE,
+  isTelegramHtml,
+  renderForLanguages,
+  translator,
+  type Language,
+} from "../telegram/i18n";
+import { calculatePressure } from "../tools/calculatePressure";
+import { fetchLiveFixtures } from "../tools/fetchLiveFixtures";
+import { getCurrentThresholds } from "../tools/getCurrentThresholds";
+import { getFixtureStats } from "../tools/getFixtureStats";
+import { sendTelegramMessage } from "../tools/sendTelegramMessage";
+import { storeAlert } from "../tools/storeAlert";
+import { verifyGoalOutcomes } from "../tools/verifyGoalOutcomes";
+import {
+  evaluateAlert,
+  getAlertMinTier,
+  type AlertDecision,
+  type AlertThresholds,
+} from "./alertRules";
+import { getCycleRequestBudget, getQuotaState } from "./apiFootball";
+import { readNumberEnv } from "./config";
+import { checkAlertCooldown, recordSuppressedAlert } from "./cooldown";
+import { recordEvaluation, settleEvaluations } from "./evaluations";
+import { pressureRates, readGameState } from "./gameState";
+import { parseVerificationWindow } from "./goalVerification";
+import {
+  buildFeatures,
+  loadActiveModel,
+  predictProbability,
+  type GoalProbabilityModel,
+} from "./probabilityModel";
+import {
+  DEFAULT_PRESSURE_FORMULA,
+  loadPressureFormulaOrDefault,
+  type PressureFormula,
+} from "./pressureFormula";
+import {
+  getWindowBaselines,
+  saveStatsSnapshot,
+  type WindowBaseline,
+} from "./snapshots";
+import {
+  GLOBAL_SCOPE,
+  levelOf,
+  thresholdsForFixture,
+  thresholdsForState,
+  type ScopedThresholds,
+  type StateThresholdSet,
+} from "./thresholds";
+
+export type MonitorCycleResult = {
+  fixturesChecked: number;
+  alertsSent: number;
+  alertsSuppressed: number;
+  alertsVerified: number;
+  fixturesThrottled: number;
+  // Live fixtures left out by the league filters and coverage lookup
+  fixturesFiltered: number;
+  errors: number;
+  summary: string;
+};
+
+type ToolRunOptions = {
+  mastra?: Mastra;
+  runtimeContext: RuntimeContext;
+};
+
+type PressureResult = Awaited<
+  ReturnType<NonNullable<typeof calculatePressure.execute>>
+>;
+
+const CORNER_WINDOW = 10;
+
+/**
+ * Alert text in `language`, with the score line in bold. Team and league
+ * names are escaped for HTML, the parse mode alerts are sent with.
+ */
+export function formatAlertMessage(
+  fixture: any,
+  pressure: PressureResult,
+  decision: AlertDecision,
+  prediction: { probability: number; horizon: string } | null = null,
+  language: Language = DEFAULT_LANGUAGE,
+): string {
+  const t = translator(language, "HTML");
+  const league = fixture.league?.name;
+
+  const lines = [
+    `<b>${t("alert.header", {
+      home: fixture.teams?.home?.name ?? t("team.home"),
+      away: fixture.teams?.away?.name ?? t("team.away"),
+      goalsHome: fixture.goals?.home ?? 0,
+      goalsAway: fixture.goals?.away ?? 0,
+    })}</b>`,
+    ...(league ? [t("alert.league", { league })] : []),
+    t("alert.pressure", {
+      minute: fixture.fixture?.status?.elapsed ?? 0,
+      total: Math.round(pressure.pressTotal),
+      home: Math.round(pressure.pressHome),
+      away: Math.round(pressure.pressAway),
+    }),
+    t("alert.shotsCorners", {
+      shotsHome: pressure.shotsHome,
+      shotsAway: pressure.shotsAway,
+      cornersHome: pressure.cornersHome,
+      cornersAway: pressure.cornersAway,
+    }),
+    ...(decision.recentCorners !== null
+      ? [
+          t("alert.recentCorners", {
+            window: CORNER_WINDOW,
+            count: decision.recentCorners,
+          }),
+        ]
+      : []),
+    t("alert.pressureDiff", { diff: Math.round(pressure.pressDiff) }),
+    ...(decision.pressingSide
+      ? [
+          t("alert.pressing", {
+            team:
+              fixture.teams?.[decision.pressingSide]?.name ??
+              t(`team.${decision.pressingSide}`),
+          }),
+        ]
+      : []),
+    t("alert.tier", {
+      tier: t(`tier.${decision.tier}`),
+      cornerRace: t(decision.cornerRace ? "value.yes" : "value.no"),
+    }),
+    ...(prediction
+      ? [
+          t("alert.probability", {
+            horizon: prediction.horizon,
+            probability: Math.round(prediction.probability * 100),
+          }),
+        ]
+      : []),
+    t("alert.reasons", {
+      reasons: decision.reasons
+        .map((reason) => t(`reason.${reason}`))
+        .join(", "),
+    }),
+    t("alert.fixtureId", { id: fixture.fixture?.id }),
+  ];
+
+  return lines.join("\n");
+}
+
+/**
+ * Rewords an alert with the tool-less copywriter agent. Anything Telegram
+ * would reject as HTML falls back to the template.
+ */
+async function rewordAlertMessage(
+  message: string,
+  mastra?: Mastra,
+): Promise<string> {
+  const logger = mastra?.getLogger();
+
+  try {
+    const response = await alertCopywriterAgent.generateLegacy([
+      { role: "user", content: message },
+    ]);
+
+    const text = response.text.trim();
+    if (text.length === 0) return message;
+    if (!isTelegramHtml(text)) {
+      logger?.warn(
+        "⚠️ [monitor] Reworded alert is not valid HTML, using template",
+      );
+      return message;
+    }
+    return text;
+  } catch (error: any) {
+    logger?.warn("⚠️ [monitor] Could not reword alert, using template", {
+      error: error.message,
+    });
+    return message;
+  }
+}
+
+type CycleContext = {
+  thresholds: AlertThresholds;
+  thresholdVersion: number | null;
+  // League and team rows, chosen per fixture over the global thresholds
+  scoped: ScopedThresholds[];
+  // Overrides by minute band and game state, applied over the chosen row
+  stateSets: StateThresholdSet[];
+  formula: PressureFormula;
+  model: GoalProbabilityModel | null;
+  db: pg.Client | null;
+};
+
+type FixtureOutcome = "skipped" | "no_alert" | "suppressed" | "sent" | "error";
+
+async function processFixture(
+  fixture: any,
+  {
+    thresholds: globalThresholds,
+    thresholdVersion: globalVersion,
+    scoped,
+    stateSets,
+    formula,
+    model,
+    db,
+  }: CycleContext,
+  { mastra, runtimeContext }: ToolRunOptions,
+): Promise<FixtureOutcome> {
+  const logger = mastra?.getLogger();
+  const toolOptions = { mastra, runtimeContext };
+
+  const fixtureId: number | undefined = fixture.fixture?.id;
+  if (!fixtureId) return "skipped";
+
+  const minute: number = fixture.fixture?.status?.elapsed ?? 0;
+  const goalsAtAlert = (fixture.goals?.home ?? 0) + (fixture.goals?.away ?? 0);
+
+  const statsResult = await getFixtureStats.execute!({
+    context: { fixtureId },
+    ...toolOptions,
+  });
+
+  if (!statsResult.success || statsResult.stats.length < 2) {
+    logger?.info("⏭️ [monitor] No statistics for fixture, skipping", {
+      fixtureId,
+    });
+    return "skipped";
+  }
+
+  let baselines: WindowBaseline[] = [];
+  if (db) {
+    baselines = await getWindowBaselines(db, fixtureId, minute);
+  }
+
+  const pressure = await calculatePressure.execute!({
+    context: { stats: statsResult.stats, baselines, formula },
+    ...toolOptions,
+  });
+
+  if (!pressure.success) return "error";
+
+  if (db) {
+    await saveStatsSnapshot(db, {
+      fixtureId,
+      leagueId: fixture.league?.id ?? null,
+      minute,
+      status: fixture.fixture?.status?.short ?? null,
+      goalsHome: fixture.goals?.home ?? 0,
+      goalsAway: fixture.goals?.away ?? 0,
+      attacksHome: pressure.attacksHome,
+      attacksAway: pressure.attacksAway,
+      shotsHome: pressure.shotsHome,
+      shotsAway: pressure.shotsAway,
+      cornersHome: pressure.cornersHome,
+      cornersAway: pressure.cornersAway,
+      statistics: statsResult.stats,
+    });
+  }
+
+  const cornerWindow = pressure.windowed.find(
+    (entry) => entry.window === CORNER_WINDOW,
+  );
+
+  const probability = model
+    ? predictProbability(
+        model,
+        buildFeatures({
+          pressTotal: pressure.pressTotal,
+          pressDiff: pressure.pressDiff,
+          shotsOnGoal: pressure.shotsHome + pressure.shotsAway,
+          corners: pressure.cornersHome + pressure.cornersAway,
+          minute,
+          goalsHome: fixture.goals?.home ?? 0,
+          goalsAway: fixture.goals?.away ?? 0,
+          attacks10: cornerWindow?.attacks ?? null,
+          shotsOnGoal10: cornerWindow?.shotsOnGoal ?? null,
+          corners10: cornerWindow?.corners ?? null,
+        }),
+      )
+    : null;
+
+  const scopedRow = thresholdsForFixture(scoped, {
+    leagueId: fixture.league?.id ?? null,
+    homeTeamId: fixture.teams?.home?.id ?? null,
+    awayTeamId: fixture.teams?.away?.id ?? null,
+  });
+  const thresholdVersion = scopedRow ? scopedRow.version : globalVersion;
+
+  const gameState = readGameState(fixture);
+  const { thresholds, set: stateSet } = thresholdsForState(
+    scopedRow
+      ? {
+          ...globalThresholds,
+          thresholdTotal: scopedRow.thresholdTotal,
+          thresholdDiff: scopedRow.thresholdDiff,
+          escanteios10min: scopedRow.escanteios10min,
+          shotsMin: scopedRow.shotsMin,
+        }
+      : globalThresholds,
+    stateSets,
+    gameState,
+    scopedRow ?? GLOBAL_SCOPE,
+  );
+  const { pressTotalRate } = pressureRates(pressure, minute);
+
+  const decision = evaluateAlert(
+    {
+      ...pressure,
+      minute,
+      recentCorners: cornerWindow?.corners ?? null,
+      probability,
+    },
+    thresholds,
+  );
+
+  logger?.info("📊 [monitor] Fixture evaluated", {
+    fixtureId,
+    minute,
+    pressTotal: pressure.pressTotal,
+    pressDiff: pressure.pressDiff,
+    pressTotalRate,
+    thresholdLevel: levelOf(scopedRow ?? GLOBAL_SCOPE),
+    thresholdVersion,
+    gameState,
+    stateThresholdId: stateSet?.id ?? null,
+    stateThresholdVersion: stateSet?.version ?? null,
+    recentCorners: decision.recentCorners,
+    probability,
+    reasons: decision.reasons,
+    tier: decision.tier,
+    cornerRace: decision.cornerRace,
+    pressingSide: decision.pressingSide,
+  });
+
+  // Every outcome is recorded so misses can be measured, not just alerts
+  const recordOutcome = async (alerted: boolean, alertId?: number) => {
+    if (!db) return;
+    try {
+      await recordEvaluation(
+        db,
+        {
+          fixtureId,
+          minute,
+          pressTotal: pressure.pressTotal,
+          pressDiff: pressure.pressDiff,
+          shotsOnGoal: decision.shotsOnGoal,
+          corners: decision.corners,
+          recentCorners: decision.recentCorners,
+          goalsAtEval: goalsAtAlert,
+          probability,
+          thresholdVersion,
+          formulaVersion: pressure.formulaVersion,
+          ruleFired: decision.shouldAlert,
+          alerted,
+          alertId,
+        },
+        thresholds,
+      );
+    } catch (error: any) {
+      logger?.warn("⚠️ [monitor] Could not record evaluation", {
+        fixtureId,
+        error: error.message,
+      });
+    }
+  };
+
+  if (!decision.shouldAlert) {
+    await recordOutcome(false);
+    return "no_alert";
+  }
+
+  if (db) {
+    const cooldown = await checkAlertCooldown(
+      db,
+      fixtureId,
+      minute,
+      pressure.pressTotal,
+    );
+
+    if (!cooldown.allowed) {
+      await recordSuppressedAlert(db, {
+        fixtureId,
+        minute,
+        pressTotal: pressure.pressTotal,
+        pressDiff: pressure.pressDiff,
+        reason: cooldown.reason,
+        lastAlertId: cooldown.lastAlertId,
+      });
+
+      logger?.info("🔕 [monitor] Alert suppressed by cooldown", {
+        fixtureId,
+        minute,
+        reason: cooldown.reason,
+        lastAlertId: cooldown.lastAlertId,
+      });
+      await recordOutcome(false);
+      return "suppressed";
+    }
+  }
+
+  const prediction =
+    model && probability !== null
+      ? { probability, horizon: model.horizon }
+      : null;
+  const translations = renderForLanguages((language) =>
+    formatAlertMessage(fixture, pressure, decision, prediction, language),
+  );
+  // Only the default language is reworded; the other languages keep the template
+  if (process.env.ALERT_MESSAGE_LLM === "true") {
+    translations[DEFAULT_LANGUAGE] = await rewordAlertMessage(
+      translations[DEFAULT_LANGUAGE],
+      mastra,
+    );
+  }
+
+  // Stored before delivery so each recipient's delivery can reference it
+  const stored = await storeAlert.execute!({
+    context: {
+      fixtureId,
+      minute,
+      pressTotal: pressure.pressTotal,
+      pressDiff: pressure.pressDiff,
+      corners: decision.corners,
+      shotsOnGoal: decision.shotsOnGoal,
+      goalsAtAlert,
+      formulaVersion: pressure.formulaVersion,
+      thresholdVersion: thresholdVersion ?? undefined,
+      goalProbability: probability ?? undefined,
+      modelId: model?.id,
+      leagueId: fixture.league?.id,
+      leagueName: fixture.league?.name,
+      leagueCountry: fixture.league?.country,
+      homeTeam: fixture.teams?.home?.name,
+      awayTeam: fixture.teams?.away?.name,
+      tier: decision.tier,
+      cornerRace: decision.cornerRace,
+      pressHome: pressure.pressHome,
+      pressAway: pressure.pressAway,
+      pressingSide: decision.pressingSide ?? undefined,
+      homeTeamId: fixture.teams?.home?.id,
+      awayTeamId: fixture.teams?.away?.id,
+      minuteBand: gameState.minuteBand,
+      scoreDiff: gameState.scoreDiff,
+      redCardsHome: gameState.redCardsHome,
+      redCardsAway: gameState.redCardsAway,
+      pressTotalRate,
+      stateThresholdId: stateSet?.id,
+      stateThresholdVersion: stateSet?.version,
+    },
+    ...toolOptions,
+  });
+
+  // The cooldown reads stored alerts, so an alert sent without its row would
+  // be sent again every cycle; without a database there is no cooldown to keep
+  if (db && !stored.success) {
+    logger?.error("❌ [monitor] Alert could not be stored, not sent", {
+      fixtureId,
+      error: stored.error,
+    });
+    await recordOutcome(false);
+    return "error";
+  }
+
+  await recordOutcome(stored.success, stored.alertId);
+
+  const sent = await sendTelegramMessage.execute!({
+    context: {
+      message: translations[DEFAULT_LANGUAGE],
+      parseMode: "HTML",
+      translations,
+      alert: {
+        alertId: stored.alertId ?? null,
+        leagueId: fixture.league?.id ?? null,
+        probability,
+        tier: decision.tier,
+        belowThreshold: decision.belowThreshold,
+      },
+    },
+    ...toolOptions,
+  });
+
+  if (!sent.success) return "error";
+
+  logger?.info("📨 [monitor] Alert delivered", {
+    fixtureId,
+    recipients: sent.recipients,
+    sent: sent.sent,
+    failed: sent.failed,
+  });
+
+  return "sent";
+}
+
+/**
+ * Runs one monitoring pass: evaluates every live fixture against the current
+ * thresholds, sends and stores the alerts that fire, then settles older alerts
+ * and evaluations.
+ */
+export async function runMonitorCycle({
+  mastra,
+  runtimeContext,
+}: ToolRunOptions): Promise<MonitorCycleResult> {
+  const logger = mastra?.getLogger();
+  const toolOptions = { mastra, runtimeContext };
+
+  let fixturesChecked = 0;
+  let alertsSent = 0;
+  let alertsSuppressed = 0;
+  let fixturesThrottled = 0;
+  let errors = 0;
+
+  const connectionString = process.env.DATABASE_URL;
+  const db = connectionString ? new pg.Client({ connectionString }) : null;
+  if (db) {
+    await db.connect();
+  } else {
+    logger?.warn(
+      "⚠️ [monitor] DATABASE_URL not found, cooldown and stats snapshots are disabled",
+    );
+  }
+
+  try {
+    const thresholds = await getCurrentThresholds.execute!({
+      context: {},
+      ...toolOptions,
+    });
+
+    const formula = db
+      ? await loadPressureFormulaOrDefault(db, logger)
+      : DEFAULT_PRESSURE_FORMULA;
+
+    // A model learned one formula's pressure scale and is not used with another
+    const activeModel = db ? await loadActiveModel(db) : null;
+    const model =
+      activeModel?.formulaVersion === formula.version ? activeModel : null;
+    if (activeModel && !model) {
+      logger?.warn(
+        "⚠️ [monitor] Goal model trained on another pressure formula, not used",
+        {
+          modelId: activeModel.id,
+          modelFormulaVersion: activeModel.formulaVersion ?? null,
+          formulaVersion: formula.version,
+        },
+      );
+    }
+
+    const live = await fetchLiveFixtures.execute!({
+      context: {},
+      ...toolOptions,
+    });
+
+    if (!live.success) {
+      errors++;
+      logger?.error("❌ [monitor] Could not fetch live fixtures", {
+        error: live.error,
+      });
+    }
+
+    const fixturesFiltered = live.skipped;
+    if (fixturesFiltered > 0) {
+      logger?.info("🚫 [monitor] Fixtures skipped by league filters", {
+        fixturesFiltered,
+        reasons: live.skippedByReason,
+      });
+    }
+
+    // One statistics request per fixture; stop early when the plan is running low
+    let requestBudget = await getCycleRequestBudget(logger);
+
+    for (const fixture of live.fixtures) {
+      if (requestBudget <= 0) {
+        fixturesThrottled++;
+        continue;
+      }
+      requestBudget--;
+
+      let outcome: FixtureOutcome;
+      try {
+        outcome = await processFixture(
+          fixture,
+          {
+            thresholds: {
+              ...thresholds,
+              minProbability: process.env.ALERT_MIN_PROBABILITY
+                ? readNumberEnv("ALERT_MIN_PROBABILITY", 0.5)
+                : null,
+              minTier: getAlertMinTier(),
+            },
+            thresholdVersion: thresholds.version,
+            scoped: thresholds.scoped,
+            stateSets: thresholds.stateSets,
+            formula,
+            model,
+            db,
+          },
+          toolOptions,
+        );
+      } catch (error: any) {
+        logger?.error("❌ [monitor] Error evaluating fixture", {
+          fixtureId: fixture.fixture?.id,
+          error: error.message,
+        });
+        outcome = "error";
+      }
+
+      if (outcome !== "skipped") fixturesChecked++;
+      if (outcome === "sent") alertsSent++;
+      if (outcome === "suppressed") alertsSuppressed++;
+      if (outcome === "error") errors++;
+    }
+
+    const verification = await verifyGoalOutcomes.execute!({
+      context: {},
+      ...toolOptions,
+    });
+
+    if (!verification.success) errors++;
+
+    if (db) {
+      try {
+        const settled = await settleEvaluations(
+          db,
+          parseVerificationWindow(process.env.GOAL_VERIFY_WINDOW),
+        );
+        logger?.info("🧾 [monitor] Evaluations settled", { settled });
+      } catch (error: any) {
+        errors++;
+        logger?.error("❌ [monitor] Could not settle evaluations", {
+          error: error.message,
+        });
+      }
+    }
+
+    if (fixturesThrottled > 0) {
+      logger?.warn("🐢 [monitor] API quota running low, fixtures skipped", {
+        fixturesThrottled,
+        quota: getQuotaState(),
+      });
+    }
+
+    const summary = `Checked ${fixturesChecked} of ${live.count} live fixtures${fixturesFiltered > 0 ? ` (${fixturesFiltered} more left out by league filters)` : ""}, sent ${alertsSent} alerts, suppressed ${alertsSuppressed}, verified ${verification.updated} alerts${fixturesThrottled > 0 ? `, skipped ${fixturesThrottled} to save API quota` : ""}`;
+
+    logger?.info("✅ [monitor] Cycle completed", {
+      fixturesChecked,
+      alertsSent,
+      alertsSuppressed,
+      alertsVerified: verification.updated,
+      fixturesThrottled,
+      fixturesFiltered,
+      errors,
+    });
+
+    return {
+      fixturesChecked,
+      alertsSent,
+      alertsSuppressed,
+      alertsVerified: verification.updated,
+      fixturesThrottled,
+      fixturesFiltered,
+      errors,
+      summary,
+    };
+  } finally {
+    await db?.end();
+  }
+}
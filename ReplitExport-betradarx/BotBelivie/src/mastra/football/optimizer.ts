@@ -0,0 +1,379 @@
+import type { CooldownConfig } from "./cooldown";
+import { readNumberEnv } from "./config";
+import {
+  NO_OVERRIDES,
+  scoreThresholds,
+  type BacktestScore,
+  type EvaluatedFixture,
+  type ThresholdOverrides,
+} from "./backtest";
+import type { ThresholdValues } from "./thresholds";
+
+/**
+ * `precision`: highest lower confidence bound of the hit rate while keeping
+ * at least `minAlertsPerDay`. `hits`: most hits per day while keeping the
+ * hit rate at or above `minPrecision`.
+ */
+export type OptimizerObjective = "precision" | "hits";
+
+export type OptimizerConfig = {
+  objective: OptimizerObjective;
+  minAlertsPerDay: number;
+  // Percentage
+  minPrecision: number;
+  // Settled alerts a set needs, in training and in validation
+  minSettled: number;
+  // Percentage points (precision) or percent more hits per day (hits)
+  minImprovement: number;
+  lookbackDays: number;
+  // Newest share of fixtures kept out of the search to judge the proposal
+  validationShare: number;
+  // Fixtures a league needs in the lookback before it is tuned on its own
+  leagueMinFixtures: number;
+  // minAlertsPerDay for a single league, which sees far fewer matches a day
+  leagueMinAlertsPerDay: number;
+};
+
+export type ScoreSummary = {
+  alerts: number;
+  settled: number;
+  hits: number;
+  hitRate: number;
+  hitRateLower: number;
+  hitRateUpper: number;
+  alertsPerDay: number;
+  hitsPerDay: number;
+};
+
+export type OptimizationResult = {
+  objective: OptimizerObjective;
+  candidatesEvaluated: number;
+  trainFixtures: number;
+  validationFixtures: number;
+  current: ThresholdValues;
+  proposed: ThresholdValues | null;
+  currentValidation: ScoreSummary | null;
+  proposedValidation: ScoreSummary | null;
+  apply: boolean;
+  reason: string;
+};
+
+type Range = { min: number; max: number; step: number };
+
+// Daily analysis has always kept thresholds within these bounds
+export const SEARCH_SPACE: Record<keyof ThresholdValues, Range> = {
+  thresholdTotal: { min: 50, max: 120, step: 5 },
+  thresholdDiff: { min: 10, max: 30, step: 2.5 },
+  escanteios10min: { min: 2, max: 6, step: 1 },
+  shotsMin: { min: 1, max: 4, step: 1 },
+};
+
+const PARAMETERS = Object.keys(SEARCH_SPACE) as (keyof ThresholdValues)[];
+// The coarse grid uses this many search steps per grid step
+const COARSE_FACTOR = 2;
+const Z_95 = 1.96;
+const Z_ONE_SIDED_95 = 1.645;
+
+export function getOptimizerConfig(): OptimizerConfig {
+  return {
+    objective:
+      process.env.OPTIMIZER_OBJECTIVE === "hits" ? "hits" : "precision",
+    minAlertsPerDay: readNumberEnv("OPTIMIZER_MIN_ALERTS_PER_DAY", 3),
+    minPrecision: readNumberEnv("OPTIMIZER_MIN_PRECISION", 50),
+    minSettled: readNumberEnv("OPTIMIZER_MIN_SETTLED", 30),
+    minImprovement: readNumberEnv("OPTIMIZER_MIN_IMPROVEMENT", 5),
+    lookbackDays: readNumberEnv("OPTIMIZER_LOOKBACK_DAYS", 14),
+    validationShare: 0.3,
+    leagueMinFixtures: readNumberEnv("OPTIMIZER_LEAGUE_MIN_FIXTURES", 20),
+    leagueMinAlertsPerDay: readNumberEnv(
+      "OPTIMIZER_LEAGUE_MIN_ALERTS_PER_DAY",
+      0.5,
+    ),
+  };
+}
+
+/** Wilson score interval for a proportion, in percent. */
+export function wilsonInterval(
+  successes: number,
+  trials: number,
+  z = Z_95,
+): { lower: number; upper: number } {
+  if (trials === 0) return { lower: 0, upper: 100 };
+
+  const p = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const centre = p + (z * z) / (2 * trials);
+  const margin =
+    z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials));
+
+  return {
+    lower: Math.round(((centre - margin) / denominator) * 10000) / 100,
+    upper: Math.round(((centre + margin) / denominator) * 10000) / 100,
+  };
+}
+
+function summarize(score: BacktestScore): ScoreSummary {
+  const interval = wilsonInterval(score.hits, score.settled);
+  return {
+    alerts: score.alerts,
+    settled: score.settled,
+    hits: score.hits,
+    hitRate: score.hitRate,
+    hitRateLower: interval.lower,
+    hitRateUpper: interval.upper,
+    alertsPerDay: score.alertsPerDay,
+    hitsPerDay:
+      score.days > 0 ? Math.round((score.hits / score.days) * 100) / 100 : 0,
+  };
+}
+
+/** Objective value of a set on the training data; null when it is infeasible. */
+function objectiveValue(
+  summary: ScoreSummary,
+  config: OptimizerConfig,
+): number | null {
+  if (summary.settled < config.minSettled) return null;
+
+  if (config.objective === "precision") {
+    if (summary.alertsPerDay < config.minAlertsPerDay) return null;
+    return summary.hitRateLower;
+  }
+
+  if (summary.hitRate < config.minPrecision) return null;
+  return summary.hitsPerDay;
+}
+
+function gridValues(range: Range, step: number): number[] {
+  const values: number[] = [];
+  for (let value = range.min; value <= range.max + 1e-9; value += step) {
+    values.push(Math.round(value * 100) / 100);
+  }
+  return values;
+}
+
+function keyOf(values: ThresholdValues): string {
+  return PARAMETERS.map((name) => values[name]).join("|");
+}
+
+/**
+ * Decides whether the proposal beats the current set on validation data by
+ * a significant margin: a one-sided two-proportion z-test on the hit rate
+ * (precision) or on the hit count (hits), plus the configured minimum
+ * improvement.
+ */
+function isSignificant(
+  proposed: ScoreSummary,
+  current: ScoreSummary,
+  config: OptimizerConfig,
+): { significant: boolean; reason: string } {
+  if (proposed.settled < config.minSettled) {
+    return {
+      significant: false,
+      reason: `Only ${proposed.settled} settled validation alerts (need ${config.minSettled})`,
+    };
+  }
+
+  if (config.objective === "precision") {
+    if (proposed.alertsPerDay < config.minAlertsPerDay) {
+      return {
+        significant: false,
+        reason: `Validation volume ${proposed.alertsPerDay}/day is below ${config.minAlertsPerDay}/day`,
+      };
+    }
+
+    const gain = proposed.hitRate - current.hitRate;
+    if (gain < config.minImprovement) {
+      return {
+        significant: false,
+        reason: `Hit rate gain ${gain.toFixed(2)} pp is below ${config.minImprovement} pp`,
+      };
+    }
+
+    if (current.settled > 0) {
+      const pooled =
+        (proposed.hits + current.hits) / (proposed.settled + current.settled);
+      const se = Math.sqrt(
+        pooled * (1 - pooled) * (1 / proposed.settled + 1 / current.settled),
+      );
+      const z = se > 0 ? gain / 100 / se : 0;
+      if (z < Z_ONE_SIDED_95) {
+        return {
+          significant: false,
+          reason: `Hit rate gain is not significant (z = ${z.toFixed(2)})`,
+        };
+      }
+    }
+
+    return {
+      significant: true,
+      reason: `Hit rate ${current.hitRate}% -> ${proposed.hitRate}% on validation data`,
+    };
+  }
+
+  if (proposed.hitRate < config.minPrecision) {
+    return {
+      significant: false,
+      reason: `Validation hit rate ${proposed.hitRate}% is below ${config.minPrecision}%`,
+    };
+  }
+
+  const required = current.hits * (1 + config.minImprovement / 100);
+  if (proposed.hits < required) {
+    return {
+      significant: false,
+      reason: `${proposed.hits} validation hits do not beat ${current.hits} by ${config.minImprovement}%`,
+    };
+  }
+
+  // Hit counts over the same fixtures, compared as Poisson counts
+  const totalHits = proposed.hits + current.hits;
+  const z =
+    totalHits > 0 ? (proposed.hits - current.hits) / Math.sqrt(totalHits) : 0;
+  if (z < Z_ONE_SIDED_95) {
+    return {
+      significant: false,
+      reason: `Hit count gain is not significant (z = ${z.toFixed(2)})`,
+    };
+  }
+
+  return {
+    significant: true,
+    reason: `Hits ${current.hits} -> ${proposed.hits} on validation data`,
+  };
+}
+
+/**
+ * Searches the threshold space on the older fixtures: a coarse grid first,
+ * then a hill climb over single-step neighbours of the best set. The winner
+ * is compared with the current set on the newest fixtures, which the search
+ * never saw, and only proposed for use if it is significantly better.
+ *
+ * `fixtures` must be in chronological order. Every set is scored with
+ * `overrides` applied over it; leave out fixtures that a more specific
+ * thresholds row covers, since the set would never apply to them.
+ */
+export function optimizeThresholds(
+  fixtures: EvaluatedFixture[],
+  current: ThresholdValues,
+  cooldown: CooldownConfig,
+  config: OptimizerConfig = getOptimizerConfig(),
+  overrides: ThresholdOverrides = NO_OVERRIDES,
+): OptimizationResult {
+  const splitIndex = Math.floor(fixtures.length * (1 - config.validationShare));
+  const train = fixtures.slice(0, splitIndex);
+  const validation = fixtures.slice(splitIndex);
+
+  const scored = new Map<string, number | null>();
+  const score = (values: ThresholdValues): number | null => {
+    const key = keyOf(values);
+    if (!scored.has(key)) {
+      scored.set(
+        key,
+        objectiveValue(
+          summarize(scoreThresholds(train, values, cooldown, overrides)),
+          config,
+        ),
+      );
+    }
+    return scored.get(key)!;
+  };
+
+  const search = {
+    best: null as ThresholdValues | null,
+    score: Number.NEGATIVE_INFINITY,
+  };
+  const consider = (values: ThresholdValues): boolean => {
+    const value = score(values);
+    if (value !== null && value > search.score) {
+      search.best = values;
+      search.score = value;
+      return true;
+    }
+    return false;
+  };
+
+  consider(current);
+
+  const grids = PARAMETERS.map((name) =>
+    gridValues(SEARCH_SPACE[name], SEARCH_SPACE[name].step * COARSE_FACTOR),
+  );
+  const visit = (index: number, partial: Partial<ThresholdValues>) => {
+    if (index === PARAMETERS.length) {
+      consider(partial as ThresholdValues);
+      return;
+    }
+    for (const value of grids[index]) {
+      visit(index + 1, { ...partial, [PARAMETERS[index]]: value });
+    }
+  };
+  visit(0, {});
+
+  let improved = search.best !== null;
+  while (improved && search.best) {
+    improved = false;
+    const centre = search.best;
+    for (const name of PARAMETERS) {
+      const range = SEARCH_SPACE[name];
+      for (const direction of [-1, 1]) {
+        const value =
+          Math.round((centre[name] + direction * range.step) * 100) / 100;
+        if (value < range.min || value > range.max) continue;
+        if (consider({ ...centre, [name]: value })) improved = true;
+      }
+    }
+  }
+
+  const result = {
+    objective: config.objective,
+    candidatesEvaluated: scored.size,
+    trainFixtures: train.length,
+    validationFixtures: validation.length,
+    current,
+  };
+
+  const proposed = search.best;
+  if (!proposed) {
+    return {
+      ...result,
+      proposed: null,
+      currentValidation: null,
+      proposedValidation: null,
+      apply: false,
+      reason:
+        "No threshold set meets the objective's constraints on the training data",
+    };
+  }
+
+  const currentValidation = summarize(
+    scoreThresholds(validation, current, cooldown, overrides),
+  );
+  const proposedValidation = summarize(
+    scoreThresholds(validation, proposed, cooldown, overrides),
+  );
+
+  if (keyOf(proposed) === keyOf(current)) {
+    return {
+      ...result,
+      proposed,
+      currentValidation,
+      proposedValidation,
+      apply: false,
+      reason: "The current thresholds are already the best found",
+    };
+  }
+
+  const { significant, reason } = isSignificant(
+    proposedValidation,
+    currentValidation,
+    config,
+  );
+
+  return {
+    ...result,
+    proposed,
+    currentValidation,
+    proposedValidation,
+    apply: significant,
+    reason,
+  };
+}
@@ -0,0 +1,150 @@
+import type pg from "pg";
+import type { Logger } from "./apiFootball";
+import { isStatKey } from "./statistics";
+
+export type PressureFormula = {
+  version: number;
+  name: string;
+  // Weight per canonical stat key (see STAT_TYPES), applied to each team's value
+  weights: Record<string, number>;
+};
+
+// The formula every alert used before formulas were stored (version 1)
+export const DEFAULT_PRESSURE_FORMULA: PressureFormula = {
+  version: 1,
+  name: "baseline",
+  weights: { attacks: 0.5, shotsOnGoal: 1.5, corners: 0.8 },
+};
+
+export function teamPressure(
+  values: Record<string, number>,
+  formula: PressureFormula,
+): number {
+  let pressure = 0;
+  for (const [key, weight] of Object.entries(formula.weights)) {
+    pressure += (values[key] ?? 0) * weight;
+  }
+  return pressure;
+}
+
+/**
+ * Checks weights that come from outside the code (a stored row, tool input):
+ * at least one weight, every key a canonical stat key and every weight a
+ * finite number. Throws on the first problem.
+ */
+export function validatePressureWeights(
+  weights: unknown,
+): Record<string, number> {
+  if (
+    typeof weights !== "object" ||
+    weights === null ||
+    Array.isArray(weights)
+  ) {
+    throw new Error("Pressure formula weights must be an object");
+  }
+
+  const entries = Object.entries(weights);
+  if (entries.length === 0) {
+    throw new Error("Pressure formula weights are empty");
+  }
+  for (const [key, weight] of entries) {
+    if (!isStatKey(key)) {
+      throw new Error(`Unknown stat key in pressure formula weights: ${key}`);
+    }
+    if (typeof weight !== "number" || !Number.isFinite(weight)) {
+      throw new Error(`Pressure formula weight for ${key} is not a number`);
+    }
+  }
+  return weights as Record<string, number>;
+}
+
+/**
+ * The formula used for new alerts. A stored row with invalid weights throws
+ * rather than silently scoring pressure with them.
+ */
+export async function loadActivePressureFormula(
+  client: pg.Client,
+): Promise<PressureFormula> {
+  const result = await client.query(`
+    SELECT version, name, weights
+    FROM football_pressure_formulas
+    WHERE active = true
+    ORDER BY version DESC
+    LIMIT 1
+  `);
+
+  const row = result.rows[0];
+  if (!row) return DEFAULT_PRESSURE_FORMULA;
+
+  let weights: Record<string, number>;
+  try {
+    weights = validatePressureWeights(row.weights);
+  } catch (error: any) {
+    throw new Error(`Pressure formula v${row.version}: ${error.message}`);
+  }
+
+  return {
+    version: row.version,
+    name: row.name,
+    weights,
+  };
+}
+
+/**
+ * The active formula, or the default one when it cannot be loaded (an
+ * invalid stored row or a failed query), so scoring keeps going on the
+ * baseline instead of stopping.
+ */
+export async function loadPressureFormulaOrDefault(
+  client: pg.Client,
+  logger?: Logger,
+): Promise<PressureFormula> {
+  try {
+    return await loadActivePressureFormula(client);
+  } catch (error: any) {
+    logger?.warn(
+      "⚠️ [pressureFormula] Active formula unusable, using the default",
+      {
+        error: error.message,
+        version: DEFAULT_PRESSURE_FORMULA.version,
+      },
+    );
+    return DEFAULT_PRESSURE_FORMULA;
+  }
+}
+
+/**
+ * Stores a new formula version and, when `activate` is set, makes it the one
+ * used for new alerts. Existing versions are never modified.
+ */
+export async function createPressureFormula(
+  client: pg.Client,
+  formula: { name: string; weights: Record<string, number>; notes?: string },
+  activate = false,
+): Promise<number> {
+  const weights = validatePressureWeights(formula.weights);
+
+  await client.query("BEGIN");
+  try {
+    if (activate) {
+      await client.query(
+        "UPDATE football_pressure_formulas SET active = false WHERE active = true",
+      );
+    }
+
+    const result = await client.query(
+      `
+        INSERT INTO football_pressure_formulas (name, weights, notes, active)
+        VALUES ($1, $2, $3, $4)
+        RETURNING version
+      `,
+      [formula.name, JSON.stringify(weights), formula.notes ?? null, activate],
+    );
+
+    await client.query("COMMIT");
+    return result.rows[0].version;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
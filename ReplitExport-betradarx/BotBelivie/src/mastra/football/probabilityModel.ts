@@ -0,0 +1,444 @@
+import type pg from "pg";
+import {
+  rowToTotals,
+  selectWindowBaselines,
+  type TotalsAtMinute,
+} from "./snapshots";
+
+export const MODEL_KIND = "goal_probability";
+
+export const FEATURE_NAMES = [
+  "pressTotal",
+  "pressDiff",
+  "shotsOnGoal",
+  "corners",
+  "minute",
+  "totalGoals",
+  "goalDiff",
+  "attacks10",
+  "shotsOnGoal10",
+  "corners10",
+] as const;
+
+export type FeatureName = (typeof FEATURE_NAMES)[number];
+export type FeatureVector = Record<FeatureName, number>;
+
+export type ModelMetrics = {
+  trainSamples: number;
+  holdoutSamples: number;
+  baseRate: number;
+  logLoss: number;
+  baselineLogLoss: number;
+  brier: number;
+  auc: number | null;
+  accuracy: number;
+};
+
+export type GoalProbabilityModel = {
+  id?: number;
+  features: FeatureName[];
+  means: number[];
+  stds: number[];
+  weights: number[];
+  bias: number;
+  // Outcome window the labels were verified with (the evaluations' verification_window)
+  horizon: string;
+  // Pressure formula the pressure features were scored with; the model only
+  // scores fixtures while that formula is active
+  formulaVersion: number;
+  trainedAt: string;
+  metrics: ModelMetrics;
+};
+
+export type TrainingSample = {
+  features: FeatureVector;
+  label: boolean;
+  // Verification window the label was settled with
+  horizon: string;
+  // Inverse of the evaluation's sampling rate, so sampled minutes count for the ones skipped
+  weight: number;
+};
+
+// The delta window the 10-minute features use, as in the monitor
+const DELTA_WINDOW = 10;
+
+const LEARNING_RATE = 0.1;
+const ITERATIONS = 2000;
+const L2 = 0.01;
+const EPSILON = 1e-12;
+
+export function buildFeatures(input: {
+  pressTotal: number;
+  pressDiff: number;
+  shotsOnGoal: number;
+  corners: number;
+  minute: number;
+  goalsHome: number;
+  goalsAway: number;
+  attacks10?: number | null;
+  shotsOnGoal10?: number | null;
+  corners10?: number | null;
+}): FeatureVector {
+  return {
+    pressTotal: input.pressTotal,
+    pressDiff: input.pressDiff,
+    shotsOnGoal: input.shotsOnGoal,
+    corners: input.corners,
+    minute: input.minute,
+    totalGoals: input.goalsHome + input.goalsAway,
+    goalDiff: Math.abs(input.goalsHome - input.goalsAway),
+    attacks10: input.attacks10 ?? 0,
+    shotsOnGoal10: input.shotsOnGoal10 ?? 0,
+    corners10: input.corners10 ?? 0,
+  };
+}
+
+function sigmoid(z: number): number {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function weightedMean(values: number[], weights: number[]): number {
+  let total = 0;
+  let weightSum = 0;
+  for (let i = 0; i < values.length; i++) {
+    total += weights[i] * values[i];
+    weightSum += weights[i];
+  }
+  return weightSum > 0 ? total / weightSum : 0;
+}
+
+function logLoss(
+  probabilities: number[],
+  labels: boolean[],
+  weights: number[],
+): number {
+  return weightedMean(
+    probabilities.map((probability, i) => {
+      const p = Math.min(1 - EPSILON, Math.max(EPSILON, probability));
+      return labels[i] ? -Math.log(p) : -Math.log(1 - p);
+    }),
+    weights,
+  );
+}
+
+function areaUnderCurve(
+  probabilities: number[],
+  labels: boolean[],
+  weights: number[],
+): number | null {
+  let positives = 0;
+  let negatives = 0;
+  labels.forEach((label, i) => {
+    if (label) positives += weights[i];
+    else negatives += weights[i];
+  });
+  if (positives === 0 || negatives === 0) return null;
+
+  // Weighted Mann-Whitney: each positive counts the negative weight ranked
+  // below it, and half of the negative weight tied with it
+  const order = probabilities
+    .map((p, i) => ({ p, label: labels[i], weight: weights[i] }))
+    .sort((a, b) => a.p - b.p);
+
+  let pairs = 0;
+  let negativesBelow = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    let tiedPositives = 0;
+    let tiedNegatives = 0;
+    for (; j < order.length && order[j].p === order[i].p; j++) {
+      if (order[j].label) tiedPositives += order[j].weight;
+      else tiedNegatives += order[j].weight;
+    }
+    pairs += tiedPositives * (negativesBelow + tiedNegatives / 2);
+    negativesBelow += tiedNegatives;
+    i = j;
+  }
+
+  return pairs / (positives * negatives);
+}
+
+export function predictProbability(
+  model: GoalProbabilityModel,
+  features: FeatureVector,
+): number {
+  let z = model.bias;
+  model.features.forEach((name, i) => {
+    z += model.weights[i] * ((features[name] - model.means[i]) / model.stds[i]);
+  });
+  return sigmoid(z);
+}
+
+/**
+ * Fits a logistic regression with standardized features and L2
+ * regularization by batch gradient descent, each sample counted by its
+ * weight. The most recent 20% of samples (the input is expected in
+ * chronological order) are held out for metrics, weighted the same way.
+ */
+export function trainLogisticRegression(
+  samples: TrainingSample[],
+  horizon: string,
+  formulaVersion: number,
+): GoalProbabilityModel {
+  const splitIndex = Math.floor(samples.length * 0.8);
+  const train = samples.slice(0, splitIndex);
+  const holdout = samples.slice(splitIndex);
+  const features = [...FEATURE_NAMES];
+
+  const sampleWeights = train.map((sample) => sample.weight);
+  const totalWeight = sampleWeights.reduce((sum, w) => sum + w, 0) || 1;
+  const columns = features.map((name) =>
+    train.map((sample) => sample.features[name]),
+  );
+  const means = columns.map((values) => weightedMean(values, sampleWeights));
+  const stds = columns.map((values, i) => {
+    const variance = weightedMean(
+      values.map((v) => (v - means[i]) ** 2),
+      sampleWeights,
+    );
+    return Math.sqrt(variance) || 1;
+  });
+
+  const x = train.map((sample) =>
+    features.map((name, i) => (sample.features[name] - means[i]) / stds[i]),
+  );
+  const y: number[] = train.map((sample) => (sample.label ? 1 : 0));
+
+  const weights = new Array(features.length).fill(0);
+  let bias = 0;
+
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const gradW = new Array(features.length).fill(0);
+    let gradB = 0;
+
+    for (let n = 0; n < x.length; n++) {
+      let z = bias;
+      for (let i = 0; i < weights.length; i++) z += weights[i] * x[n][i];
+      const error = sampleWeights[n] * (sigmoid(z) - y[n]);
+      for (let i = 0; i < weights.length; i++) gradW[i] += error * x[n][i];
+      gradB += error;
+    }
+
+    for (let i = 0; i < weights.length; i++) {
+      weights[i] -= LEARNING_RATE * (gradW[i] / totalWeight + L2 * weights[i]);
+    }
+    bias -= LEARNING_RATE * (gradB / totalWeight);
+  }
+
+  const model: GoalProbabilityModel = {
+    features,
+    means,
+    stds,
+    weights,
+    bias,
+    horizon,
+    formulaVersion,
+    trainedAt: new Date().toISOString(),
+    metrics: {
+      trainSamples: train.length,
+      holdoutSamples: holdout.length,
+      baseRate: 0,
+      logLoss: 0,
+      baselineLogLoss: 0,
+      brier: 0,
+      auc: null,
+      accuracy: 0,
+    },
+  };
+
+  const labels = holdout.map((sample) => sample.label);
+  const holdoutWeights = holdout.map((sample) => sample.weight);
+  const predictions = holdout.map((sample) =>
+    predictProbability(model, sample.features),
+  );
+  const baseRate = weightedMean(y, sampleWeights);
+
+  model.metrics.baseRate = baseRate;
+  model.metrics.logLoss = logLoss(predictions, labels, holdoutWeights);
+  model.metrics.baselineLogLoss = logLoss(
+    labels.map(() => baseRate),
+    labels,
+    holdoutWeights,
+  );
+  model.metrics.brier = weightedMean(
+    predictions.map((p, i) => (p - (labels[i] ? 1 : 0)) ** 2),
+    holdoutWeights,
+  );
+  model.metrics.auc = areaUnderCurve(predictions, labels, holdoutWeights);
+  model.metrics.accuracy = weightedMean(
+    predictions.map((p, i) => (p >= 0.5 === labels[i] ? 1 : 0)),
+    holdoutWeights,
+  );
+
+  return model;
+}
+
+/**
+ * Builds training samples from the settled evaluations scored with pressure
+ * formula `formulaVersion`, so the model learns the whole population of
+ * fixture-minutes it scores live rather than only the ones that alerted.
+ * Each sample carries the evaluation's sample weight. At most `limit` of the
+ * newest evaluations are used, in chronological order.
+ *
+ * Score and 10-minute deltas come from the stats snapshots of the fixture:
+ * the one taken at the evaluated minute, and the baseline
+ * `selectWindowBaselines` picks from the earlier ones, exactly as the monitor
+ * does at runtime. Evaluations whose snapshots are gone (past
+ * SNAPSHOT_RETENTION_DAYS) are left out.
+ */
+export async function loadTrainingSamples(
+  client: pg.Client,
+  formulaVersion: number,
+  limit: number,
+): Promise<TrainingSample[]> {
+  const evaluations = await client.query(
+    `
+      SELECT * FROM (
+        SELECT
+          e.fixture_id, e.minute, e.press_total, e.press_diff, e.corners,
+          e.shots_on_goal, e.goal_happened, e.verification_window,
+          e.sample_weight, e.created_at,
+          cur.minute AS cur_minute, cur.goals_home, cur.goals_away,
+          cur.attacks_home, cur.attacks_away, cur.shots_home, cur.shots_away,
+          cur.corners_home, cur.corners_away
+        FROM football_evaluations e
+        JOIN LATERAL (
+          SELECT * FROM football_stats_snapshots s
+          WHERE s.fixture_id = e.fixture_id AND s.minute <= e.minute
+          ORDER BY s.minute DESC, s.captured_at DESC
+          LIMIT 1
+        ) cur ON true
+        WHERE e.goal_happened IS NOT NULL
+          AND e.verification_window IS NOT NULL
+          AND e.formula_version = $1
+        ORDER BY e.created_at DESC
+        LIMIT $2
+      ) newest
+      ORDER BY created_at ASC
+    `,
+    [formulaVersion, limit],
+  );
+
+  const fixtureIds = [
+    ...new Set(evaluations.rows.map((row) => Number(row.fixture_id))),
+  ];
+  const snapshots = await client.query(
+    `
+      SELECT DISTINCT ON (fixture_id, minute)
+        fixture_id, minute, attacks_home, attacks_away, shots_home, shots_away,
+        corners_home, corners_away
+      FROM football_stats_snapshots
+      WHERE fixture_id = ANY($1)
+      ORDER BY fixture_id, minute ASC, captured_at DESC
+    `,
+    [fixtureIds],
+  );
+
+  const histories = new Map<number, TotalsAtMinute[]>();
+  for (const row of snapshots.rows) {
+    const fixtureId = Number(row.fixture_id);
+    const history = histories.get(fixtureId) ?? [];
+    history.push({ minute: row.minute, ...rowToTotals(row) });
+    histories.set(fixtureId, history);
+  }
+
+  return evaluations.rows.map((row) => {
+    let attacks10: number | null = null;
+    let shotsOnGoal10: number | null = null;
+    let corners10: number | null = null;
+
+    const current = { minute: row.cur_minute, ...rowToTotals(row) };
+    const history = (histories.get(Number(row.fixture_id)) ?? []).filter(
+      (entry) => entry.minute < current.minute,
+    );
+    const [baseline] = selectWindowBaselines(history, current.minute, [
+      DELTA_WINDOW,
+    ]);
+
+    // Per-team deltas floored at zero, as calculatePressure computes them
+    if (baseline) {
+      const delta = (now: number, start: number) => Math.max(0, now - start);
+      attacks10 =
+        delta(current.attacksHome, baseline.attacksHome) +
+        delta(current.attacksAway, baseline.attacksAway);
+      shotsOnGoal10 =
+        delta(current.shotsHome, baseline.shotsHome) +
+        delta(current.shotsAway, baseline.shotsAway);
+      corners10 =
+        delta(current.cornersHome, baseline.cornersHome) +
+        delta(current.cornersAway, baseline.cornersAway);
+    }
+
+    return {
+      label: row.goal_happened,
+      horizon: row.verification_window,
+      weight: parseFloat(row.sample_weight),
+      features: buildFeatures({
+        pressTotal: parseFloat(row.press_total),
+        pressDiff: parseFloat(row.press_diff),
+        shotsOnGoal: row.shots_on_goal,
+        corners: row.corners,
+        minute: row.minute,
+        goalsHome: row.goals_home ?? 0,
+        goalsAway: row.goals_away ?? 0,
+        attacks10,
+        shotsOnGoal10,
+        corners10,
+      }),
+    };
+  });
+}
+
+export async function saveModel(
+  client: pg.Client,
+  model: GoalProbabilityModel,
+  activate: boolean,
+): Promise<number> {
+  await client.query("BEGIN");
+  try {
+    if (activate) {
+      await client.query(
+        "UPDATE football_models SET active = false WHERE kind = $1 AND active = true",
+        [MODEL_KIND],
+      );
+    }
+
+    const result = await client.query(
+      `
+        INSERT INTO football_models (kind, artifact, metrics, active)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+      `,
+      [
+        MODEL_KIND,
+        JSON.stringify(model),
+        JSON.stringify(model.metrics),
+        activate,
+      ],
+    );
+
+    await client.query("COMMIT");
+    return result.rows[0].id;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
+
+export async function loadActiveModel(
+  client: pg.Client,
+): Promise<GoalProbabilityModel | null> {
+  const result = await client.query(
+    `
+      SELECT id, artifact
+      FROM football_models
+      WHERE kind = $1 AND active = true
+      ORDER BY id DESC
+      LIMIT 1
+    `,
+    [MODEL_KIND],
+  );
+
+  const row = result.rows[0];
+  return row ? { ...row.artifact, id: row.id } : null;
+}
@@ -0,0 +1,110 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { gzipSync } from "node:zlib";
+import type { Logger, QueryParams } from "./apiFootball";
+import { readNumberEnv } from "./config";
+import type { RecordedResponse } from "./replayProvider";
+
+const FILE_PREFIX = "api-football-";
+const FILE_SUFFIX = ".jsonl.gz";
+// Check size and age limits every this many writes
+const PRUNE_EVERY_WRITES = 100;
+
+let writeQueue: Promise<void> = Promise.resolve();
+let writesSincePrune = PRUNE_EVERY_WRITES;
+
+function fileNameFor(date: Date): string {
+  return `${FILE_PREFIX}${date.toISOString().slice(0, 10)}${FILE_SUFFIX}`;
+}
+
+/**
+ * Deletes recordings older than FOOTBALL_RECORD_RETENTION_DAYS, then the
+ * oldest remaining days until the archive fits in FOOTBALL_RECORD_MAX_MB.
+ * Today's file is never removed.
+ */
+export async function pruneRecordings(dir: string): Promise<string[]> {
+  const retentionDays = readNumberEnv("FOOTBALL_RECORD_RETENTION_DAYS", 30);
+  const maxBytes = readNumberEnv("FOOTBALL_RECORD_MAX_MB", 500) * 1024 * 1024;
+  const today = fileNameFor(new Date());
+  const cutoff = fileNameFor(
+    new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000),
+  );
+
+  const files = (await fs.readdir(dir))
+    .filter(
+      (file) => file.startsWith(FILE_PREFIX) && file.endsWith(FILE_SUFFIX),
+    )
+    .sort();
+
+  const sizes = new Map<string, number>();
+  for (const file of files) {
+    sizes.set(file, (await fs.stat(path.join(dir, file))).size);
+  }
+
+  let total = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+  const removed: string[] = [];
+
+  for (const file of files) {
+    if (file === today) break;
+    if (file >= cutoff && total <= maxBytes) break;
+
+    await fs.unlink(path.join(dir, file));
+    total -= sizes.get(file) ?? 0;
+    removed.push(file);
+  }
+
+  return removed;
+}
+
+async function appendRecording(
+  dir: string,
+  entry: RecordedResponse,
+  logger?: Logger,
+): Promise<void> {
+  await fs.mkdir(dir, { recursive: true });
+
+  // Each line is its own gzip member; concatenated members form a valid gzip file
+  const line = gzipSync(`${JSON.stringify(entry)}\n`);
+  await fs.appendFile(path.join(dir, fileNameFor(new Date(entry.ts))), line);
+
+  writesSincePrune++;
+  if (writesSincePrune >= PRUNE_EVERY_WRITES) {
+    writesSincePrune = 0;
+    const removed = await pruneRecordings(dir);
+    if (removed.length > 0) {
+      logger?.info("🧹 [recorder] Pruned API-Football recordings", {
+        removed,
+      });
+    }
+  }
+}
+
+/**
+ * Queues an API-Football response for the on-disk archive when
+ * FOOTBALL_RECORD_DIR is set. Failures are logged to `logger` and never
+ * reach the caller.
+ */
+export function recordResponse(
+  requestPath: string,
+  params: QueryParams,
+  response: any,
+  logger?: Logger,
+): void {
+  const dir = process.env.FOOTBALL_RECORD_DIR;
+  if (!dir) return;
+
+  const entry: RecordedResponse = {
+    ts: new Date().toISOString(),
+    path: requestPath,
+    params,
+    response,
+  };
+
+  writeQueue = writeQueue
+    .then(() => appendRecording(dir, entry, logger))
+    .catch((error) => {
+      logger?.warn("⚠️ [recorder] Could not record response", {
+        error: error.message,
+      });
+    });
+}
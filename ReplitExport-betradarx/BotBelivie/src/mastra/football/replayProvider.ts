@@ -0,0 +1,216 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { gunzipSync } from "node:zlib";
+import { requestKey, type QueryParams } from "./apiFootball";
+import type { FootballDataProvider, ProviderOptions } from "./dataProvider";
+
+/**
+ * One recorded API-Football response. Replay files hold these either as a
+ * JSON array (`*.json`) or one per line (`*.jsonl`, or `*.jsonl.gz` as
+ * written by the recorder).
+ */
+export type RecordedResponse = {
+  ts: string;
+  path: string;
+  params: QueryParams;
+  response: any;
+};
+
+type IndexedEntry = { time: number; response: any[] };
+
+// A live fixtures list older than this is treated as "no matches in play"
+export const LIVE_LIST_STALE_MS = 2 * 60 * 1000;
+
+export function responseItems(response: any): any[] {
+  if (Array.isArray(response)) return response;
+  return response?.response || [];
+}
+
+export function parseRecordings(
+  fileName: string,
+  content: string,
+): RecordedResponse[] {
+  if (fileName.endsWith(".jsonl") || fileName.endsWith(".jsonl.gz")) {
+    return content
+      .split("\n")
+      .filter((line) => line.trim().length > 0)
+      .map((line) => JSON.parse(line));
+  }
+  const parsed = JSON.parse(content);
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+/**
+ * Reads every replay file in `dir`, in file-name order.
+ */
+export async function readRecordings(dir: string): Promise<RecordedResponse[]> {
+  const files = (await fs.readdir(dir))
+    .filter((file) => /\.(json|jsonl|jsonl\.gz)$/.test(file))
+    .sort();
+
+  const recordings: RecordedResponse[] = [];
+  for (const file of files) {
+    const raw = await fs.readFile(path.join(dir, file));
+    const content = (file.endsWith(".gz") ? gunzipSync(raw) : raw).toString(
+      "utf8",
+    );
+    recordings.push(...parseRecordings(file, content));
+  }
+  return recordings;
+}
+
+/**
+ * Simulated match-day clock. It starts at FOOTBALL_REPLAY_START (or the first
+ * recorded response) and advances FOOTBALL_REPLAY_SPEED times faster than
+ * real time; it can also be moved by hand.
+ */
+export class ReplayClock {
+  private origin: number | null = null;
+  private startedAt = Date.now();
+
+  constructor(private readonly speed: number = 1) {}
+
+  isStarted(): boolean {
+    return this.origin !== null;
+  }
+
+  start(origin: number): void {
+    this.origin = origin;
+    this.startedAt = Date.now();
+  }
+
+  now(): number {
+    if (this.origin === null) return Date.now();
+    return this.origin + (Date.now() - this.startedAt) * this.speed;
+  }
+
+  set(time: number): void {
+    this.start(time);
+  }
+
+  advance(ms: number): void {
+    this.start(this.now() + ms);
+  }
+}
+
+export class ReplayProvider implements FootballDataProvider {
+  readonly name = "replay";
+  readonly clock: ReplayClock;
+
+  private index: Map<string, IndexedEntry[]> | null = null;
+
+  constructor(private readonly dir: string) {
+    const speed = Number(process.env.FOOTBALL_REPLAY_SPEED || 1);
+    this.clock = new ReplayClock(
+      Number.isFinite(speed) && speed > 0 ? speed : 1,
+    );
+  }
+
+  private async load(): Promise<Map<string, IndexedEntry[]>> {
+    if (this.index) return this.index;
+
+    const index = new Map<string, IndexedEntry[]>();
+    let earliest = Number.POSITIVE_INFINITY;
+
+    for (const entry of await readRecordings(this.dir)) {
+      const time = Date.parse(entry.ts);
+      if (!Number.isFinite(time)) continue;
+
+      const key = requestKey(entry.path, entry.params || {});
+      const entries = index.get(key) ?? [];
+      entries.push({ time, response: responseItems(entry.response) });
+      index.set(key, entries);
+      earliest = Math.min(earliest, time);
+    }
+
+    for (const entries of index.values()) {
+      entries.sort((a, b) => a.time - b.time);
+    }
+
+    if (!this.clock.isStarted()) {
+      const configuredStart = Date.parse(
+        process.env.FOOTBALL_REPLAY_START || "",
+      );
+      if (Number.isFinite(configuredStart)) {
+        this.clock.start(configuredStart);
+      } else if (Number.isFinite(earliest)) {
+        this.clock.start(earliest);
+      }
+    }
+
+    this.index = index;
+    return index;
+  }
+
+  private async latest(
+    requestPath: string,
+    params: QueryParams,
+  ): Promise<IndexedEntry | null> {
+    const index = await this.load();
+    const entries = index.get(requestKey(requestPath, params));
+    if (!entries) return null;
+
+    const now = this.clock.now();
+    let found: IndexedEntry | null = null;
+    for (const entry of entries) {
+      if (entry.time > now) break;
+      found = entry;
+    }
+    return found;
+  }
+
+  async getLiveFixtures({ logger }: ProviderOptions = {}): Promise<any[]> {
+    const entry = await this.latest("/fixtures", { live: "all" });
+    const now = this.clock.now();
+
+    logger?.info("📼 [replay] Live fixtures", {
+      simulatedTime: new Date(now).toISOString(),
+      found: !!entry,
+    });
+
+    if (!entry || now - entry.time > LIVE_LIST_STALE_MS) return [];
+    return entry.response;
+  }
+
+  async getFixtureStatistics(fixtureId: number): Promise<any[]> {
+    const entry = await this.latest("/fixtures/statistics", {
+      fixture: fixtureId,
+    });
+    return entry?.response ?? [];
+  }
+
+  async getFixture(fixtureId: number): Promise<any | null> {
+    const entry = await this.latest("/fixtures", { id: fixtureId });
+    if (entry) return entry.response[0] ?? null;
+
+    // Fall back to the fixture's most recent appearance in a live list
+    const index = await this.load();
+    const liveEntries = index.get(requestKey("/fixtures", { live: "all" }));
+    const now = this.clock.now();
+    let fixture: any = null;
+    for (const live of liveEntries ?? []) {
+      if (live.time > now) break;
+      const match = live.response.find(
+        (item: any) => item.fixture?.id === fixtureId,
+      );
+      if (match) fixture = match;
+    }
+    return fixture;
+  }
+
+  async getFixtureEvents(fixtureId: number): Promise<any[]> {
+    const entry = await this.latest("/fixtures/events", {
+      fixture: fixtureId,
+    });
+    if (entry) return entry.response;
+
+    // Live fixture payloads embed the events recorded so far
+    const fixture = await this.getFixture(fixtureId);
+    return fixture?.events ?? [];
+  }
+
+  async getCurrentLeagues(): Promise<any[]> {
+    const entry = await this.latest("/leagues", { current: "true" });
+    return entry?.response ?? [];
+  }
+}
@@ -0,0 +1,180 @@
+import type pg from "pg";
+
+export const SNAPSHOT_WINDOWS = [5, 10, 15] as const;
+
+export type StatTotals = {
+  attacksHome: number;
+  attacksAway: number;
+  shotsHome: number;
+  shotsAway: number;
+  cornersHome: number;
+  cornersAway: number;
+};
+
+export type WindowBaseline = StatTotals & {
+  window: number;
+  minutesCovered: number;
+  complete: boolean;
+};
+
+export async function saveStatsSnapshot(
+  client: pg.Client,
+  snapshot: StatTotals & {
+    fixtureId: number;
+    leagueId: number | null;
+    minute: number;
+    status: string | null;
+    goalsHome: number;
+    goalsAway: number;
+    statistics: unknown;
+  },
+): Promise<void> {
+  await client.query(
+    `
+      INSERT INTO football_stats_snapshots
+      (fixture_id, minute, status, goals_home, goals_away,
+       attacks_home, attacks_away, shots_home, shots_away, corners_home, corners_away,
+       statistics, league_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    `,
+    [
+      snapshot.fixtureId,
+      snapshot.minute,
+      snapshot.status,
+      snapshot.goalsHome,
+      snapshot.goalsAway,
+      snapshot.attacksHome,
+      snapshot.attacksAway,
+      snapshot.shotsHome,
+      snapshot.shotsAway,
+      snapshot.cornersHome,
+      snapshot.cornersAway,
+      JSON.stringify(snapshot.statistics),
+      snapshot.leagueId,
+    ],
+  );
+}
+
+export function rowToTotals(row: any): StatTotals {
+  return {
+    attacksHome: parseInt(row.attacks_home, 10),
+    attacksAway: parseInt(row.attacks_away, 10),
+    shotsHome: parseInt(row.shots_home, 10),
+    shotsAway: parseInt(row.shots_away, 10),
+    cornersHome: parseInt(row.corners_home, 10),
+    cornersAway: parseInt(row.corners_away, 10),
+  };
+}
+
+const ZERO_TOTALS: StatTotals = {
+  attacksHome: 0,
+  attacksAway: 0,
+  shotsHome: 0,
+  shotsAway: 0,
+  cornersHome: 0,
+  cornersAway: 0,
+};
+
+export type TotalsAtMinute = StatTotals & { minute: number };
+
+function totalsOf({ minute: _minute, ...totals }: TotalsAtMinute): StatTotals {
+  return totals;
+}
+
+/**
+ * Finds, for each window, the stored totals the current totals should be
+ * compared against. Early in the match the kick-off (all zeros) is the
+ * baseline; when the history does not reach back far enough the oldest
+ * snapshot is used and the window is marked incomplete.
+ *
+ * `history` holds one entry per earlier minute in ascending order.
+ */
+export function selectWindowBaselines(
+  history: TotalsAtMinute[],
+  minute: number,
+  windows: readonly number[] = SNAPSHOT_WINDOWS,
+): WindowBaseline[] {
+  const baselines: WindowBaseline[] = [];
+
+  for (const window of windows) {
+    const start = minute - window;
+
+    if (start <= 0) {
+      baselines.push({
+        window,
+        minutesCovered: minute,
+        complete: true,
+        ...ZERO_TOTALS,
+      });
+      continue;
+    }
+
+    let baseline: TotalsAtMinute | null = null;
+    for (const entry of history) {
+      if (entry.minute <= start) baseline = entry;
+    }
+
+    if (baseline) {
+      baselines.push({
+        window,
+        minutesCovered: minute - baseline.minute,
+        complete: true,
+        ...totalsOf(baseline),
+      });
+    } else if (history.length > 0) {
+      baselines.push({
+        window,
+        minutesCovered: minute - history[0].minute,
+        complete: false,
+        ...totalsOf(history[0]),
+      });
+    }
+  }
+
+  return baselines;
+}
+
+export async function getWindowBaselines(
+  client: pg.Client,
+  fixtureId: number,
+  minute: number,
+  windows: readonly number[] = SNAPSHOT_WINDOWS,
+): Promise<WindowBaseline[]> {
+  const result = await client.query(
+    `
+      SELECT DISTINCT ON (minute)
+        minute, attacks_home, attacks_away, shots_home, shots_away,
+        corners_home, corners_away
+      FROM football_stats_snapshots
+      WHERE fixture_id = $1
+        AND minute < $2
+      ORDER BY minute ASC, captured_at DESC
+    `,
+    [fixtureId, minute],
+  );
+
+  const history = result.rows.map((row) => ({
+    minute: row.minute,
+    ...rowToTotals(row),
+  }));
+
+  return selectWindowBaselines(history, minute, windows);
+}
+
+/**
+ * Deletes the snapshots captured more than `retentionDays` ago and returns
+ * how many were removed.
+ */
+export async function pruneStatsSnapshots(
+  client: pg.Client,
+  retentionDays: number,
+): Promise<number> {
+  const result = await client.query(
+    `
+      DELETE FROM football_stats_snapshots
+      WHERE captured_at < NOW() - ($1 || ' days')::interval
+    `,
+    [String(retentionDays)],
+  );
+  return result.rowCount ?? 0;
+}
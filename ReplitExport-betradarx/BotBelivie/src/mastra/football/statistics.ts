@@ -0,0 +1,118 @@
+// Canonical key for every statistic type API-Football documents for
+// `/fixtures/statistics`, plus the attack counters some leagues include
+export const STAT_TYPES = {
+  shotsOnGoal: "Shots on Goal",
+  shotsOffGoal: "Shots off Goal",
+  totalShots: "Total Shots",
+  blockedShots: "Blocked Shots",
+  shotsInsideBox: "Shots insidebox",
+  shotsOutsideBox: "Shots outsidebox",
+  fouls: "Fouls",
+  corners: "Corner Kicks",
+  offsides: "Offsides",
+  possession: "Ball Possession",
+  yellowCards: "Yellow Cards",
+  redCards: "Red Cards",
+  goalkeeperSaves: "Goalkeeper Saves",
+  totalPasses: "Total passes",
+  accuratePasses: "Passes accurate",
+  passesPercentage: "Passes %",
+  expectedGoals: "expected_goals",
+  goalsPrevented: "goals_prevented",
+  attacks: "Total attacks",
+  dangerousAttacks: "Dangerous Attacks",
+} as const;
+
+export type StatKey = keyof typeof STAT_TYPES;
+
+export type TeamStats = Record<StatKey, number>;
+
+export type MatchStats = {
+  home: TeamStats;
+  away: TeamStats;
+  // Stats that at least one team's payload did not include
+  missing: StatKey[];
+};
+
+export const STAT_KEYS = Object.keys(STAT_TYPES) as StatKey[];
+
+// Other spellings seen in payloads, all compared lower-cased
+const STAT_ALIASES: Record<string, StatKey> = {
+  attacks: "attacks",
+  "corner kicks": "corners",
+  corners: "corners",
+  "shots inside box": "shotsInsideBox",
+  "shots outside box": "shotsOutsideBox",
+  "passes accurate %": "passesPercentage",
+  "expected goals": "expectedGoals",
+  xg: "expectedGoals",
+};
+
+const TYPE_TO_KEY = new Map<string, StatKey>([
+  ...STAT_KEYS.map(
+    (key) => [STAT_TYPES[key].toLowerCase(), key] as [string, StatKey],
+  ),
+  ...Object.entries(STAT_ALIASES),
+]);
+
+export function isStatKey(key: string): key is StatKey {
+  return Object.hasOwn(STAT_TYPES, key);
+}
+
+/**
+ * Parses a statistic value: counts, percentage strings such as "55%" and
+ * decimal strings such as "1.87". API-Football sends null for a zero count;
+ * anything unparseable returns null.
+ */
+export function parseStatValue(value: unknown): number | null {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string") return null;
+
+  const parsed = parseFloat(value.trim().replace("%", "").replace(",", "."));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function emptyTeamStats(): TeamStats {
+  return Object.fromEntries(STAT_KEYS.map((key) => [key, 0])) as TeamStats;
+}
+
+export function extractTeamStats(team: any): {
+  values: TeamStats;
+  missing: StatKey[];
+} {
+  const values = emptyTeamStats();
+  const found = new Set<StatKey>();
+
+  for (const item of team?.statistics || []) {
+    const key = TYPE_TO_KEY.get(String(item.type ?? "").toLowerCase());
+    if (!key) continue;
+
+    const value = parseStatValue(item.value);
+    if (value === null) continue;
+
+    values[key] = value;
+    found.add(key);
+  }
+
+  return {
+    values,
+    missing: STAT_KEYS.filter((key) => !found.has(key)),
+  };
+}
+
+/**
+ * Normalizes a `/fixtures/statistics` response (home team first) into one
+ * value per canonical stat for each team.
+ */
+export function extractMatchStats(stats: any[]): MatchStats {
+  const home = extractTeamStats(stats[0]);
+  const away = extractTeamStats(stats[1]);
+  const missing = new Set([...home.missing, ...away.missing]);
+
+  return {
+    home: home.values,
+    away: away.values,
+    missing: STAT_KEYS.filter((key) => missing.has(key)),
+  };
+}
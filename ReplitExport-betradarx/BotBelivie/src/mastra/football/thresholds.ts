@@ -0,0 +1,652 @@
+import type pg from "pg";
+import type { AlertThresholds } from "./alertRules";
+import type { GameState, Manpower, MinuteBand, ScoreState } from "./gameState";
+
+export type ThresholdValues = {
+  thresholdTotal: number;
+  thresholdDiff: number;
+  escanteios10min: number;
+  shotsMin: number;
+};
+
+export type ThresholdChangeSource =
+  "initial" | "daily_analysis" | "admin" | "rollback";
+
+export const DEFAULT_THRESHOLDS: ThresholdValues = {
+  thresholdTotal: 70,
+  thresholdDiff: 15,
+  escanteios10min: 3,
+  shotsMin: 2,
+};
+
+/**
+ * Which row of the hierarchy a set of thresholds belongs to: global (both
+ * null), a league, or a team within a league.
+ */
+export type ThresholdScope = {
+  leagueId: number | null;
+  teamId: number | null;
+};
+
+export const GLOBAL_SCOPE: ThresholdScope = { leagueId: null, teamId: null };
+
+export type ThresholdLevel = "global" | "league" | "team";
+
+export type ScopedThresholds = ThresholdValues &
+  ThresholdScope & { version: number | null };
+
+export function levelOf(scope: ThresholdScope): ThresholdLevel {
+  return scope.teamId !== null
+    ? "team"
+    : scope.leagueId !== null
+      ? "league"
+      : "global";
+}
+
+export type ThresholdHistoryEntry = ThresholdValues &
+  ThresholdScope & {
+    version: number;
+    previous: ThresholdValues | null;
+    source: ThresholdChangeSource;
+    reason: string | null;
+    metrics: Record<string, any> | null;
+    rolledBackTo: number | null;
+    createdAt: string;
+  };
+
+function rowToHistoryEntry(row: any): ThresholdHistoryEntry {
+  return {
+    version: row.version,
+    leagueId: row.league_id ?? null,
+    teamId: row.team_id ?? null,
+    thresholdTotal: parseFloat(row.threshold_total),
+    thresholdDiff: parseFloat(row.threshold_diff),
+    escanteios10min: parseInt(row.escanteios_10min, 10),
+    shotsMin: parseInt(row.shots_min, 10),
+    previous:
+      row.previous_total === null
+        ? null
+        : {
+            thresholdTotal: parseFloat(row.previous_total),
+            thresholdDiff: parseFloat(row.previous_diff),
+            escanteios10min: parseInt(row.previous_escanteios, 10),
+            shotsMin: parseInt(row.previous_shots_min, 10),
+          },
+    source: row.source,
+    reason: row.reason,
+    metrics: row.metrics,
+    rolledBackTo: row.rolled_back_to,
+    createdAt: row.created_at.toISOString(),
+  };
+}
+
+/**
+ * Writes new thresholds for a scope (global by default) and their history
+ * entry in one transaction, returning the new version. A league or team
+ * without a row gets one. Every change, whatever its source, goes through
+ * here so the history stays complete.
+ */
+export async function applyThresholdChange(
+  client: pg.Client,
+  values: ThresholdValues,
+  change: {
+    source: ThresholdChangeSource;
+    reason?: string;
+    metrics?: Record<string, any>;
+    rolledBackTo?: number;
+  },
+  scope: ThresholdScope = GLOBAL_SCOPE,
+): Promise<number> {
+  if (scope.teamId !== null && scope.leagueId === null) {
+    throw new Error("Team thresholds need the team's league");
+  }
+
+  await client.query("BEGIN");
+  try {
+    const current = await client.query(
+      `
+        SELECT id, threshold_total, threshold_diff, escanteios_10min, shots_min
+        FROM football_thresholds
+        WHERE league_id IS NOT DISTINCT FROM $1
+          AND team_id IS NOT DISTINCT FROM $2
+        FOR UPDATE
+      `,
+      [scope.leagueId, scope.teamId],
+    );
+    const previous = current.rows[0];
+
+    const history = await client.query(
+      `
+        INSERT INTO football_threshold_history
+        (threshold_total, threshold_diff, escanteios_10min, shots_min,
+         previous_total, previous_diff, previous_escanteios, previous_shots_min,
+         source, reason, metrics, rolled_back_to, league_id, team_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        RETURNING version
+      `,
+      [
+        values.thresholdTotal,
+        values.thresholdDiff,
+        values.escanteios10min,
+        values.shotsMin,
+        previous?.threshold_total ?? null,
+        previous?.threshold_diff ?? null,
+        previous?.escanteios_10min ?? null,
+        previous?.shots_min ?? null,
+        change.source,
+        change.reason ?? null,
+        change.metrics ? JSON.stringify(change.metrics) : null,
+        change.rolledBackTo ?? null,
+        scope.leagueId,
+        scope.teamId,
+      ],
+    );
+    const version: number = history.rows[0].version;
+
+    const row = [
+      values.thresholdTotal,
+      values.thresholdDiff,
+      values.escanteios10min,
+      values.shotsMin,
+      version,
+    ];
+    if (previous) {
+      await client.query(
+        `
+          UPDATE football_thresholds
+          SET threshold_total = $1,
+              threshold_diff = $2,
+              escanteios_10min = $3,
+              shots_min = $4,
+              version = $5,
+              last_updated = NOW()
+          WHERE id = $6
+        `,
+        [...row, previous.id],
+      );
+    } else {
+      await client.query(
+        `
+          INSERT INTO football_thresholds
+          (threshold_total, threshold_diff, escanteios_10min, shots_min, version,
+           league_id, team_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `,
+        [...row, scope.leagueId, scope.teamId],
+      );
+    }
+
+    await client.query("COMMIT");
+    return version;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
+
+export async function getThresholdVersion(
+  client: pg.Client,
+  version: number,
+): Promise<ThresholdHistoryEntry | null> {
+  const result = await client.query(
+    "SELECT * FROM football_threshold_history WHERE version = $1",
+    [version],
+  );
+  return result.rows[0] ? rowToHistoryEntry(result.rows[0]) : null;
+}
+
+export async function listThresholdHistory(
+  client: pg.Client,
+  limit = 20,
+): Promise<ThresholdHistoryEntry[]> {
+  const result = await client.query(
+    `
+      SELECT * FROM football_threshold_history
+      ORDER BY version DESC
+      LIMIT $1
+    `,
+    [limit],
+  );
+  return result.rows.map(rowToHistoryEntry);
+}
+
+/**
+ * Restores the values of a previous version in the scope it belongs to. The
+ * rollback is itself a new version, so it can be rolled back too.
+ */
+export async function rollbackThresholds(
+  client: pg.Client,
+  version: number,
+  reason?: string,
+): Promise<number> {
+  const target = await getThresholdVersion(client, version);
+  if (!target) {
+    throw new Error(`Threshold version ${version} not found`);
+  }
+
+  return applyThresholdChange(
+    client,
+    {
+      thresholdTotal: target.thresholdTotal,
+      thresholdDiff: target.thresholdDiff,
+      escanteios10min: target.escanteios10min,
+      shotsMin: target.shotsMin,
+    },
+    {
+      source: "rollback",
+      reason: reason ?? `Rollback to version ${version}`,
+      rolledBackTo: version,
+    },
+    { leagueId: target.leagueId, teamId: target.teamId },
+  );
+}
+
+function rowToScopedThresholds(row: any): ScopedThresholds {
+  return {
+    leagueId: row.league_id ?? null,
+    teamId: row.team_id ?? null,
+    thresholdTotal: parseFloat(row.threshold_total),
+    thresholdDiff: parseFloat(row.threshold_diff),
+    escanteios10min: parseInt(row.escanteios_10min, 10),
+    shotsMin: parseInt(row.shots_min, 10),
+    version: row.version ?? null,
+  };
+}
+
+/** The league and team rows of the hierarchy (everything but the global row). */
+export async function listScopedThresholds(
+  client: pg.Client,
+): Promise<ScopedThresholds[]> {
+  const result = await client.query(`
+    SELECT league_id, team_id, threshold_total, threshold_diff,
+           escanteios_10min, shots_min, version
+    FROM football_thresholds
+    WHERE league_id IS NOT NULL
+    ORDER BY league_id ASC, team_id ASC NULLS FIRST
+  `);
+  return result.rows.map(rowToScopedThresholds);
+}
+
+/**
+ * The row below the global thresholds that applies to a fixture: a team row
+ * within its league, else its league's. When both teams have a row the
+ * stricter one applies (the higher total-pressure threshold, then the higher
+ * difference threshold, then the home team's), so a team tuned to alert less
+ * is never alerted on more because of its opponent. Null means the fixture
+ * falls back to the global thresholds.
+ */
+export function thresholdsForFixture(
+  scoped: ScopedThresholds[],
+  fixture: {
+    leagueId: number | null;
+    homeTeamId: number | null;
+    awayTeamId: number | null;
+  },
+): ScopedThresholds | null {
+  if (fixture.leagueId === null) return null;
+
+  const inLeague = scoped.filter((row) => row.leagueId === fixture.leagueId);
+  const team = (teamId: number | null) =>
+    teamId === null ? undefined : inLeague.find((row) => row.teamId === teamId);
+
+  const home = team(fixture.homeTeamId);
+  const away = team(fixture.awayTeamId);
+  if (home && away) return stricterOf(home, away);
+
+  return home ?? away ?? inLeague.find((row) => row.teamId === null) ?? null;
+}
+
+function stricterOf(
+  first: ScopedThresholds,
+  second: ScopedThresholds,
+): ScopedThresholds {
+  if (first.thresholdTotal !== second.thresholdTotal) {
+    return first.thresholdTotal > second.thresholdTotal ? first : second;
+  }
+  return second.thresholdDiff > first.thresholdDiff ? second : first;
+}
+
+/**
+ * Thresholds for part of a match. A set belongs to one row of the threshold
+ * hierarchy (global, a league or a team) and only applies to fixtures using
+ * that row, so a global set never overrides a league's or team's tuning. The
+ * state fields select the fixture-minutes the set applies to (null matches
+ * any value); unset values inherit from the row.
+ */
+export type StateThresholdSet = ThresholdScope & {
+  id: number;
+  minuteBand: MinuteBand | null;
+  scoreState: ScoreState | null;
+  manpower: Manpower | null;
+  thresholdTotal: number | null;
+  thresholdDiff: number | null;
+  escanteios10min: number | null;
+  shotsMin: number | null;
+  // thresholdTotal and thresholdDiff are pressure per match minute
+  perMinute: boolean;
+  // State threshold history version that last changed the set
+  version: number;
+};
+
+export type StateKey = Pick<
+  StateThresholdSet,
+  "leagueId" | "teamId" | "minuteBand" | "scoreState" | "manpower"
+>;
+
+export type StateThresholdValues = Omit<
+  StateThresholdSet,
+  "id" | "version" | keyof StateKey
+>;
+
+export type StateThresholdHistoryEntry = StateKey & {
+  version: number;
+  setId: number | null;
+  // Null when the change removed the set
+  values: StateThresholdValues | null;
+  // Null when the set did not exist before the change
+  previous: StateThresholdValues | null;
+  source: ThresholdChangeSource;
+  reason: string | null;
+  rolledBackTo: number | null;
+  createdAt: string;
+};
+
+function rowToStateValues(row: any): StateThresholdValues {
+  const number = (value: any) => (value === null ? null : parseFloat(value));
+  return {
+    thresholdTotal: number(row.threshold_total),
+    thresholdDiff: number(row.threshold_diff),
+    escanteios10min: number(row.escanteios_10min),
+    shotsMin: number(row.shots_min),
+    perMinute: row.per_minute,
+  };
+}
+
+function rowToStateThresholdSet(row: any): StateThresholdSet {
+  return {
+    id: row.id,
+    leagueId: row.league_id ?? null,
+    teamId: row.team_id ?? null,
+    minuteBand: row.minute_band,
+    scoreState: row.score_state,
+    manpower: row.manpower,
+    ...rowToStateValues(row),
+    version: row.version,
+  };
+}
+
+function rowToStateHistoryEntry(row: any): StateThresholdHistoryEntry {
+  return {
+    version: row.version,
+    setId: row.set_id,
+    leagueId: row.league_id ?? null,
+    teamId: row.team_id ?? null,
+    minuteBand: row.minute_band,
+    scoreState: row.score_state,
+    manpower: row.manpower,
+    values: row.removed ? null : rowToStateValues(row),
+    previous: row.previous,
+    source: row.source,
+    reason: row.reason,
+    rolledBackTo: row.rolled_back_to,
+    createdAt: row.created_at.toISOString(),
+  };
+}
+
+export async function listStateThresholdSets(
+  client: pg.Client,
+): Promise<StateThresholdSet[]> {
+  const result = await client.query(`
+    SELECT * FROM football_state_thresholds
+    ORDER BY id ASC
+  `);
+  return result.rows.map(rowToStateThresholdSet);
+}
+
+/**
+ * Creates, replaces or (with `values` null) removes the set for a scope,
+ * minute band and game state, and writes its history entry in the same transaction, like
+ * `applyThresholdChange` does for the threshold rows. Every state threshold
+ * change goes through here. Removing a set that does not exist changes
+ * nothing and returns null.
+ */
+export async function applyStateThresholdChange(
+  client: pg.Client,
+  key: StateKey,
+  values: StateThresholdValues | null,
+  change: {
+    source: ThresholdChangeSource;
+    reason?: string;
+    rolledBackTo?: number;
+  },
+): Promise<{ version: number; setId: number } | null> {
+  if (key.teamId !== null && key.leagueId === null) {
+    throw new Error("Team state thresholds need the team's league");
+  }
+  if (
+    values?.perMinute &&
+    (values.thresholdTotal === null || values.thresholdDiff === null)
+  ) {
+    throw new Error(
+      "Per-minute thresholds need both thresholdTotal and thresholdDiff",
+    );
+  }
+
+  const keyParams = [
+    key.minuteBand,
+    key.scoreState,
+    key.manpower,
+    key.leagueId,
+    key.teamId,
+  ];
+  const valueParams = values
+    ? [
+        values.thresholdTotal,
+        values.thresholdDiff,
+        values.escanteios10min,
+        values.shotsMin,
+        values.perMinute,
+      ]
+    : [null, null, null, null, false];
+
+  await client.query("BEGIN");
+  try {
+    const current = await client.query(
+      `
+        SELECT * FROM football_state_thresholds
+        WHERE minute_band IS NOT DISTINCT FROM $1
+          AND score_state IS NOT DISTINCT FROM $2
+          AND manpower IS NOT DISTINCT FROM $3
+          AND league_id IS NOT DISTINCT FROM $4
+          AND team_id IS NOT DISTINCT FROM $5
+        FOR UPDATE
+      `,
+      keyParams,
+    );
+    const previous = current.rows[0];
+
+    if (!values && !previous) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    let setId: number = previous?.id;
+    if (!values) {
+      await client.query(
+        "DELETE FROM football_state_thresholds WHERE id = $1",
+        [setId],
+      );
+    } else if (previous) {
+      await client.query(
+        `
+          UPDATE football_state_thresholds
+          SET threshold_total = $1,
+              threshold_diff = $2,
+              escanteios_10min = $3,
+              shots_min = $4,
+              per_minute = $5,
+              updated_at = NOW()
+          WHERE id = $6
+        `,
+        [...valueParams, setId],
+      );
+    } else {
+      const inserted = await client.query(
+        `
+          INSERT INTO football_state_thresholds
+          (threshold_total, threshold_diff, escanteios_10min, shots_min, per_minute,
+           minute_band, score_state, manpower, league_id, team_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING id
+        `,
+        [...valueParams, ...keyParams],
+      );
+      setId = inserted.rows[0].id;
+    }
+
+    const history = await client.query(
+      `
+        INSERT INTO football_state_threshold_history
+        (threshold_total, threshold_diff, escanteios_10min, shots_min, per_minute,
+         minute_band, score_state, manpower, league_id, team_id, set_id,
+         removed, previous, source, reason, rolled_back_to)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        RETURNING version
+      `,
+      [
+        ...valueParams,
+        ...keyParams,
+        setId,
+        values === null,
+        previous ? JSON.stringify(rowToStateValues(previous)) : null,
+        change.source,
+        change.reason ?? null,
+        change.rolledBackTo ?? null,
+      ],
+    );
+    const version: number = history.rows[0].version;
+
+    if (values) {
+      await client.query(
+        "UPDATE football_state_thresholds SET version = $1 WHERE id = $2",
+        [version, setId],
+      );
+    }
+
+    await client.query("COMMIT");
+    return { version, setId };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
+
+export async function getStateThresholdVersion(
+  client: pg.Client,
+  version: number,
+): Promise<StateThresholdHistoryEntry | null> {
+  const result = await client.query(
+    "SELECT * FROM football_state_threshold_history WHERE version = $1",
+    [version],
+  );
+  return result.rows[0] ? rowToStateHistoryEntry(result.rows[0]) : null;
+}
+
+export async function listStateThresholdHistory(
+  client: pg.Client,
+  limit = 20,
+): Promise<StateThresholdHistoryEntry[]> {
+  const result = await client.query(
+    `
+      SELECT * FROM football_state_threshold_history
+      ORDER BY version DESC
+      LIMIT $1
+    `,
+    [limit],
+  );
+  return result.rows.map(rowToStateHistoryEntry);
+}
+
+/**
+ * Restores a scope, minute band and game state to how a previous state threshold
+ * version left it, re-creating or removing the set as needed. The rollback
+ * is itself a new version.
+ */
+export async function rollbackStateThresholds(
+  client: pg.Client,
+  version: number,
+  reason?: string,
+): Promise<number> {
+  const target = await getStateThresholdVersion(client, version);
+  if (!target) {
+    throw new Error(`State threshold version ${version} not found`);
+  }
+
+  const applied = await applyStateThresholdChange(
+    client,
+    {
+      leagueId: target.leagueId,
+      teamId: target.teamId,
+      minuteBand: target.minuteBand,
+      scoreState: target.scoreState,
+      manpower: target.manpower,
+    },
+    target.values,
+    {
+      source: "rollback",
+      reason: reason ?? `Rollback to state version ${version}`,
+      rolledBackTo: version,
+    },
+  );
+  if (!applied) {
+    throw new Error(
+      `State threshold version ${version} removed a set that no longer exists`,
+    );
+  }
+  return applied.version;
+}
+
+function stateKeyCount(set: StateThresholdSet): number {
+  return [set.minuteBand, set.scoreState, set.manpower].filter(
+    (key) => key !== null,
+  ).length;
+}
+
+/**
+ * The thresholds for a fixture-minute: among the sets of `scope` (the row
+ * `base` came from), the most specific one matching its game state (the
+ * newest on a tie) over `base`, or `base` when none matches.
+ */
+export function thresholdsForState<T extends AlertThresholds>(
+  base: T,
+  sets: StateThresholdSet[],
+  state: GameState,
+  scope: ThresholdScope = GLOBAL_SCOPE,
+): { thresholds: T; set: StateThresholdSet | null } {
+  const set =
+    sets
+      .filter(
+        (candidate) =>
+          candidate.leagueId === scope.leagueId &&
+          candidate.teamId === scope.teamId &&
+          (candidate.minuteBand ?? state.minuteBand) === state.minuteBand &&
+          (candidate.scoreState ?? state.scoreState) === state.scoreState &&
+          (candidate.manpower ?? state.manpower) === state.manpower,
+      )
+      .sort((a, b) => stateKeyCount(b) - stateKeyCount(a) || b.id - a.id)[0] ??
+    null;
+
+  if (!set) return { thresholds: base, set: null };
+
+  return {
+    thresholds: {
+      ...base,
+      thresholdTotal: set.thresholdTotal ?? base.thresholdTotal,
+      thresholdDiff: set.thresholdDiff ?? base.thresholdDiff,
+      escanteios10min: set.escanteios10min ?? base.escanteios10min,
+      shotsMin: set.shotsMin ?? base.shotsMin,
+      perMinute: set.perMinute,
+    },
+    set,
+  };
+}
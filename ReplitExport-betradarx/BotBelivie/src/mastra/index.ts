@@ -12,7 +12,10 @@ import { inngest, inngestServe, registerCronWorkflow } from "./inngest";
 import { exampleWorkflow } from "./workflows/exampleWorkflow";
 import { exampleAgent } from "./agents/exampleAgent";
 import { footballMonitorWorkflow } from "./workflows/footballMonitorWorkflow";
+import { alertCopywriterAgent } from "./agents/alertCopywriterAgent";
 import { footballMonitorAgent } from "./agents/footballMonitorAgent";
+import { handleTelegramUpdate } from "./telegram/commands";
+import { registerTelegramTrigger } from "../triggers/telegramTriggers";
 import "./storage/init-db";
 
 class ProductionPinoLogger extends MastraLogger {
@@ -61,7 +64,7 @@ export const mastra = new Mastra({
   // Register your workflows here
   workflows: { footballMonitorWorkflow },
   // Register your agents here
-  agents: { footballMonitorAgent },
+  agents: { footballMonitorAgent, alertCopywriterAgent },
   mcpServers: {
     allTools: new MCPServer({
       name: "allTools",
@@ -129,6 +132,12 @@ export const mastra = new Mastra({
         // 3. Establishing a publish-subscribe system for real-time monitoring
         //    through the workflow:${workflowId}:${runId} channel
       },
+      // Bot commands (/start, /status, /report, ...) answered from the database,
+      // and alert feedback buttons
+      ...registerTelegramTrigger({
+        triggerType: "telegram/message",
+        handler: handleTelegramUpdate,
+      }),
     ],
   },
   logger:
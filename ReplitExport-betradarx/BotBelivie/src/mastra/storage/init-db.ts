@@ -1,4 +1,5 @@
 import pg from "pg";
+import { LEGACY_CHAT_LANGUAGE } from "../telegram/i18n";
 
 /**
  * Initialize database tables for adaptive learning football bot
@@ -51,6 +52,87 @@ export async function initDatabase() {
       END $$;
     `);
 
+    // Migration: Goal-event verification columns
+    await client.query(`
+      ALTER TABLE football_alerts
+        ADD COLUMN IF NOT EXISTS first_goal_minute INTEGER,
+        ADD COLUMN IF NOT EXISTS first_goal_extra INTEGER,
+        ADD COLUMN IF NOT EXISTS first_goal_team_id INTEGER,
+        ADD COLUMN IF NOT EXISTS first_goal_team_name VARCHAR(128),
+        ADD COLUMN IF NOT EXISTS first_goal_type VARCHAR(32),
+        ADD COLUMN IF NOT EXISTS verification_window VARCHAR(8),
+        ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ
+    `);
+
+    // Migration: Pressure formula version per alert (earlier alerts used version 1)
+    await client.query(`
+      ALTER TABLE football_alerts
+        ADD COLUMN IF NOT EXISTS formula_version INTEGER
+    `);
+
+    await client.query(`
+      UPDATE football_alerts SET formula_version = 1 WHERE formula_version IS NULL
+    `);
+
+    // Migration: Goal-probability model output per alert
+    await client.query(`
+      ALTER TABLE football_alerts
+        ADD COLUMN IF NOT EXISTS goal_probability DECIMAL(5, 4),
+        ADD COLUMN IF NOT EXISTS model_id INTEGER
+    `);
+
+    // Migration: Threshold version active when the alert fired
+    await client.query(`
+      ALTER TABLE football_alerts
+        ADD COLUMN IF NOT EXISTS threshold_version INTEGER
+    `);
+
+    // Migration: Competition and teams per alert, and why an alert was voided
+    await client.query(`
+      ALTER TABLE football_alerts
+        ADD COLUMN IF NOT EXISTS league_id INTEGER,
+        ADD COLUMN IF NOT EXISTS league_name VARCHAR(128),
+        ADD COLUMN IF NOT EXISTS league_country VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS home_team VARCHAR(128),
+        ADD COLUMN IF NOT EXISTS away_team VARCHAR(128),
+        ADD COLUMN IF NOT EXISTS void_reason VARCHAR(16)
+    `);
+
+    // Migration: Goal-probability tier (high/medium/low) and corner-race flag per alert
+    await client.query(`
+      ALTER TABLE football_alerts
+        ADD COLUMN IF NOT EXISTS tier VARCHAR(8),
+        ADD COLUMN IF NOT EXISTS corner_race BOOLEAN
+    `);
+
+    // Migration: Pressing side per alert and whether that team scored the next goal
+    await client.query(`
+      ALTER TABLE football_alerts
+        ADD COLUMN IF NOT EXISTS press_home DECIMAL(10, 2),
+        ADD COLUMN IF NOT EXISTS press_away DECIMAL(10, 2),
+        ADD COLUMN IF NOT EXISTS pressing_side VARCHAR(4),
+        ADD COLUMN IF NOT EXISTS home_team_id INTEGER,
+        ADD COLUMN IF NOT EXISTS away_team_id INTEGER,
+        ADD COLUMN IF NOT EXISTS pressing_team_scored BOOLEAN
+    `);
+
+    // Migration: Game state per alert and the state threshold set that applied
+    await client.query(`
+      ALTER TABLE football_alerts
+        ADD COLUMN IF NOT EXISTS minute_band VARCHAR(8),
+        ADD COLUMN IF NOT EXISTS score_diff INTEGER,
+        ADD COLUMN IF NOT EXISTS red_cards_home INTEGER,
+        ADD COLUMN IF NOT EXISTS red_cards_away INTEGER,
+        ADD COLUMN IF NOT EXISTS press_total_rate DECIMAL(10, 3),
+        ADD COLUMN IF NOT EXISTS state_threshold_id INTEGER
+    `);
+
+    // Migration: State threshold version per alert, so an edited set can be looked up as it was
+    await client.query(`
+      ALTER TABLE football_alerts
+        ADD COLUMN IF NOT EXISTS state_threshold_version INTEGER
+    `);
+
     // Create index for faster lookups
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_alerts_fixture_minute 
@@ -62,6 +144,95 @@ export async function initDatabase() {
       ON football_alerts(created_at)
     `);
 
+    // Create suppressed alerts table (cooldown/dedup audit trail)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS football_alert_suppressions (
+        id SERIAL PRIMARY KEY,
+        fixture_id INTEGER NOT NULL,
+        minute INTEGER NOT NULL,
+        press_total DECIMAL(10, 2) NOT NULL,
+        press_diff DECIMAL(10, 2) NOT NULL,
+        reason VARCHAR(32) NOT NULL,
+        last_alert_id INTEGER REFERENCES football_alerts(id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_suppressions_fixture 
+      ON football_alert_suppressions(fixture_id, created_at)
+    `);
+
+    // Create stats snapshots table (one row per fixture per polling cycle)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS football_stats_snapshots (
+        id SERIAL PRIMARY KEY,
+        fixture_id INTEGER NOT NULL,
+        minute INTEGER NOT NULL,
+        status VARCHAR(8),
+        goals_home INTEGER NOT NULL DEFAULT 0,
+        goals_away INTEGER NOT NULL DEFAULT 0,
+        attacks_home INTEGER NOT NULL DEFAULT 0,
+        attacks_away INTEGER NOT NULL DEFAULT 0,
+        shots_home INTEGER NOT NULL DEFAULT 0,
+        shots_away INTEGER NOT NULL DEFAULT 0,
+        corners_home INTEGER NOT NULL DEFAULT 0,
+        corners_away INTEGER NOT NULL DEFAULT 0,
+        statistics JSONB,
+        captured_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_snapshots_fixture_minute 
+      ON football_stats_snapshots(fixture_id, minute)
+    `);
+
+    // Migration: League per snapshot, so thresholds can be tuned per league
+    await client.query(`
+      ALTER TABLE football_stats_snapshots
+        ADD COLUMN IF NOT EXISTS league_id INTEGER
+    `);
+
+    // Create evaluations table (one row per evaluated fixture-minute, for recall)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS football_evaluations (
+        id SERIAL PRIMARY KEY,
+        fixture_id INTEGER NOT NULL,
+        minute INTEGER NOT NULL,
+        press_total DECIMAL(10, 2) NOT NULL,
+        press_diff DECIMAL(10, 2) NOT NULL,
+        shots_on_goal INTEGER NOT NULL,
+        corners INTEGER NOT NULL,
+        recent_corners INTEGER,
+        goals_at_eval INTEGER NOT NULL DEFAULT 0,
+        goal_probability DECIMAL(5, 4),
+        threshold_version INTEGER,
+        rule_fired BOOLEAN NOT NULL DEFAULT false,
+        alerted BOOLEAN NOT NULL DEFAULT false,
+        near_miss BOOLEAN NOT NULL DEFAULT false,
+        alert_id INTEGER REFERENCES football_alerts(id) ON DELETE SET NULL,
+        sample_weight DECIMAL(10, 4) NOT NULL DEFAULT 1,
+        goal_happened BOOLEAN DEFAULT NULL,
+        first_goal_minute INTEGER,
+        verification_window VARCHAR(8),
+        verified_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (fixture_id, minute)
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_evaluations_created_at
+      ON football_evaluations(created_at)
+    `);
+
+    // Migration: Pressure formula per evaluation, so the goal model trains on one formula's scores (earlier rows stay NULL and are not trained on)
+    await client.query(`
+      ALTER TABLE football_evaluations
+        ADD COLUMN IF NOT EXISTS formula_version INTEGER
+    `);
+
     // Create thresholds table (singleton row)
     await client.query(`
       CREATE TABLE IF NOT EXISTS football_thresholds (
@@ -81,6 +252,352 @@ export async function initDatabase() {
       ON CONFLICT (id) DO NOTHING
     `);
 
+    // Migration: Threshold version currently in effect
+    await client.query(`
+      ALTER TABLE football_thresholds
+        ADD COLUMN IF NOT EXISTS version INTEGER
+    `);
+
+    // Migration: Shots on goal required by the pressure-difference rule
+    await client.query(`
+      ALTER TABLE football_thresholds
+        ADD COLUMN IF NOT EXISTS shots_min INTEGER NOT NULL DEFAULT 2
+    `);
+
+    // Create threshold history table (one row per threshold change)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS football_threshold_history (
+        version SERIAL PRIMARY KEY,
+        threshold_total DECIMAL(10, 2) NOT NULL,
+        threshold_diff DECIMAL(10, 2) NOT NULL,
+        escanteios_10min INTEGER NOT NULL,
+        shots_min INTEGER NOT NULL DEFAULT 2,
+        previous_total DECIMAL(10, 2),
+        previous_diff DECIMAL(10, 2),
+        previous_escanteios INTEGER,
+        previous_shots_min INTEGER,
+        source VARCHAR(32) NOT NULL,
+        reason TEXT,
+        metrics JSONB,
+        rolled_back_to INTEGER REFERENCES football_threshold_history(version),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE football_threshold_history
+        ADD COLUMN IF NOT EXISTS shots_min INTEGER NOT NULL DEFAULT 2,
+        ADD COLUMN IF NOT EXISTS previous_shots_min INTEGER
+    `);
+
+    await client.query(`
+      UPDATE football_threshold_history
+      SET previous_shots_min = 2
+      WHERE previous_total IS NOT NULL AND previous_shots_min IS NULL
+    `);
+
+    // Record the thresholds in place before history existed as the initial version
+    await client.query(`
+      INSERT INTO football_threshold_history
+      (threshold_total, threshold_diff, escanteios_10min, shots_min, source, reason)
+      SELECT threshold_total, threshold_diff, escanteios_10min, shots_min, 'initial', 'Thresholds before history tracking'
+      FROM football_thresholds
+      WHERE id = 1
+        AND NOT EXISTS (SELECT 1 FROM football_threshold_history)
+    `);
+
+    await client.query(`
+      UPDATE football_thresholds
+      SET version = (SELECT MAX(version) FROM football_threshold_history)
+      WHERE id = 1 AND version IS NULL
+    `);
+
+    // Migration: Threshold hierarchy. Row 1 stays the global default; league and
+    // team rows are added by league_id / team_id
+    await client.query(`
+      ALTER TABLE football_thresholds
+        ADD COLUMN IF NOT EXISTS league_id INTEGER,
+        ADD COLUMN IF NOT EXISTS team_id INTEGER,
+        DROP CONSTRAINT IF EXISTS single_row
+    `);
+
+    await client.query(`
+      CREATE SEQUENCE IF NOT EXISTS football_thresholds_id_seq
+      OWNED BY football_thresholds.id
+    `);
+
+    await client.query(`
+      SELECT setval('football_thresholds_id_seq', GREATEST((SELECT MAX(id) FROM football_thresholds), 1))
+    `);
+
+    await client.query(`
+      ALTER TABLE football_thresholds
+        ALTER COLUMN id SET DEFAULT nextval('football_thresholds_id_seq')
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_thresholds_scope
+      ON football_thresholds ((COALESCE(league_id, 0)), (COALESCE(team_id, 0)))
+    `);
+
+    await client.query(`
+      ALTER TABLE football_threshold_history
+        ADD COLUMN IF NOT EXISTS league_id INTEGER,
+        ADD COLUMN IF NOT EXISTS team_id INTEGER
+    `);
+
+    // Create state thresholds table (overrides by minute band, score state and red cards)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS football_state_thresholds (
+        id SERIAL PRIMARY KEY,
+        minute_band VARCHAR(8),
+        score_state VARCHAR(8),
+        manpower VARCHAR(8),
+        threshold_total DECIMAL(10, 3),
+        threshold_diff DECIMAL(10, 3),
+        escanteios_10min INTEGER,
+        shots_min INTEGER,
+        per_minute BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        CHECK (NOT per_minute OR (threshold_total IS NOT NULL AND threshold_diff IS NOT NULL))
+      )
+    `);
+
+    // Create state threshold history table (every change to a state threshold set)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS football_state_threshold_history (
+        version SERIAL PRIMARY KEY,
+        set_id INTEGER,
+        minute_band VARCHAR(8),
+        score_state VARCHAR(8),
+        manpower VARCHAR(8),
+        threshold_total DECIMAL(10, 3),
+        threshold_diff DECIMAL(10, 3),
+        escanteios_10min INTEGER,
+        shots_min INTEGER,
+        per_minute BOOLEAN NOT NULL DEFAULT false,
+        removed BOOLEAN NOT NULL DEFAULT false,
+        previous JSONB,
+        source VARCHAR(32) NOT NULL,
+        reason TEXT,
+        rolled_back_to INTEGER REFERENCES football_state_threshold_history(version),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // Migration: Version state threshold sets; sets created before the history get an initial version
+    await client.query(`
+      ALTER TABLE football_state_thresholds
+        ADD COLUMN IF NOT EXISTS version INTEGER
+    `);
+
+    await client.query(`
+      WITH seeded AS (
+        INSERT INTO football_state_threshold_history
+        (set_id, minute_band, score_state, manpower, threshold_total, threshold_diff,
+         escanteios_10min, shots_min, per_minute, source, reason)
+        SELECT id, minute_band, score_state, manpower, threshold_total, threshold_diff,
+               escanteios_10min, shots_min, per_minute, 'initial', 'Set before state threshold history'
+        FROM football_state_thresholds
+        WHERE version IS NULL
+        RETURNING version, set_id
+      )
+      UPDATE football_state_thresholds t
+      SET version = seeded.version
+      FROM seeded
+      WHERE t.id = seeded.set_id
+    `);
+
+    // Migration: State threshold sets belong to a row of the hierarchy; existing sets stay global
+    await client.query(`
+      ALTER TABLE football_state_thresholds
+        ADD COLUMN IF NOT EXISTS league_id INTEGER,
+        ADD COLUMN IF NOT EXISTS team_id INTEGER
+    `);
+
+    await client.query(`
+      ALTER TABLE football_state_threshold_history
+        ADD COLUMN IF NOT EXISTS league_id INTEGER,
+        ADD COLUMN IF NOT EXISTS team_id INTEGER
+    `);
+
+    // NULL keys match any value, so uniqueness is on the coalesced keys
+    await client.query(`DROP INDEX IF EXISTS idx_state_thresholds_key`);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_state_thresholds_scope_key
+      ON football_state_thresholds ((COALESCE(league_id, 0)), (COALESCE(team_id, 0)), (COALESCE(minute_band, '')), (COALESCE(score_state, '')), (COALESCE(manpower, '')))
+    `);
+
+    // Create pressure formulas table (versioned, at most one active)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS football_pressure_formulas (
+        version SERIAL PRIMARY KEY,
+        name VARCHAR(64) NOT NULL,
+        weights JSONB NOT NULL,
+        notes TEXT,
+        active BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_pressure_formulas_active 
+      ON football_pressure_formulas(active) WHERE active
+    `);
+
+    // Insert the baseline formula as version 1 if not exists
+    await client.query(`
+      INSERT INTO football_pressure_formulas (version, name, weights, notes, active)
+      VALUES (
+        1,
+        'baseline',
+        '{"attacks": 0.5, "shotsOnGoal": 1.5, "corners": 0.8}',
+        'attacks*0.5 + shots on goal*1.5 + corners*0.8',
+        true
+      )
+      ON CONFLICT (version) DO NOTHING
+    `);
+
+    await client.query(`
+      SELECT setval(
+        pg_get_serial_sequence('football_pressure_formulas', 'version'),
+        (SELECT MAX(version) FROM football_pressure_formulas)
+      )
+    `);
+
+    // Create models table (trained artifacts, at most one active per kind)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS football_models (
+        id SERIAL PRIMARY KEY,
+        kind VARCHAR(32) NOT NULL,
+        artifact JSONB NOT NULL,
+        metrics JSONB NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_models_active_kind 
+      ON football_models(kind) WHERE active
+    `);
+
+    // Create Telegram subscribers table (one row per chat receiving messages)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS telegram_subscribers (
+        id SERIAL PRIMARY KEY,
+        chat_id BIGINT NOT NULL UNIQUE,
+        title VARCHAR(128),
+        language VARCHAR(8) NOT NULL DEFAULT 'en',
+        leagues INTEGER[] NOT NULL DEFAULT '{}',
+        min_probability DECIMAL(5, 4),
+        quiet_start SMALLINT CHECK (quiet_start BETWEEN 0 AND 23),
+        quiet_end SMALLINT CHECK (quiet_end BETWEEN 0 AND 23),
+        timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+        active BOOLEAN NOT NULL DEFAULT true,
+        disabled_reason TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // The chat configured before subscribers existed becomes the first subscriber,
+    // in the language the original bot wrote to it
+    if (process.env.TELEGRAM_CHAT_ID) {
+      await client.query(
+        `
+          INSERT INTO telegram_subscribers (chat_id, title, language)
+          VALUES ($1, 'TELEGRAM_CHAT_ID', $2)
+          ON CONFLICT (chat_id) DO NOTHING
+        `,
+        [process.env.TELEGRAM_CHAT_ID, LEGACY_CHAT_LANGUAGE],
+      );
+
+      // Migration: That chat was seeded in the default language before messages were
+      // localized; a row never updated since (so no /language choice) is moved back
+      await client.query(
+        `
+          UPDATE telegram_subscribers
+          SET language = $2
+          WHERE chat_id = $1 AND title = 'TELEGRAM_CHAT_ID' AND updated_at = created_at
+        `,
+        [process.env.TELEGRAM_CHAT_ID, LEGACY_CHAT_LANGUAGE],
+      );
+    }
+
+    // Migration: Alert tiers each subscriber receives (empty for all)
+    await client.query(`
+      ALTER TABLE telegram_subscribers
+        ADD COLUMN IF NOT EXISTS tiers TEXT[] NOT NULL DEFAULT '{}'
+    `);
+
+    // Create Telegram deliveries table (one row per message per recipient)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS telegram_deliveries (
+        id SERIAL PRIMARY KEY,
+        subscriber_id INTEGER NOT NULL REFERENCES telegram_subscribers(id) ON DELETE CASCADE,
+        chat_id BIGINT NOT NULL,
+        alert_id INTEGER REFERENCES football_alerts(id) ON DELETE SET NULL,
+        status VARCHAR(16) NOT NULL,
+        message_id INTEGER,
+        error TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // Migration: Alert text per delivery, so messages can be edited with the outcome
+    await client.query(`
+      ALTER TABLE telegram_deliveries
+        ADD COLUMN IF NOT EXISTS message_text TEXT,
+        ADD COLUMN IF NOT EXISTS parse_mode VARCHAR(16),
+        ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_deliveries_alert
+      ON telegram_deliveries(alert_id)
+    `);
+
+    // Create alert feedback table (inline button presses, one per user and kind)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS football_alert_feedback (
+        id SERIAL PRIMARY KEY,
+        alert_id INTEGER NOT NULL REFERENCES football_alerts(id) ON DELETE CASCADE,
+        chat_id BIGINT NOT NULL,
+        user_id BIGINT NOT NULL,
+        user_name VARCHAR(64),
+        kind VARCHAR(16) NOT NULL,
+        label VARCHAR(16) NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (alert_id, user_id, kind)
+      )
+    `);
+
+    // Create scoreboards table (one row per scoreboard message sent)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS football_scoreboards (
+        day DATE PRIMARY KEY,
+        timezone VARCHAR(64) NOT NULL,
+        message TEXT,
+        sent_at TIMESTAMPTZ DEFAULT NOW()
+      )
+    `);
+
+    // Create API-Football quota table (singleton row, survives restarts)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS football_api_quota (
+        id INTEGER PRIMARY KEY DEFAULT 1,
+        daily_limit INTEGER,
+        daily_remaining INTEGER,
+        minute_limit INTEGER,
+        minute_remaining INTEGER,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        CONSTRAINT single_quota_row CHECK (id = 1)
+      )
+    `);
+
     await client.query("COMMIT");
     console.log("✅ Database tables initialized successfully");
   } catch (error) {
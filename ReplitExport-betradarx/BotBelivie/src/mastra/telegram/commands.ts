@@ -0,0 +1,767 @@
+import type { Mastra } from "@mastra/core";
+import { RuntimeContext } from "@mastra/core/runtime-context";
+import pg from "pg";
+import TelegramBot from "node-telegram-bot-api";
+import { ALERT_TIERS, type AlertTier } from "../football/alertRules";
+import type { Manpower, ScoreState } from "../football/gameState";
+import { loadPressureFormulaOrDefault } from "../football/pressureFormula";
+import { calculatePressure } from "../tools/calculatePressure";
+import { fetchLiveFixtures } from "../tools/fetchLiveFixtures";
+import { getCurrentThresholds } from "../tools/getCurrentThresholds";
+import { performDailyAnalysis } from "../tools/performDailyAnalysis";
+import type {
+  TriggerInfoTelegram,
+  TriggerInfoTelegramOnCallbackQuery,
+  TriggerInfoTelegramOnNewMessage,
+} from "../../triggers/telegramTriggers";
+import { FEEDBACK_LABELS, parseFeedbackData, recordFeedback } from "./feedback";
+import {
+  LANGUAGES,
+  isSupportedLanguage,
+  renderForLanguages,
+  resolveLanguage,
+  translator,
+  type Language,
+  type MessageKey,
+  type Translate,
+} from "./i18n";
+import { getSubscriber, upsertSubscriber } from "./subscribers";
+
+export type ParsedCommand = { name: string; args: string[] };
+
+type CommandContext = {
+  mastra: Mastra;
+  runtimeContext: RuntimeContext;
+  db: pg.Client | null;
+  chatId: string;
+  chatTitle: string | null;
+  args: string[];
+  // The chat's language, or the sender's Telegram language before it subscribes
+  language: Language;
+  t: Translate;
+};
+
+type Command = {
+  // Defaults to the bare command
+  usage?: MessageKey;
+  description: MessageKey;
+  needsDatabase: boolean;
+  // Whether these arguments change the chat's settings, which in groups
+  // only chat admins may do
+  changesSettings?: (args: string[]) => boolean;
+  run: (context: CommandContext) => Promise<string>;
+};
+
+const GROUP_CHAT_TYPES = new Set(["group", "supergroup"]);
+const ADMIN_STATUSES = new Set(["creator", "administrator"]);
+
+// Snapshots older than this no longer count as a match being tracked
+const TRACKED_WITHIN_MINUTES = 5;
+const STATUS_LIMIT = 20;
+
+/** Parses "/name@Bot arg1 arg2" into its lower-case name and arguments. */
+export function parseCommand(text: string | undefined): ParsedCommand | null {
+  const trimmed = text?.trim() ?? "";
+  if (!trimmed.startsWith("/")) return null;
+
+  const [head, ...args] = trimmed.split(/\s+/);
+  const name = head.slice(1).split("@")[0].toLowerCase();
+  return name ? { name, args } : null;
+}
+
+function fixtureLine(t: Translate, fixture: any): string {
+  const home = fixture.teams?.home?.name ?? t("team.home");
+  const away = fixture.teams?.away?.name ?? t("team.away");
+  return `${home} ${fixture.goals?.home ?? 0} x ${fixture.goals?.away ?? 0} ${away}`;
+}
+
+function tiersLabel(t: Translate, tiers: AlertTier[]): string {
+  return tiers.length > 0
+    ? tiers.map((tier) => t(`tier.${tier}`)).join(", ")
+    : t("tiers.all");
+}
+
+// Tier names in every language ("alta", "média", "media", …) and the codes
+const TIER_ALIASES = new Map<string, AlertTier>(
+  ALERT_TIERS.flatMap((tier) => [
+    [tier, tier] as [string, AlertTier],
+    ...Object.values(
+      renderForLanguages((language) => translator(language)(`tier.${tier}`)),
+    ).map((name) => [foldAccents(name), tier] as [string, AlertTier]),
+  ]),
+);
+
+function foldAccents(text: string): string {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function leaguesLabel(t: Translate, leagues: number[]): string {
+  return leagues.length > 0
+    ? t("leagues.some", { ids: leagues.join(", ") })
+    : t("leagues.all");
+}
+
+async function start({ db, chatId, chatTitle, language, t }: CommandContext) {
+  const existing = await getSubscriber(db!, chatId);
+  const subscriber = await upsertSubscriber(db!, chatId, {
+    active: true,
+    ...(chatTitle ? { title: chatTitle } : {}),
+    // A new chat starts in the sender's Telegram language
+    ...(existing ? {} : { language }),
+  });
+
+  return t("start.subscribed", {
+    leagues: leaguesLabel(t, subscriber.leagues),
+  });
+}
+
+async function stop({ db, chatId, t }: CommandContext) {
+  await upsertSubscriber(db!, chatId, { active: false });
+  return t("stop.done");
+}
+
+async function status({ mastra, runtimeContext, db, t }: CommandContext) {
+  const live = await fetchLiveFixtures.execute!({
+    context: {},
+    runtimeContext,
+    mastra,
+  });
+  if (!live.success) return t("status.fetchError", { error: live.error ?? "" });
+
+  const snapshots = await db!.query(
+    `
+      SELECT DISTINCT ON (fixture_id) fixture_id, statistics
+      FROM football_stats_snapshots
+      WHERE statistics IS NOT NULL
+        AND captured_at > NOW() - ($1 || ' minutes')::interval
+      ORDER BY fixture_id, captured_at DESC
+    `,
+    [String(TRACKED_WITHIN_MINUTES)],
+  );
+  const statsByFixture = new Map<number, any[]>(
+    snapshots.rows.map((row) => [row.fixture_id, row.statistics]),
+  );
+  const formula = await loadPressureFormulaOrDefault(db!);
+
+  const tracked = [];
+  for (const fixture of live.fixtures) {
+    const stats = statsByFixture.get(fixture.fixture?.id);
+    if (!stats) continue;
+
+    const pressure = await calculatePressure.execute!({
+      context: { stats, formula },
+      runtimeContext,
+      mastra,
+    });
+    if (pressure.success) tracked.push({ fixture, pressure });
+  }
+
+  if (tracked.length === 0) return t("status.none");
+
+  tracked.sort((a, b) => b.pressure.pressTotal - a.pressure.pressTotal);
+  const lines = tracked.slice(0, STATUS_LIMIT).map(({ fixture, pressure }) =>
+    t("status.line", {
+      minute: fixture.fixture?.status?.elapsed ?? 0,
+      fixture: fixtureLine(t, fixture),
+      total: Math.round(pressure.pressTotal),
+      home: Math.round(pressure.pressHome),
+      away: Math.round(pressure.pressAway),
+    }),
+  );
+
+  return [
+    t("status.header", { count: tracked.length }),
+    ...lines,
+    ...(tracked.length > STATUS_LIMIT
+      ? [t("status.more", { count: tracked.length - STATUS_LIMIT })]
+      : []),
+  ].join("\n");
+}
+
+async function thresholds({ mastra, runtimeContext, t }: CommandContext) {
+  const current = await getCurrentThresholds.execute!({
+    context: {},
+    runtimeContext,
+    mastra,
+  });
+  if (!current.success) {
+    return t("thresholds.error", { error: current.error ?? "" });
+  }
+
+  return [
+    current.version !== null
+      ? t("thresholds.titleVersion", { version: current.version })
+      : t("thresholds.title"),
+    t("thresholds.total", { total: current.thresholdTotal }),
+    t("thresholds.diff", {
+      diff: current.thresholdDiff,
+      shots: current.shotsMin,
+    }),
+    t("thresholds.corners", { corners: current.escanteios10min }),
+    t("thresholds.updated", { updated: current.lastUpdated }),
+    ...(current.scoped.length > 0
+      ? [
+          "",
+          t("thresholds.scopedTitle"),
+          ...current.scoped.map((row) => {
+            const values = {
+              league: row.leagueId ?? "",
+              team: row.teamId ?? "",
+              total: row.thresholdTotal,
+              diff: row.thresholdDiff,
+              corners: row.escanteios10min,
+              shots: row.shotsMin,
+            };
+            return row.teamId === null
+              ? t("thresholds.leagueLine", values)
+              : t("thresholds.teamLine", values);
+          }),
+        ]
+      : []),
+    ...(current.stateSets.length > 0
+      ? [
+          "",
+          t("thresholds.stateTitle"),
+          ...current.stateSets.map((set) => {
+            const rate = (value: number) =>
+              set.perMinute ? t("thresholds.perMinute", { value }) : value;
+            // Unset values inherit from the row the set belongs to
+            const row =
+              current.scoped.find(
+                (scoped) =>
+                  scoped.leagueId === set.leagueId &&
+                  scoped.teamId === set.teamId,
+              ) ?? current;
+            const scope =
+              set.teamId !== null
+                ? [
+                    t("thresholds.stateTeam", {
+                      team: set.teamId,
+                      league: set.leagueId ?? "",
+                    }),
+                  ]
+                : set.leagueId !== null
+                  ? [t("thresholds.stateLeague", { league: set.leagueId })]
+                  : [];
+            return t("thresholds.stateLine", {
+              state: [
+                ...scope,
+                set.minuteBand ?? t("state.any"),
+                set.scoreState
+                  ? t(`scoreState.${set.scoreState as ScoreState}`)
+                  : t("state.any"),
+                set.manpower
+                  ? t(`manpower.${set.manpower as Manpower}`)
+                  : t("state.any"),
+              ].join(" · "),
+              total: rate(set.thresholdTotal ?? row.thresholdTotal),
+              diff: rate(set.thresholdDiff ?? row.thresholdDiff),
+              corners: set.escanteios10min ?? row.escanteios10min,
+              shots: set.shotsMin ?? row.shotsMin,
+            });
+          }),
+        ]
+      : []),
+  ].join("\n");
+}
+
+async function report({ mastra, runtimeContext, t }: CommandContext) {
+  const analysis = await performDailyAnalysis.execute!({
+    context: { optimize: false },
+    runtimeContext,
+    mastra,
+  });
+  if (!analysis.success) {
+    return t("report.error", { error: analysis.error ?? "" });
+  }
+
+  const current = analysis.currentThresholds;
+  return [
+    t("report.title"),
+    t("report.counts", {
+      matches: analysis.matchesMonitored,
+      alerts: analysis.alertsSent,
+      goals: analysis.goalsConfirmed,
+    }),
+    t("report.accuracy", { accuracy: analysis.accuracy }),
+    ...(analysis.recall
+      ? [
+          t("report.recall", {
+            recall: analysis.recall.goalRecall,
+            alerted: analysis.recall.goalsAlerted,
+            goals: analysis.recall.goals,
+          }),
+        ]
+      : []),
+    ...(analysis.feedback && analysis.feedback.alertsWithFeedback > 0
+      ? [
+          t("report.feedback", {
+            entered: analysis.feedback.entered,
+            skipped: analysis.feedback.skipped,
+            good: analysis.feedback.good,
+            bad: analysis.feedback.bad,
+          }),
+        ]
+      : []),
+    ...(analysis.accuracyByTier.some((tier) => tier.alerts > 0)
+      ? [
+          t("report.tiers", {
+            tiers: analysis.accuracyByTier
+              .map(({ tier, alerts, accuracy }) => {
+                const rate = alerts > 0 ? `${accuracy}%` : t("value.none");
+                return `${t(`tier.${tier as AlertTier}`)} ${rate} (${alerts})`;
+              })
+              .join(" · "),
+          }),
+        ]
+      : []),
+    ...(analysis.directional.alerts > 0
+      ? [
+          t("report.directional", {
+            pressing: analysis.directional.pressingTeamAccuracy,
+            any: analysis.directional.anyGoalAccuracy,
+            alerts: analysis.directional.alerts,
+          }),
+        ]
+      : []),
+    t("report.thresholds", {
+      total: current.thresholdTotal,
+      diff: current.thresholdDiff,
+      corners: current.escanteios10min,
+      shots: current.shotsMin,
+    }),
+  ].join("\n");
+}
+
+async function history({ db, args, t }: CommandContext) {
+  const fixtureId = parseInt(args[0] ?? "", 10);
+  if (!Number.isFinite(fixtureId)) {
+    return t("command.usage", { usage: t("history.usage") });
+  }
+
+  const alerts = await db!.query(
+    `
+      SELECT minute, press_total, press_diff, goal_happened, first_goal_minute,
+             void_reason
+      FROM football_alerts
+      WHERE fixture_id = $1
+      ORDER BY minute ASC, id ASC
+    `,
+    [fixtureId],
+  );
+  const last = await db!.query(
+    `
+      SELECT minute, goals_home, goals_away
+      FROM football_stats_snapshots
+      WHERE fixture_id = $1
+      ORDER BY captured_at DESC
+      LIMIT 1
+    `,
+    [fixtureId],
+  );
+
+  if (alerts.rows.length === 0 && last.rows.length === 0) {
+    return t("history.noData", { id: fixtureId });
+  }
+
+  const lines = alerts.rows.map((row) => {
+    const outcome =
+      row.void_reason !== null
+        ? t("history.void", { reason: row.void_reason })
+        : row.goal_happened === null
+          ? t("history.pending")
+          : row.goal_happened
+            ? t("history.goal", { minute: row.first_goal_minute })
+            : t("history.noGoal");
+    return t("history.line", {
+      minute: row.minute,
+      total: Math.round(parseFloat(row.press_total)),
+      diff: Math.round(parseFloat(row.press_diff)),
+      outcome,
+    });
+  });
+
+  return [
+    t("history.title", { id: fixtureId }),
+    ...(last.rows[0]
+      ? [
+          t("history.lastSeen", {
+            minute: last.rows[0].minute,
+            score: `${last.rows[0].goals_home}-${last.rows[0].goals_away}`,
+          }),
+        ]
+      : []),
+    ...(lines.length > 0 ? lines : [t("history.noAlerts")]),
+  ].join("\n");
+}
+
+async function leagues(context: CommandContext) {
+  const { mastra, runtimeContext, db, chatId, args, t } = context;
+
+  if (args.length > 0) {
+    const ids =
+      args[0].toLowerCase() === "all"
+        ? []
+        : args.map((arg) => parseInt(arg, 10)).filter(Number.isFinite);
+    if (ids.length === 0 && args[0].toLowerCase() !== "all") {
+      return t("leagues.invalid");
+    }
+
+    const subscriber = await upsertSubscriber(db!, chatId, { leagues: ids });
+    return t("leagues.following", {
+      leagues: leaguesLabel(t, subscriber.leagues),
+    });
+  }
+
+  const subscriber = await getSubscriber(db!, chatId);
+  const following = t("leagues.current", {
+    leagues: leaguesLabel(t, subscriber?.leagues ?? []),
+  });
+
+  const live = await fetchLiveFixtures.execute!({
+    context: {},
+    runtimeContext,
+    mastra,
+  });
+  const byLeague = new Map<number, { name: string; matches: number }>();
+  for (const fixture of live.fixtures) {
+    const id = fixture.league?.id;
+    if (id === undefined) continue;
+    const entry = byLeague.get(id) ?? {
+      name: [fixture.league?.country, fixture.league?.name]
+        .filter(Boolean)
+        .join(" – "),
+      matches: 0,
+    };
+    entry.matches++;
+    byLeague.set(id, entry);
+  }
+
+  const lines = [...byLeague.entries()]
+    .sort((a, b) => b[1].matches - a[1].matches)
+    .map(([id, entry]) =>
+      t("leagues.liveLine", { id, name: entry.name, count: entry.matches }),
+    );
+
+  return [
+    following,
+    t("leagues.hint"),
+    ...(lines.length > 0 ? ["", t("leagues.liveNow"), ...lines] : []),
+  ].join("\n");
+}
+
+async function tiers({ db, chatId, args, t }: CommandContext) {
+  if (args.length === 0) {
+    const subscriber = await getSubscriber(db!, chatId);
+    return t("tiers.current", {
+      tiers: tiersLabel(t, subscriber?.tiers ?? []),
+    });
+  }
+
+  const all = args[0].toLowerCase() === "all";
+  const chosen = args.map((arg) => TIER_ALIASES.get(foldAccents(arg)));
+  if (!all && chosen.some((tier) => tier === undefined)) {
+    return t("tiers.invalid");
+  }
+
+  const subscriber = await upsertSubscriber(db!, chatId, {
+    tiers: all ? [] : ALERT_TIERS.filter((tier) => chosen.includes(tier)),
+  });
+  return t("tiers.following", { tiers: tiersLabel(t, subscriber.tiers) });
+}
+
+async function language({ db, chatId, args, language, t }: CommandContext) {
+  const available = LANGUAGES.join(", ");
+
+  if (args.length === 0) {
+    return t("language.current", { language, languages: available });
+  }
+  if (!isSupportedLanguage(args[0])) {
+    return t("language.invalid", { code: args[0], languages: available });
+  }
+
+  const subscriber = await upsertSubscriber(db!, chatId, {
+    language: resolveLanguage(args[0]),
+  });
+  return translator(subscriber.language)("language.set", {
+    language: subscriber.language,
+  });
+}
+
+const COMMANDS: Record<string, Command> = {
+  start: {
+    description: "start.description",
+    needsDatabase: true,
+    changesSettings: () => true,
+    run: start,
+  },
+  stop: {
+    description: "stop.description",
+    needsDatabase: true,
+    changesSettings: () => true,
+    run: stop,
+  },
+  status: {
+    description: "status.description",
+    needsDatabase: true,
+    run: status,
+  },
+  thresholds: {
+    description: "thresholds.description",
+    needsDatabase: false,
+    run: thresholds,
+  },
+  report: {
+    description: "report.description",
+    needsDatabase: false,
+    run: report,
+  },
+  history: {
+    usage: "history.usage",
+    description: "history.description",
+    needsDatabase: true,
+    run: history,
+  },
+  leagues: {
+    usage: "leagues.usage",
+    description: "leagues.description",
+    needsDatabase: true,
+    changesSettings: (args) => args.length > 0,
+    run: leagues,
+  },
+  tiers: {
+    usage: "tiers.usage",
+    description: "tiers.description",
+    needsDatabase: true,
+    changesSettings: (args) => args.length > 0,
+    run: tiers,
+  },
+  language: {
+    usage: "language.usage",
+    description: "language.description",
+    needsDatabase: true,
+    changesSettings: (args) => args.length > 0,
+    run: language,
+  },
+  help: {
+    description: "help.description",
+    needsDatabase: false,
+    run: async ({ t }) => helpText(t),
+  },
+};
+
+function helpText(t: Translate): string {
+  return [
+    t("help.title"),
+    ...Object.entries(COMMANDS).map(
+      ([name, command]) =>
+        `${command.usage ? t(command.usage) : `/${name}`} — ${t(command.description)}`,
+    ),
+  ].join("\n");
+}
+
+/**
+ * Whether the sender may change a chat's settings: anyone in a private chat,
+ * only admins in a group. A message sent as the group itself comes from an
+ * anonymous admin.
+ */
+async function canChangeSettings(message: {
+  chatId: string;
+  chatType: string | null;
+  senderId: string | null;
+  sentAsChat: boolean;
+}): Promise<boolean> {
+  if (!message.chatType || !GROUP_CHAT_TYPES.has(message.chatType)) {
+    return true;
+  }
+  if (message.sentAsChat) return true;
+
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token || !message.senderId) return false;
+
+  const member = await new TelegramBot(token).getChatMember(
+    message.chatId,
+    Number(message.senderId),
+  );
+  return ADMIN_STATUSES.has(member.status);
+}
+
+/**
+ * Answers a chat command from the database and the existing tools. Returns
+ * null for text that is not a command.
+ */
+export async function runTelegramCommand(
+  mastra: Mastra,
+  message: {
+    chatId: string;
+    chatTitle: string | null;
+    // Telegram chat type: "private", "group", "supergroup" or "channel"
+    chatType: string | null;
+    // The sender's user id; null for messages sent on behalf of a chat
+    senderId: string | null;
+    // Sent on behalf of the chat itself (an anonymous group admin)
+    sentAsChat: boolean;
+    text: string;
+    // The sender's Telegram language, used until the chat picks one
+    languageCode: string | null;
+  },
+): Promise<string | null> {
+  const parsed = parseCommand(message.text);
+  if (!parsed) return null;
+
+  const connectionString = process.env.DATABASE_URL;
+  const db = connectionString ? new pg.Client({ connectionString }) : null;
+  if (db) await db.connect();
+
+  try {
+    const subscriber = db ? await getSubscriber(db, message.chatId) : null;
+    const language =
+      subscriber?.language ?? resolveLanguage(message.languageCode);
+    const t = translator(language);
+
+    const command = COMMANDS[parsed.name];
+    if (!command) {
+      return `${t("command.unknown", { name: parsed.name })}\n\n${helpText(t)}`;
+    }
+    if (command.needsDatabase && !db) return t("command.needsDatabase");
+    if (
+      command.changesSettings?.(parsed.args) &&
+      !(await canChangeSettings(message))
+    ) {
+      return t("command.adminsOnly");
+    }
+
+    return await command.run({
+      mastra,
+      runtimeContext: new RuntimeContext(),
+      db,
+      chatId: message.chatId,
+      chatTitle: message.chatTitle,
+      args: parsed.args,
+      language,
+      t,
+    });
+  } finally {
+    await db?.end();
+  }
+}
+
+/** Handles a message from the Telegram webhook and replies in the same chat. */
+async function handleTelegramMessage(
+  mastra: Mastra,
+  triggerInfo: TriggerInfoTelegramOnNewMessage,
+): Promise<void> {
+  const logger = mastra.getLogger();
+  const chat = triggerInfo.payload.message?.chat;
+  if (!chat) return;
+
+  const chatId = String(chat.id);
+  const chatTitle: string | null =
+    chat.title ?? chat.username ?? triggerInfo.params.userName ?? null;
+  const languageCode: string | null =
+    triggerInfo.payload.message?.from?.language_code ?? null;
+  const senderId = triggerInfo.payload.message?.from?.id;
+  const senderChatId = triggerInfo.payload.message?.sender_chat?.id;
+
+  let reply: string | null;
+  try {
+    reply = await runTelegramCommand(mastra, {
+      chatId,
+      chatTitle,
+      chatType: chat.type ?? null,
+      senderId: senderId !== undefined ? String(senderId) : null,
+      sentAsChat: senderChatId !== undefined && String(senderChatId) === chatId,
+      text: triggerInfo.params.message,
+      languageCode,
+    });
+  } catch (error: any) {
+    logger?.error("❌ [telegramCommands] Error running command", {
+      chatId,
+      error: error.message,
+    });
+    reply = translator(resolveLanguage(languageCode))("command.error");
+  }
+
+  if (!reply) return;
+
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) {
+    logger?.error("❌ [telegramCommands] TELEGRAM_BOT_TOKEN not found");
+    return;
+  }
+
+  logger?.info("💬 [telegramCommands] Replying to command", {
+    chatId,
+    command: parseCommand(triggerInfo.params.message)?.name,
+  });
+  await new TelegramBot(token).sendMessage(chatId, reply);
+}
+
+/**
+ * Handles an inline button press: stores alert feedback and answers the
+ * callback so Telegram stops showing the button as loading.
+ */
+async function handleTelegramCallback(
+  mastra: Mastra,
+  triggerInfo: TriggerInfoTelegramOnCallbackQuery,
+): Promise<void> {
+  const logger = mastra.getLogger();
+  const query = triggerInfo.payload.callback_query;
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  if (!token) {
+    logger?.error("❌ [telegramCommands] TELEGRAM_BOT_TOKEN not found");
+    return;
+  }
+  const bot = new TelegramBot(token);
+
+  const feedback = parseFeedbackData(triggerInfo.params.data);
+  const connectionString = process.env.DATABASE_URL;
+  if (!feedback || !connectionString) {
+    await bot.answerCallbackQuery(query.id);
+    return;
+  }
+
+  // The answer is shown only to the user who pressed, in their own language
+  const t = translator(resolveLanguage(query.from?.language_code));
+  const db = new pg.Client({ connectionString });
+  let answer: string;
+  try {
+    await db.connect();
+    await recordFeedback(db, {
+      ...feedback,
+      chatId: String(query.message?.chat?.id ?? query.from.id),
+      userId: String(query.from.id),
+      userName: triggerInfo.params.userName ?? null,
+    });
+    answer = t("feedback.recorded", {
+      label: t(FEEDBACK_LABELS[feedback.label].key),
+    });
+
+    logger?.info("🗳️ [telegramCommands] Alert feedback recorded", feedback);
+  } catch (error: any) {
+    logger?.error("❌ [telegramCommands] Error recording feedback", {
+      ...feedback,
+      error: error.message,
+    });
+    answer = t("feedback.error");
+  } finally {
+    await db.end();
+  }
+
+  await bot.answerCallbackQuery(query.id, { text: answer });
+}
+
+/** Entry point for the Telegram webhook: commands and inline button presses. */
+export async function handleTelegramUpdate(
+  mastra: Mastra,
+  triggerInfo: TriggerInfoTelegram,
+): Promise<void> {
+  if (triggerInfo.type === "telegram/callback_query") {
+    await handleTelegramCallback(mastra, triggerInfo);
+  } else {
+    await handleTelegramMessage(mastra, triggerInfo);
+  }
+}
@@ -0,0 +1,233 @@
+import type pg from "pg";
+import type TelegramBot from "node-telegram-bot-api";
+import { feedbackKeyboard } from "./feedback";
+import { resolveLanguage, type Language, type ParseMode } from "./i18n";
+import {
+  disableSubscriber,
+  listSubscribers,
+  wantsAlert,
+  type AlertAudience,
+  type Subscriber,
+} from "./subscribers";
+
+export type DeliveryStatus = "sent" | "failed" | "blocked";
+
+export type OutgoingMessage = {
+  text: string;
+  parseMode?: ParseMode;
+  // Text per subscriber language; subscribers in other languages get `text`
+  translations?: Partial<Record<string, string>>;
+  // Alerts go only to matching subscribers; anything else goes to every active one.
+  // Stored alerts carry the feedback buttons.
+  alert?: AlertAudience & { alertId: number | null };
+};
+
+export type DeliverySummary = {
+  recipients: number;
+  sent: number;
+  failed: number;
+  // Chats disabled because Telegram refused them for good
+  disabled: number;
+  deliveries: {
+    chatId: string;
+    status: DeliveryStatus;
+    messageId: number | null;
+    error: string | null;
+  }[];
+};
+
+/**
+ * Reason to stop writing to a chat, or null when a send error may be
+ * temporary. Telegram answers 403 when the bot was blocked, kicked or the
+ * user deactivated, and 400 when the chat is gone.
+ */
+export function unreachableChatReason(error: any): string | null {
+  const body = error?.response?.body;
+  const code = body?.error_code;
+  const description = String(body?.description ?? error?.message ?? "");
+
+  if (code === 403) return description || "Forbidden";
+  if (
+    code === 400 &&
+    /chat not found|group chat was (deactivated|upgraded)|chat_write_forbidden/i.test(
+      description,
+    )
+  ) {
+    return description;
+  }
+  return null;
+}
+
+async function recordDelivery(
+  client: pg.Client,
+  delivery: {
+    subscriberId: number;
+    chatId: string;
+    alertId: number | null;
+    status: DeliveryStatus;
+    messageId: number | null;
+    error: string | null;
+    text: string;
+    parseMode: string | null;
+  },
+): Promise<void> {
+  await client.query(
+    `
+      INSERT INTO telegram_deliveries
+      (subscriber_id, chat_id, alert_id, status, message_id, error, message_text, parse_mode)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `,
+    [
+      delivery.subscriberId,
+      delivery.chatId,
+      delivery.alertId,
+      delivery.status,
+      delivery.messageId,
+      delivery.error,
+      // Kept for alerts so the message can be edited once the outcome is known
+      delivery.alertId !== null ? delivery.text : null,
+      delivery.parseMode,
+    ],
+  );
+}
+
+/**
+ * Sends a message to each matching subscriber, one chat at a time, and
+ * records every attempt in `telegram_deliveries`. A chat Telegram refuses
+ * for good is disabled so later messages skip it.
+ */
+export async function deliverToSubscribers(
+  client: pg.Client,
+  bot: TelegramBot,
+  message: OutgoingMessage,
+  now: Date = new Date(),
+): Promise<DeliverySummary> {
+  const subscribers = await listSubscribers(client);
+  const recipients = message.alert
+    ? subscribers.filter((subscriber) =>
+        wantsAlert(subscriber, message.alert!, now),
+      )
+    : subscribers;
+
+  const summary: DeliverySummary = {
+    recipients: recipients.length,
+    sent: 0,
+    failed: 0,
+    disabled: 0,
+    deliveries: [],
+  };
+
+  for (const subscriber of recipients) {
+    const delivery = await sendToSubscriber(client, bot, subscriber, message);
+    summary.deliveries.push(delivery);
+    if (delivery.status === "sent") summary.sent++;
+    else summary.failed++;
+    if (delivery.status === "blocked") summary.disabled++;
+  }
+
+  return summary;
+}
+
+async function sendToSubscriber(
+  client: pg.Client,
+  bot: TelegramBot,
+  subscriber: Subscriber,
+  message: OutgoingMessage,
+): Promise<DeliverySummary["deliveries"][number]> {
+  let status: DeliveryStatus = "sent";
+  let messageId: number | null = null;
+  let error: string | null = null;
+
+  const alertId = message.alert?.alertId ?? null;
+  const text = message.translations?.[subscriber.language] ?? message.text;
+
+  try {
+    const result = await bot.sendMessage(subscriber.chatId, text, {
+      ...(message.parseMode ? { parse_mode: message.parseMode } : {}),
+      ...(alertId !== null
+        ? { reply_markup: feedbackKeyboard(alertId, subscriber.language) }
+        : {}),
+    });
+    messageId = result.message_id;
+  } catch (sendError: any) {
+    error = sendError.message || "Unknown error occurred";
+    const reason = unreachableChatReason(sendError);
+    if (reason) {
+      status = "blocked";
+      await disableSubscriber(client, subscriber.id, reason);
+    } else {
+      status = "failed";
+    }
+  }
+
+  await recordDelivery(client, {
+    subscriberId: subscriber.id,
+    chatId: subscriber.chatId,
+    alertId,
+    status,
+    messageId,
+    error,
+    text,
+    parseMode: message.parseMode ?? null,
+  });
+
+  return { chatId: subscriber.chatId, status, messageId, error };
+}
+
+/**
+ * Appends the text `addition` renders for each recipient's language and the
+ * copy's parse mode to every delivered copy of an alert, keeping the feedback
+ * buttons. Returns how many messages were edited; copies Telegram no longer
+ * lets the bot edit are skipped.
+ */
+export async function editAlertDeliveries(
+  client: pg.Client,
+  bot: TelegramBot,
+  alertId: number,
+  addition: (language: Language, parseMode: ParseMode | null) => string,
+): Promise<{ edited: number; failed: number }> {
+  const result = await client.query(
+    `
+      SELECT d.id, d.chat_id, d.message_id, d.message_text, d.parse_mode,
+             s.language
+      FROM telegram_deliveries d
+      LEFT JOIN telegram_subscribers s ON s.id = d.subscriber_id
+      WHERE d.alert_id = $1
+        AND d.status = 'sent'
+        AND d.message_id IS NOT NULL
+        AND d.message_text IS NOT NULL
+        AND d.edited_at IS NULL
+    `,
+    [alertId],
+  );
+
+  let edited = 0;
+  let failed = 0;
+
+  for (const row of result.rows) {
+    const language = resolveLanguage(row.language);
+    const text = `${row.message_text}\n\n${addition(language, row.parse_mode)}`;
+
+    try {
+      await bot.editMessageText(text, {
+        chat_id: String(row.chat_id),
+        message_id: row.message_id,
+        ...(row.parse_mode ? { parse_mode: row.parse_mode } : {}),
+        reply_markup: feedbackKeyboard(alertId, language),
+      });
+      await client.query(
+        "UPDATE telegram_deliveries SET edited_at = NOW() WHERE id = $1",
+        [row.id],
+      );
+      edited++;
+    } catch (error: any) {
+      failed++;
+      await client.query(
+        "UPDATE telegram_deliveries SET error = $2 WHERE id = $1",
+        [row.id, error.message || "Unknown error occurred"],
+      );
+    }
+  }
+
+  return { edited, failed };
+}
@@ -0,0 +1,151 @@
+import type pg from "pg";
+import {
+  DEFAULT_LANGUAGE,
+  translator,
+  type Language,
+  type MessageKey,
+} from "./i18n";
+
+export type FeedbackLabel = "entered" | "skipped" | "good" | "bad";
+
+// Whether the user acted on the alert, and what they thought of it, are
+// separate questions: one answer of each kind is kept per user and alert.
+export type FeedbackKind = "action" | "verdict";
+
+export const FEEDBACK_LABELS: Record<
+  FeedbackLabel,
+  { kind: FeedbackKind; key: MessageKey }
+> = {
+  entered: { kind: "action", key: "feedback.entered" },
+  skipped: { kind: "action", key: "feedback.skipped" },
+  good: { kind: "verdict", key: "feedback.good" },
+  bad: { kind: "verdict", key: "feedback.bad" },
+};
+
+const CALLBACK_PREFIX = "fb";
+
+export type FeedbackSummary = {
+  alertsWithFeedback: number;
+  entered: number;
+  skipped: number;
+  good: number;
+  bad: number;
+  // Hit rate of settled alerts users entered / called good; null without any
+  enteredHitRate: number | null;
+  goodCallHitRate: number | null;
+  badCallHitRate: number | null;
+};
+
+/** Inline keyboard with the feedback buttons for an alert message. */
+export function feedbackKeyboard(
+  alertId: number,
+  language: Language = DEFAULT_LANGUAGE,
+) {
+  const t = translator(language);
+  const button = (label: FeedbackLabel) => ({
+    text: t(FEEDBACK_LABELS[label].key),
+    callback_data: `${CALLBACK_PREFIX}:${alertId}:${label}`,
+  });
+
+  return {
+    inline_keyboard: [
+      [button("entered"), button("skipped")],
+      [button("good"), button("bad")],
+    ],
+  };
+}
+
+/** Reads "fb:<alert id>:<label>" callback data; null for anything else. */
+export function parseFeedbackData(
+  data: string,
+): { alertId: number; label: FeedbackLabel } | null {
+  const [prefix, id, label] = data.split(":");
+  const alertId = parseInt(id ?? "", 10);
+
+  if (
+    prefix !== CALLBACK_PREFIX ||
+    !Number.isFinite(alertId) ||
+    !Object.hasOwn(FEEDBACK_LABELS, label)
+  ) {
+    return null;
+  }
+  return { alertId, label: label as FeedbackLabel };
+}
+
+/** Stores a button press; pressing another button of the same kind replaces it. */
+export async function recordFeedback(
+  client: pg.Client,
+  feedback: {
+    alertId: number;
+    label: FeedbackLabel;
+    chatId: string;
+    userId: string;
+    userName: string | null;
+  },
+): Promise<void> {
+  await client.query(
+    `
+      INSERT INTO football_alert_feedback
+      (alert_id, chat_id, user_id, user_name, kind, label)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (alert_id, user_id, kind) DO UPDATE SET
+        label = EXCLUDED.label,
+        chat_id = EXCLUDED.chat_id,
+        user_name = EXCLUDED.user_name,
+        created_at = NOW()
+    `,
+    [
+      feedback.alertId,
+      feedback.chatId,
+      feedback.userId,
+      feedback.userName,
+      FEEDBACK_LABELS[feedback.label].kind,
+      feedback.label,
+    ],
+  );
+}
+
+function hitRate(row: any, prefix: string): number | null {
+  const settled = parseInt(row[`${prefix}_settled`], 10) || 0;
+  const hits = parseInt(row[`${prefix}_hits`], 10) || 0;
+  return settled > 0 ? Math.round((hits / settled) * 10000) / 100 : null;
+}
+
+/** Feedback on the alerts created in the last `hours` hours. */
+export async function summarizeFeedback(
+  client: pg.Client,
+  hours = 24,
+): Promise<FeedbackSummary> {
+  const result = await client.query(
+    `
+      SELECT
+        COUNT(DISTINCT f.alert_id) AS alerts_with_feedback,
+        COUNT(*) FILTER (WHERE f.label = 'entered') AS entered,
+        COUNT(*) FILTER (WHERE f.label = 'skipped') AS skipped,
+        COUNT(*) FILTER (WHERE f.label = 'good') AS good,
+        COUNT(*) FILTER (WHERE f.label = 'bad') AS bad,
+        COUNT(*) FILTER (WHERE f.label = 'entered' AND a.goal_happened IS NOT NULL) AS entered_settled,
+        COUNT(*) FILTER (WHERE f.label = 'entered' AND a.goal_happened) AS entered_hits,
+        COUNT(*) FILTER (WHERE f.label = 'good' AND a.goal_happened IS NOT NULL) AS good_settled,
+        COUNT(*) FILTER (WHERE f.label = 'good' AND a.goal_happened) AS good_hits,
+        COUNT(*) FILTER (WHERE f.label = 'bad' AND a.goal_happened IS NOT NULL) AS bad_settled,
+        COUNT(*) FILTER (WHERE f.label = 'bad' AND a.goal_happened) AS bad_hits
+      FROM football_alert_feedback f
+      JOIN football_alerts a ON a.id = f.alert_id
+      WHERE a.created_at > NOW() - ($1 || ' hours')::interval
+    `,
+    [String(hours)],
+  );
+
+  const row = result.rows[0];
+  return {
+    alertsWithFeedback: parseInt(row.alerts_with_feedback, 10) || 0,
+    entered: parseInt(row.entered, 10) || 0,
+    skipped: parseInt(row.skipped, 10) || 0,
+    good: parseInt(row.good, 10) || 0,
+    bad: parseInt(row.bad, 10) || 0,
+    enteredHitRate: hitRate(row, "entered"),
+    goodCallHitRate: hitRate(row, "good"),
+    badCallHitRate: hitRate(row, "bad"),
+  };
+}
@@ -0,0 +1,157 @@
+import { en, type Catalog, type MessageKey } from "./locales/en";
+import { es } from "./locales/es";
+import { ptBR } from "./locales/pt-BR";
+
+export const LANGUAGES = ["pt-BR", "en", "es"] as const;
+
+export type Language = (typeof LANGUAGES)[number];
+export type ParseMode = "HTML" | "Markdown";
+export type { MessageKey };
+
+export const DEFAULT_LANGUAGE: Language = "en";
+
+// The original bot wrote in Portuguese, so the chat it sent to (TELEGRAM_CHAT_ID) keeps it
+export const LEGACY_CHAT_LANGUAGE: Language = "pt-BR";
+
+const CATALOGS: Record<Language, Catalog> = { "pt-BR": ptBR, en, es };
+
+export type Translate = (
+  key: MessageKey,
+  values?: Record<string, string | number>,
+) => string;
+
+/**
+ * Maps a language tag ("pt", "pt_BR", "es-AR", a Telegram `language_code`)
+ * to a supported language, or the default for anything else.
+ */
+export function resolveLanguage(tag: string | null | undefined): Language {
+  const normalized = (tag ?? "").trim().replace("_", "-").toLowerCase();
+  const exact = LANGUAGES.find(
+    (language) => language.toLowerCase() === normalized,
+  );
+  if (exact) return exact;
+
+  const base = normalized.split("-")[0];
+  return (
+    LANGUAGES.find((language) => language.split("-")[0] === base) ??
+    DEFAULT_LANGUAGE
+  );
+}
+
+export function isSupportedLanguage(tag: string): boolean {
+  const base = tag.trim().replace("_", "-").toLowerCase().split("-")[0];
+  return LANGUAGES.some((language) => language.split("-")[0] === base);
+}
+
+export function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// The tags and named entities Telegram's HTML parse mode accepts
+const TELEGRAM_HTML_TAGS = [
+  "b",
+  "strong",
+  "i",
+  "em",
+  "u",
+  "ins",
+  "s",
+  "strike",
+  "del",
+  "span",
+  "tg-spoiler",
+  "a",
+  "code",
+  "pre",
+  "blockquote",
+  "tg-emoji",
+];
+const HTML_ENTITY = /^&(lt|gt|amp|quot|#\d+|#x[0-9a-f]+);/i;
+
+/**
+ * Whether Telegram would accept `text` with `parse_mode: "HTML"`: only
+ * supported tags, properly nested and closed, and no bare `<`, `>` or `&`.
+ */
+export function isTelegramHtml(text: string): boolean {
+  const open: string[] = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === ">") return false;
+    if (char === "&") {
+      if (!HTML_ENTITY.test(text.slice(i))) return false;
+      continue;
+    }
+    if (char !== "<") continue;
+
+    const tag = /^<(\/?)([a-z-]+)(\s[^<>]*)?>/i.exec(text.slice(i));
+    if (!tag) return false;
+
+    const [match, closing, rawName, attributes] = tag;
+    const name = rawName.toLowerCase();
+    if (!TELEGRAM_HTML_TAGS.includes(name)) return false;
+    if (closing) {
+      if (attributes || open.pop() !== name) return false;
+    } else {
+      open.push(name);
+    }
+    i += match.length - 1;
+  }
+
+  return open.length === 0;
+}
+
+/** Escapes the characters Telegram's legacy Markdown treats as markup. */
+export function escapeMarkdown(text: string): string {
+  return text.replace(/([_*`\[])/g, "\\$1");
+}
+
+/** Replaces each `{name}` in `template` with its value; unknown names are left as is. */
+export function renderTemplate(
+  template: string,
+  values: Record<string, string | number>,
+): string {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in values ? String(values[name]) : match,
+  );
+}
+
+/**
+ * Message lookup for one language. Values are escaped for `parseMode`, so team
+ * and league names from the API cannot break the markup; catalog text itself
+ * is inserted as is. Keys missing from a catalog fall back to English.
+ */
+export function translator(
+  language: Language,
+  parseMode: ParseMode | null = null,
+): Translate {
+  const escape =
+    parseMode === "HTML"
+      ? escapeHtml
+      : parseMode === "Markdown"
+        ? escapeMarkdown
+        : (text: string) => text;
+
+  return (key, values = {}) =>
+    renderTemplate(
+      CATALOGS[language][key] ?? en[key],
+      Object.fromEntries(
+        Object.entries(values).map(([name, value]) => [
+          name,
+          typeof value === "string" ? escape(value) : value,
+        ]),
+      ),
+    );
+}
+
+/** Renders a message once per supported language. */
+export function renderForLanguages(
+  render: (language: Language) => string,
+): Record<Language, string> {
+  return Object.fromEntries(
+    LANGUAGES.map((language) => [language, render(language)]),
+  ) as Record<Language, string>;
+}
@@ -0,0 +1,172 @@
+// English catalog. Its keys define the messages every other catalog translates.
+export const en = {
+  "team.home": "Home",
+  "team.away": "Away",
+  "value.none": "–",
+  "value.yes": "Yes",
+  "value.no": "No",
+
+  "alert.header": "⚽ {home} {goalsHome} x {goalsAway} {away}",
+  "alert.league": "🏆 {league}",
+  "alert.pressure":
+    "⏱️ {minute}' — Pressure: {total} (Home {home} / Away {away})",
+  "alert.shotsCorners":
+    "🔢 Shots on goal: {shotsHome} / {shotsAway} | Corners: {cornersHome} / {cornersAway}",
+  "alert.recentCorners": "🚩 Corners in the last {window} minutes: {count}",
+  "alert.pressureDiff": "📊 Pressure difference: {diff}",
+  "alert.pressing": "➡️ Pressing: {team}",
+  "alert.tier": "📈 Next-goal chance: {tier} | Corner race: {cornerRace}",
+  "alert.probability": "🎲 Goal probability ({horizon}): {probability}%",
+  "alert.reasons": "🎯 Triggered by: {reasons}",
+  "alert.fixtureId": "🔗 Fixture ID: {id}",
+  "reason.press_total": "Total pressure",
+  "reason.press_diff": "Pressure difference",
+  "reason.press_near": "Total pressure near the threshold",
+  "reason.corners": "Corners in the last 10 minutes",
+  "reason.probability": "Goal probability",
+  "tier.high": "High",
+  "tier.medium": "Medium",
+  "tier.low": "Low",
+
+  "result.green": "✅ GREEN – goal at {minute}', {after} min after the alert",
+  "result.greenTeam":
+    "✅ GREEN – goal at {minute}' ({team}), {after} min after the alert",
+  "result.red": "❌ RED – no goal {window}",
+  "result.voidCancelled": "⚪ VOID – match cancelled",
+  "result.voidAbandoned": "⚪ VOID – match abandoned or awarded",
+  "result.finalScore": "📋 Final score: {score}",
+  "result.score": "📋 Score: {score} ({minute}')",
+  "window.HT": "before half-time",
+  "window.FT": "before full-time",
+  "window.minutes": "within {minutes} minutes",
+
+  "feedback.entered": "✅ Entered",
+  "feedback.skipped": "❌ Skipped",
+  "feedback.good": "👍 Good call",
+  "feedback.bad": "👎 Bad call",
+  "feedback.recorded": "Recorded: {label}",
+  "feedback.error": "⚠️ Could not record your answer, please try again later.",
+
+  scoreboard: `📊 Daily scoreboard – {day}
+
+✅ Greens: {greens}
+❌ Reds: {reds}
+⚪ Void: {voids}
+⏳ Pending: {pending}
+🎯 Hit rate: {hitRate}
+
+🔥 Current streak: {currentStreak}
+🏆 Best green streak (30 days): {bestGreenStreak}
+
+🥇 Best league (7 days): {bestLeague}
+🥉 Worst league (7 days): {worstLeague}
+
+📅 Last 7 days: {last7Days}
+🗓️ Last 30 days: {last30Days}`,
+
+  "command.unknown": "Unknown command /{name}.",
+  "command.needsDatabase":
+    "⚠️ This command needs the database, which is not configured.",
+  "command.error": "⚠️ Something went wrong, please try again later.",
+  "command.usage": "Usage: {usage}",
+  "command.adminsOnly": "Only group admins can change this chat's settings.",
+
+  "start.description": "Subscribe this chat to alerts",
+  "start.subscribed":
+    "✅ Subscribed. You will receive alerts for {leagues}.\nSend /stop to unsubscribe or /help for the commands.",
+  "stop.description": "Unsubscribe this chat",
+  "stop.done": "🔕 Unsubscribed. Send /start to subscribe again.",
+
+  "status.description": "Live matches being tracked and their pressure",
+  "status.fetchError": "⚠️ Could not fetch live matches: {error}",
+  "status.none": "No live matches are being tracked right now.",
+  "status.header": "📡 Tracking {count} live matches, highest pressure first:",
+  "status.line": "⏱️ {minute}' {fixture} — pressure {total} ({home} / {away})",
+  "status.more": "… and {count} more",
+
+  "thresholds.description": "Current alert thresholds",
+  "thresholds.error": "⚠️ Could not load thresholds: {error}",
+  "thresholds.title": "🎯 Thresholds",
+  "thresholds.titleVersion": "🎯 Thresholds (version {version})",
+  "thresholds.total": "Total pressure ≥ {total}",
+  "thresholds.diff":
+    "Pressure difference ≥ {diff} with ≥ {shots} shots on goal",
+  "thresholds.corners": "Corners in the last 10 minutes ≥ {corners}",
+  "thresholds.updated": "Updated: {updated}",
+  "thresholds.scopedTitle": "League and team thresholds:",
+  "thresholds.leagueLine":
+    "League {league}: total {total}, diff {diff}, corners {corners}, shots {shots}",
+  "thresholds.teamLine":
+    "Team {team} (league {league}): total {total}, diff {diff}, corners {corners}, shots {shots}",
+  "thresholds.stateTitle": "By minute band and game state:",
+  "thresholds.stateLine":
+    "{state}: total {total}, diff {diff}, corners {corners}, shots {shots}",
+  "thresholds.perMinute": "{value}/min",
+  "thresholds.stateLeague": "league {league}",
+  "thresholds.stateTeam": "team {team} (league {league})",
+  "state.any": "any",
+  "scoreState.level": "level",
+  "scoreState.one_goal": "one-goal margin",
+  "scoreState.two_plus": "two+ goal margin",
+  "manpower.even": "even numbers",
+  "manpower.uneven": "red card",
+
+  "report.description": "Accuracy and recall over the last 24 hours",
+  "report.error": "⚠️ Could not build the report: {error}",
+  "report.title": "📊 Last 24 hours",
+  "report.counts": "Matches: {matches} | Alerts: {alerts} | Goals: {goals}",
+  "report.accuracy": "Accuracy: {accuracy}%",
+  "report.recall": "Goal recall: {recall}% ({alerted} of {goals} goals)",
+  "report.feedback":
+    "Feedback: ✅ {entered} entered, ❌ {skipped} skipped, 👍 {good} / 👎 {bad}",
+  "report.tiers": "By tier (30 days): {tiers}",
+  "report.directional":
+    "Pressing team scores: {pressing}% vs any goal: {any}% ({alerts} alerts, 30 days)",
+  "report.thresholds":
+    "Thresholds: total {total}, diff {diff}, corners {corners}, shots {shots}",
+
+  "history.usage": "/history <fixture id>",
+  "history.description": "Alerts and outcomes for a fixture",
+  "history.noData": "No data for fixture {id}.",
+  "history.title": "📜 Fixture {id}",
+  "history.lastSeen": "Last seen at {minute}' ({score})",
+  "history.line": "⏱️ {minute}' pressure {total} / diff {diff} → {outcome}",
+  "history.pending": "⏳ pending",
+  "history.goal": "✅ goal at {minute}'",
+  "history.noGoal": "❌ no goal",
+  "history.void": "⚪ void ({reason})",
+  "history.noAlerts": "No alerts for this fixture.",
+
+  "leagues.usage": "/leagues [id … | all]",
+  "leagues.description": "Show or set the leagues this chat follows",
+  "leagues.invalid":
+    "Usage: /leagues <league id> [league id …] or /leagues all",
+  "leagues.some": "leagues {ids}",
+  "leagues.all": "every league",
+  "leagues.following": "✅ Following {leagues}.",
+  "leagues.current": "You follow {leagues}.",
+  "leagues.hint": "Set with /leagues <id> [id …], or /leagues all.",
+  "leagues.liveNow": "Live now:",
+  "leagues.liveLine": "{id}: {name} ({count} live)",
+
+  "tiers.usage": "/tiers [high medium low | all]",
+  "tiers.description": "Show or set the alert tiers this chat receives",
+  "tiers.invalid": "Usage: /tiers high [medium] [low] or /tiers all",
+  "tiers.all": "every tier",
+  "tiers.following": "✅ Receiving {tiers}.",
+  "tiers.current":
+    "You receive {tiers}.\nSet with /tiers high [medium] [low], or /tiers all.",
+
+  "language.usage": "/language [code]",
+  "language.description": "Show or set the language of this chat's messages",
+  "language.current":
+    "🌐 Language: {language}. Available: {languages}.\nSet with /language <code>.",
+  "language.invalid": "Unknown language {code}. Available: {languages}.",
+  "language.set": "✅ Messages in this chat will be in {language}.",
+
+  "help.description": "This list",
+  "help.title": "Commands:",
+};
+
+export type MessageKey = keyof typeof en;
+export type Catalog = Record<MessageKey, string>;
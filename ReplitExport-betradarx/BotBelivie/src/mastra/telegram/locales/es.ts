@@ -0,0 +1,176 @@
+import type { Catalog } from "./en";
+
+export const es: Catalog = {
+  "team.home": "Local",
+  "team.away": "Visitante",
+  "value.none": "–",
+  "value.yes": "Sí",
+  "value.no": "No",
+
+  "alert.header": "⚽ {home} {goalsHome} x {goalsAway} {away}",
+  "alert.league": "🏆 {league}",
+  "alert.pressure":
+    "⏱️ {minute}' — Presión: {total} (Local {home} / Visitante {away})",
+  "alert.shotsCorners":
+    "🔢 Tiros a puerta: {shotsHome} / {shotsAway} | Córners: {cornersHome} / {cornersAway}",
+  "alert.recentCorners": "🚩 Córners en los últimos {window} minutos: {count}",
+  "alert.pressureDiff": "📊 Diferencia de presión: {diff}",
+  "alert.pressing": "➡️ Presiona: {team}",
+  "alert.tier":
+    "📈 Prob. de gol próximo: {tier} | ¿Carrera de córners? {cornerRace}",
+  "alert.probability": "🎲 Probabilidad de gol ({horizon}): {probability}%",
+  "alert.reasons": "🎯 Motivo: {reasons}",
+  "alert.fixtureId": "🔗 Fixture ID: {id}",
+  "reason.press_total": "Presión total",
+  "reason.press_diff": "Diferencia de presión",
+  "reason.press_near": "Presión total cerca del umbral",
+  "reason.corners": "Córners en los últimos 10 minutos",
+  "reason.probability": "Probabilidad de gol",
+  "tier.high": "Alta",
+  "tier.medium": "Media",
+  "tier.low": "Baja",
+
+  "result.green": "✅ GREEN – gol al {minute}', {after} min después del aviso",
+  "result.greenTeam":
+    "✅ GREEN – gol al {minute}' ({team}), {after} min después del aviso",
+  "result.red": "❌ RED – sin gol {window}",
+  "result.voidCancelled": "⚪ NULO – partido cancelado",
+  "result.voidAbandoned":
+    "⚪ NULO – partido suspendido o decidido en los despachos",
+  "result.finalScore": "📋 Resultado final: {score}",
+  "result.score": "📋 Marcador: {score} ({minute}')",
+  "window.HT": "antes del descanso",
+  "window.FT": "antes del final",
+  "window.minutes": "en {minutes} minutos",
+
+  "feedback.entered": "✅ Entré",
+  "feedback.skipped": "❌ No entré",
+  "feedback.good": "👍 Buen aviso",
+  "feedback.bad": "👎 Mal aviso",
+  "feedback.recorded": "Registrado: {label}",
+  "feedback.error":
+    "⚠️ No se pudo registrar tu respuesta, inténtalo de nuevo más tarde.",
+
+  scoreboard: `📊 Marcador del día – {day}
+
+✅ Greens: {greens}
+❌ Reds: {reds}
+⚪ Nulos: {voids}
+⏳ Pendientes: {pending}
+🎯 Acierto: {hitRate}
+
+🔥 Racha actual: {currentStreak}
+🏆 Mejor racha de greens (30 días): {bestGreenStreak}
+
+🥇 Mejor liga (7 días): {bestLeague}
+🥉 Peor liga (7 días): {worstLeague}
+
+📅 Últimos 7 días: {last7Days}
+🗓️ Últimos 30 días: {last30Days}`,
+
+  "command.unknown": "Comando desconocido /{name}.",
+  "command.needsDatabase":
+    "⚠️ Este comando necesita la base de datos, que no está configurada.",
+  "command.error": "⚠️ Algo salió mal, inténtalo de nuevo más tarde.",
+  "command.usage": "Uso: {usage}",
+  "command.adminsOnly":
+    "Solo los administradores del grupo pueden cambiar la configuración de este chat.",
+
+  "start.description": "Suscribir este chat a los avisos",
+  "start.subscribed":
+    "✅ Suscrito. Recibirás avisos de {leagues}.\nEnvía /stop para darte de baja o /help para ver los comandos.",
+  "stop.description": "Dar de baja este chat",
+  "stop.done": "🔕 Baja realizada. Envía /start para suscribirte de nuevo.",
+
+  "status.description": "Partidos en vivo seguidos y su presión",
+  "status.fetchError":
+    "⚠️ No se pudieron obtener los partidos en vivo: {error}",
+  "status.none": "Ahora mismo no se sigue ningún partido en vivo.",
+  "status.header":
+    "📡 Siguiendo {count} partidos en vivo, mayor presión primero:",
+  "status.line": "⏱️ {minute}' {fixture} — presión {total} ({home} / {away})",
+  "status.more": "… y {count} más",
+
+  "thresholds.description": "Umbrales actuales de los avisos",
+  "thresholds.error": "⚠️ No se pudieron cargar los umbrales: {error}",
+  "thresholds.title": "🎯 Umbrales",
+  "thresholds.titleVersion": "🎯 Umbrales (versión {version})",
+  "thresholds.total": "Presión total ≥ {total}",
+  "thresholds.diff":
+    "Diferencia de presión ≥ {diff} con ≥ {shots} tiros a puerta",
+  "thresholds.corners": "Córners en los últimos 10 minutos ≥ {corners}",
+  "thresholds.updated": "Actualizado: {updated}",
+  "thresholds.scopedTitle": "Umbrales por liga y por equipo:",
+  "thresholds.leagueLine":
+    "Liga {league}: total {total}, diferencia {diff}, córners {corners}, tiros {shots}",
+  "thresholds.teamLine":
+    "Equipo {team} (liga {league}): total {total}, diferencia {diff}, córners {corners}, tiros {shots}",
+  "thresholds.stateTitle": "Por tramo de minutos y situación del partido:",
+  "thresholds.stateLine":
+    "{state}: total {total}, diferencia {diff}, córners {corners}, tiros {shots}",
+  "thresholds.perMinute": "{value}/min",
+  "thresholds.stateLeague": "liga {league}",
+  "thresholds.stateTeam": "equipo {team} (liga {league})",
+  "state.any": "cualquiera",
+  "scoreState.level": "empate",
+  "scoreState.one_goal": "un gol de diferencia",
+  "scoreState.two_plus": "dos o más goles de diferencia",
+  "manpower.even": "igualdad numérica",
+  "manpower.uneven": "tarjeta roja",
+
+  "report.description": "Acierto y cobertura en las últimas 24 horas",
+  "report.error": "⚠️ No se pudo generar el informe: {error}",
+  "report.title": "📊 Últimas 24 horas",
+  "report.counts": "Partidos: {matches} | Avisos: {alerts} | Goles: {goals}",
+  "report.accuracy": "Acierto: {accuracy}%",
+  "report.recall": "Cobertura de goles: {recall}% ({alerted} de {goals} goles)",
+  "report.feedback":
+    "Feedback: ✅ {entered} entraron, ❌ {skipped} no entraron, 👍 {good} / 👎 {bad}",
+  "report.tiers": "Por nivel (30 días): {tiers}",
+  "report.directional":
+    "Marca el equipo que presiona: {pressing}% vs cualquier gol: {any}% ({alerts} avisos, 30 días)",
+  "report.thresholds":
+    "Umbrales: total {total}, diferencia {diff}, córners {corners}, tiros {shots}",
+
+  "history.usage": "/history <id del partido>",
+  "history.description": "Avisos y resultados de un partido",
+  "history.noData": "No hay datos del partido {id}.",
+  "history.title": "📜 Partido {id}",
+  "history.lastSeen": "Visto por última vez al {minute}' ({score})",
+  "history.line":
+    "⏱️ {minute}' presión {total} / diferencia {diff} → {outcome}",
+  "history.pending": "⏳ pendiente",
+  "history.goal": "✅ gol al {minute}'",
+  "history.noGoal": "❌ sin gol",
+  "history.void": "⚪ nulo ({reason})",
+  "history.noAlerts": "No hay avisos para este partido.",
+
+  "leagues.usage": "/leagues [id … | all]",
+  "leagues.description": "Ver o elegir las ligas que sigue este chat",
+  "leagues.invalid": "Uso: /leagues <id de liga> [id de liga …] o /leagues all",
+  "leagues.some": "las ligas {ids}",
+  "leagues.all": "todas las ligas",
+  "leagues.following": "✅ Siguiendo {leagues}.",
+  "leagues.current": "Sigues {leagues}.",
+  "leagues.hint": "Elígelas con /leagues <id> [id …] o /leagues all.",
+  "leagues.liveNow": "En vivo ahora:",
+  "leagues.liveLine": "{id}: {name} ({count} en vivo)",
+
+  "tiers.usage": "/tiers [alta media baja | all]",
+  "tiers.description": "Ver o elegir los niveles de aviso que recibe este chat",
+  "tiers.invalid": "Uso: /tiers alta [media] [baja] o /tiers all",
+  "tiers.all": "todos los niveles",
+  "tiers.following": "✅ Recibiendo {tiers}.",
+  "tiers.current":
+    "Recibes {tiers}.\nElígelos con /tiers alta [media] [baja] o /tiers all.",
+
+  "language.usage": "/language [código]",
+  "language.description": "Ver o elegir el idioma de los mensajes de este chat",
+  "language.current":
+    "🌐 Idioma: {language}. Disponibles: {languages}.\nElígelo con /language <código>.",
+  "language.invalid": "Idioma desconocido {code}. Disponibles: {languages}.",
+  "language.set": "✅ Los mensajes de este chat serán en {language}.",
+
+  "help.description": "Esta lista",
+  "help.title": "Comandos:",
+};
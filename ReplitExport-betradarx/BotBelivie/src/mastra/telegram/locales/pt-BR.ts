@@ -0,0 +1,179 @@
+import type { Catalog } from "./en";
+
+// Alert labels follow the original Python bot ("Pressão", "Prob. de gol próximo").
+export const ptBR: Catalog = {
+  "team.home": "Casa",
+  "team.away": "Fora",
+  "value.none": "–",
+  "value.yes": "Sim",
+  "value.no": "Não",
+
+  "alert.header": "⚽ {home} {goalsHome} x {goalsAway} {away}",
+  "alert.league": "🏆 {league}",
+  "alert.pressure":
+    "⏱️ {minute}' — Pressão: {total} (Casa {home} / Fora {away})",
+  "alert.shotsCorners":
+    "🔢 Chutes no gol: {shotsHome} / {shotsAway} | Escanteios: {cornersHome} / {cornersAway}",
+  "alert.recentCorners": "🚩 Escanteios nos últimos {window} minutos: {count}",
+  "alert.pressureDiff": "📊 Diferença de pressão: {diff}",
+  "alert.pressing": "➡️ Pressionando: {team}",
+  "alert.tier":
+    "📈 Prob. de gol próximo: {tier} | Escanteios corrida? {cornerRace}",
+  "alert.probability": "🎲 Probabilidade de gol ({horizon}): {probability}%",
+  "alert.reasons": "🎯 Motivo: {reasons}",
+  "alert.fixtureId": "🔗 Fixture ID: {id}",
+  "reason.press_total": "Pressão total",
+  "reason.press_diff": "Diferença de pressão",
+  "reason.press_near": "Pressão total próxima do limite",
+  "reason.corners": "Escanteios nos últimos 10 minutos",
+  "reason.probability": "Probabilidade de gol",
+  "tier.high": "Alta",
+  "tier.medium": "Média",
+  "tier.low": "Baixa",
+
+  "result.green": "✅ GREEN – gol aos {minute}', {after} min após o alerta",
+  "result.greenTeam":
+    "✅ GREEN – gol aos {minute}' ({team}), {after} min após o alerta",
+  "result.red": "❌ RED – sem gol {window}",
+  "result.voidCancelled": "⚪ ANULADO – partida cancelada",
+  "result.voidAbandoned":
+    "⚪ ANULADO – partida abandonada ou decidida fora de campo",
+  "result.finalScore": "📋 Placar final: {score}",
+  "result.score": "📋 Placar: {score} ({minute}')",
+  "window.HT": "até o intervalo",
+  "window.FT": "até o fim do jogo",
+  "window.minutes": "em {minutes} minutos",
+
+  "feedback.entered": "✅ Entrei",
+  "feedback.skipped": "❌ Não entrei",
+  "feedback.good": "👍 Boa dica",
+  "feedback.bad": "👎 Dica ruim",
+  "feedback.recorded": "Registrado: {label}",
+  "feedback.error":
+    "⚠️ Não foi possível registrar sua resposta, tente novamente mais tarde.",
+
+  scoreboard: `📊 Placar do dia – {day}
+
+✅ Greens: {greens}
+❌ Reds: {reds}
+⚪ Anulados: {voids}
+⏳ Pendentes: {pending}
+🎯 Taxa de acerto: {hitRate}
+
+🔥 Sequência atual: {currentStreak}
+🏆 Maior sequência de greens (30 dias): {bestGreenStreak}
+
+🥇 Melhor liga (7 dias): {bestLeague}
+🥉 Pior liga (7 dias): {worstLeague}
+
+📅 Últimos 7 dias: {last7Days}
+🗓️ Últimos 30 dias: {last30Days}`,
+
+  "command.unknown": "Comando desconhecido /{name}.",
+  "command.needsDatabase":
+    "⚠️ Este comando precisa do banco de dados, que não está configurado.",
+  "command.error": "⚠️ Algo deu errado, tente novamente mais tarde.",
+  "command.usage": "Uso: {usage}",
+  "command.adminsOnly":
+    "Apenas administradores do grupo podem alterar as configurações deste chat.",
+
+  "start.description": "Inscrever este chat nos alertas",
+  "start.subscribed":
+    "✅ Inscrito. Você receberá alertas de {leagues}.\nEnvie /stop para cancelar ou /help para ver os comandos.",
+  "stop.description": "Cancelar a inscrição deste chat",
+  "stop.done":
+    "🔕 Inscrição cancelada. Envie /start para se inscrever novamente.",
+
+  "status.description": "Jogos ao vivo acompanhados e sua pressão",
+  "status.fetchError": "⚠️ Não foi possível buscar os jogos ao vivo: {error}",
+  "status.none": "Nenhum jogo ao vivo está sendo acompanhado agora.",
+  "status.header":
+    "📡 Acompanhando {count} jogos ao vivo, maior pressão primeiro:",
+  "status.line": "⏱️ {minute}' {fixture} — pressão {total} ({home} / {away})",
+  "status.more": "… e mais {count}",
+
+  "thresholds.description": "Limites atuais dos alertas",
+  "thresholds.error": "⚠️ Não foi possível carregar os limites: {error}",
+  "thresholds.title": "🎯 Limites",
+  "thresholds.titleVersion": "🎯 Limites (versão {version})",
+  "thresholds.total": "Pressão total ≥ {total}",
+  "thresholds.diff":
+    "Diferença de pressão ≥ {diff} com ≥ {shots} chutes no gol",
+  "thresholds.corners": "Escanteios nos últimos 10 minutos ≥ {corners}",
+  "thresholds.updated": "Atualizado: {updated}",
+  "thresholds.scopedTitle": "Limites por liga e por time:",
+  "thresholds.leagueLine":
+    "Liga {league}: total {total}, diferença {diff}, escanteios {corners}, chutes {shots}",
+  "thresholds.teamLine":
+    "Time {team} (liga {league}): total {total}, diferença {diff}, escanteios {corners}, chutes {shots}",
+  "thresholds.stateTitle": "Por faixa de minutos e situação do jogo:",
+  "thresholds.stateLine":
+    "{state}: total {total}, diferença {diff}, escanteios {corners}, chutes {shots}",
+  "thresholds.perMinute": "{value}/min",
+  "thresholds.stateLeague": "liga {league}",
+  "thresholds.stateTeam": "time {team} (liga {league})",
+  "state.any": "qualquer",
+  "scoreState.level": "empate",
+  "scoreState.one_goal": "um gol de diferença",
+  "scoreState.two_plus": "dois ou mais gols de diferença",
+  "manpower.even": "mesmo número de jogadores",
+  "manpower.uneven": "cartão vermelho",
+
+  "report.description": "Acerto e cobertura nas últimas 24 horas",
+  "report.error": "⚠️ Não foi possível gerar o relatório: {error}",
+  "report.title": "📊 Últimas 24 horas",
+  "report.counts": "Jogos: {matches} | Alertas: {alerts} | Gols: {goals}",
+  "report.accuracy": "Acerto: {accuracy}%",
+  "report.recall": "Cobertura de gols: {recall}% ({alerted} de {goals} gols)",
+  "report.feedback":
+    "Feedback: ✅ {entered} entraram, ❌ {skipped} não entraram, 👍 {good} / 👎 {bad}",
+  "report.tiers": "Por faixa (30 dias): {tiers}",
+  "report.directional":
+    "Time pressionando marca: {pressing}% vs qualquer gol: {any}% ({alerts} alertas, 30 dias)",
+  "report.thresholds":
+    "Limites: total {total}, diferença {diff}, escanteios {corners}, chutes {shots}",
+
+  "history.usage": "/history <id da partida>",
+  "history.description": "Alertas e resultados de uma partida",
+  "history.noData": "Sem dados para a partida {id}.",
+  "history.title": "📜 Partida {id}",
+  "history.lastSeen": "Vista pela última vez aos {minute}' ({score})",
+  "history.line": "⏱️ {minute}' pressão {total} / diferença {diff} → {outcome}",
+  "history.pending": "⏳ pendente",
+  "history.goal": "✅ gol aos {minute}'",
+  "history.noGoal": "❌ sem gol",
+  "history.void": "⚪ anulado ({reason})",
+  "history.noAlerts": "Nenhum alerta para esta partida.",
+
+  "leagues.usage": "/leagues [id … | all]",
+  "leagues.description": "Mostrar ou definir as ligas que este chat segue",
+  "leagues.invalid":
+    "Uso: /leagues <id da liga> [id da liga …] ou /leagues all",
+  "leagues.some": "as ligas {ids}",
+  "leagues.all": "todas as ligas",
+  "leagues.following": "✅ Seguindo {leagues}.",
+  "leagues.current": "Você segue {leagues}.",
+  "leagues.hint": "Defina com /leagues <id> [id …] ou /leagues all.",
+  "leagues.liveNow": "Ao vivo agora:",
+  "leagues.liveLine": "{id}: {name} ({count} ao vivo)",
+
+  "tiers.usage": "/tiers [alta media baixa | all]",
+  "tiers.description":
+    "Mostrar ou definir as faixas de alerta que este chat recebe",
+  "tiers.invalid": "Uso: /tiers alta [media] [baixa] ou /tiers all",
+  "tiers.all": "todas as faixas",
+  "tiers.following": "✅ Recebendo {tiers}.",
+  "tiers.current":
+    "Você recebe {tiers}.\nDefina com /tiers alta [media] [baixa] ou /tiers all.",
+
+  "language.usage": "/language [código]",
+  "language.description":
+    "Mostrar ou definir o idioma das mensagens deste chat",
+  "language.current":
+    "🌐 Idioma: {language}. Disponíveis: {languages}.\nDefina com /language <código>.",
+  "language.invalid": "Idioma desconhecido {code}. Disponíveis: {languages}.",
+  "language.set": "✅ As mensagens deste chat serão em {language}.",
+
+  "help.description": "Esta lista",
+  "help.title": "Comandos:",
+};
@@ -0,0 +1,75 @@
+import type {
+  GoalEvent,
+  VerificationWindow,
+} from "../football/goalVerification";
+import {
+  DEFAULT_LANGUAGE,
+  translator,
+  type Language,
+  type ParseMode,
+  type Translate,
+} from "./i18n";
+
+const FINISHED_STATUSES = ["FT", "AET", "PEN"];
+
+function windowLabel(t: Translate, window: VerificationWindow): string {
+  if (window === "HT") return t("window.HT");
+  if (window === "FT") return t("window.FT");
+  return t("window.minutes", { minutes: window });
+}
+
+export type AlertOutcome = "green" | "red" | "void";
+
+/**
+ * Outcome lines appended to a settled alert: green with the goal minute and
+ * the time since the alert, red, or void for an abandoned match, followed by
+ * the score when it settled. Written in `language` and escaped for the parse
+ * mode the alert was sent with.
+ */
+export function formatAlertResult(
+  alert: { minute: number; outcome: AlertOutcome; firstGoal: GoalEvent | null },
+  fixture: any,
+  window: VerificationWindow,
+  language: Language = DEFAULT_LANGUAGE,
+  parseMode: ParseMode | null = null,
+): string {
+  const t = translator(language, parseMode);
+  const lines: string[] = [];
+
+  const status = fixture.fixture?.status?.short ?? "";
+
+  if (alert.outcome === "green" && alert.firstGoal) {
+    const minute = alert.firstGoal.extra
+      ? `${alert.firstGoal.minute}+${alert.firstGoal.extra}`
+      : `${alert.firstGoal.minute}`;
+    const after =
+      alert.firstGoal.minute + (alert.firstGoal.extra ?? 0) - alert.minute;
+    lines.push(
+      alert.firstGoal.teamName
+        ? t("result.greenTeam", {
+            minute,
+            team: alert.firstGoal.teamName,
+            after,
+          })
+        : t("result.green", { minute, after }),
+    );
+  } else if (alert.outcome === "void") {
+    lines.push(
+      t(status === "CANC" ? "result.voidCancelled" : "result.voidAbandoned"),
+    );
+  } else {
+    lines.push(t("result.red", { window: windowLabel(t, window) }));
+  }
+
+  const score = `${fixture.goals?.home ?? 0}-${fixture.goals?.away ?? 0}`;
+  lines.push(
+    FINISHED_STATUSES.includes(status)
+      ? t("result.finalScore", { score })
+      : t("result.score", {
+          score,
+          minute: fixture.fixture?.status?.elapsed ?? 0,
+        }),
+  );
+
+  return lines.join("\n");
+}
@@ -0,0 +1,285 @@
+import type pg from "pg";
+import { DEFAULT_LANGUAGE, translator, type Language } from "./i18n";
+
+export type ScoreboardConfig = {
+  // Local time of day the scoreboard goes out
+  hour: number;
+  minute: number;
+  timezone: string;
+};
+
+export type ScoreboardRecord = {
+  greens: number;
+  reds: number;
+  voids: number;
+  // Greens over greens and reds, in percent; null before anything settled
+  hitRate: number | null;
+};
+
+export type LeagueRecord = ScoreboardRecord & { league: string };
+
+export type Scoreboard = {
+  day: string;
+  today: ScoreboardRecord & { pending: number };
+  // Run of identical outcomes ending with the latest settled alert
+  currentStreak: { outcome: "green" | "red"; length: number } | null;
+  bestGreenStreak: number;
+  bestLeague: LeagueRecord | null;
+  worstLeague: LeagueRecord | null;
+  last7Days: ScoreboardRecord;
+  last30Days: ScoreboardRecord;
+};
+
+// A league needs this many settled alerts in 7 days to be ranked
+const MIN_LEAGUE_ALERTS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function getScoreboardConfig(): ScoreboardConfig {
+  const [hour, minute] = (process.env.SCOREBOARD_TIME || "23:00")
+    .split(":")
+    .map((part) => parseInt(part, 10));
+
+  return {
+    hour: Number.isFinite(hour) && hour >= 0 && hour < 24 ? hour : 23,
+    minute: Number.isFinite(minute) && minute >= 0 && minute < 60 ? minute : 0,
+    timezone: process.env.SCOREBOARD_TIMEZONE || "UTC",
+  };
+}
+
+/** Calendar date ("YYYY-MM-DD") and time of day at `now` in `timezone`. */
+export function localDateTime(
+  now: Date,
+  timezone: string,
+): { date: string; hour: number; minute: number } {
+  let parts: Intl.DateTimeFormatPart[];
+  try {
+    parts = new Intl.DateTimeFormat("en-GB", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(now);
+  } catch {
+    return localDateTime(now, "UTC");
+  }
+
+  const part = (type: string) => parts.find((p) => p.type === type)?.value;
+  return {
+    date: `${part("year")}-${part("month")}-${part("day")}`,
+    hour: parseInt(part("hour") ?? "0", 10),
+    minute: parseInt(part("minute") ?? "0", 10),
+  };
+}
+
+/** The local day whose scoreboard is due at `now`, or null before the configured time. */
+export function scoreboardDueDay(
+  config: ScoreboardConfig,
+  now: Date = new Date(),
+): string | null {
+  const local = localDateTime(now, config.timezone);
+  const reached =
+    local.hour > config.hour ||
+    (local.hour === config.hour && local.minute >= config.minute);
+  return reached ? local.date : null;
+}
+
+/**
+ * Reserves the day's scoreboard so overlapping runs send it once. Returns
+ * false when it was already claimed.
+ */
+export async function claimScoreboardDay(
+  client: pg.Client,
+  day: string,
+  timezone: string,
+): Promise<boolean> {
+  const result = await client.query(
+    `
+      INSERT INTO football_scoreboards (day, timezone, sent_at)
+      VALUES ($1, $2, NULL)
+      ON CONFLICT (day) DO NOTHING
+      RETURNING day
+    `,
+    [day, timezone],
+  );
+  return result.rows.length > 0;
+}
+
+/** Stores the message sent for a claimed day, or releases the claim when sending failed. */
+export async function finishScoreboardDay(
+  client: pg.Client,
+  day: string,
+  message: string | null,
+): Promise<void> {
+  if (message === null) {
+    await client.query(
+      "DELETE FROM football_scoreboards WHERE day = $1 AND sent_at IS NULL",
+      [day],
+    );
+    return;
+  }
+
+  await client.query(
+    "UPDATE football_scoreboards SET message = $2, sent_at = NOW() WHERE day = $1",
+    [day, message],
+  );
+}
+
+type SettledAlert = {
+  green: boolean | null;
+  voided: boolean;
+  league: string | null;
+  verifiedAt: Date;
+};
+
+function record(alerts: SettledAlert[]): ScoreboardRecord {
+  const greens = alerts.filter((a) => !a.voided && a.green).length;
+  const reds = alerts.filter((a) => !a.voided && a.green === false).length;
+  const voids = alerts.filter((a) => a.voided).length;
+  const settled = greens + reds;
+
+  return {
+    greens,
+    reds,
+    voids,
+    hitRate: settled > 0 ? Math.round((greens / settled) * 10000) / 100 : null,
+  };
+}
+
+function leagueRecords(alerts: SettledAlert[]): LeagueRecord[] {
+  const byLeague = new Map<string, SettledAlert[]>();
+  for (const alert of alerts) {
+    if (!alert.league) continue;
+    byLeague.set(alert.league, [...(byLeague.get(alert.league) ?? []), alert]);
+  }
+
+  return [...byLeague.entries()]
+    .map(([league, leagueAlerts]) => ({ league, ...record(leagueAlerts) }))
+    .filter((league) => league.greens + league.reds >= MIN_LEAGUE_ALERTS);
+}
+
+/**
+ * Builds the scoreboard for `day` from the alerts settled since the previous
+ * scoreboard (the last 24 hours on the first run). Streaks and the 7/30-day
+ * records ignore voided alerts.
+ */
+export async function buildScoreboard(
+  client: pg.Client,
+  day: string,
+  now: Date = new Date(),
+): Promise<Scoreboard> {
+  const previous = await client.query(
+    `
+      SELECT MAX(sent_at) AS sent_at
+      FROM football_scoreboards
+      WHERE day < $1 AND sent_at IS NOT NULL
+    `,
+    [day],
+  );
+  const since: Date = previous.rows[0]?.sent_at
+    ? new Date(previous.rows[0].sent_at)
+    : new Date(now.getTime() - DAY_MS);
+
+  const result = await client.query(
+    `
+      SELECT goal_happened, void_reason, league_name, league_country, verified_at
+      FROM football_alerts
+      WHERE verified_at > NOW() - INTERVAL '30 days'
+        AND (goal_happened IS NOT NULL OR void_reason IS NOT NULL)
+      ORDER BY verified_at ASC, id ASC
+    `,
+  );
+
+  const alerts: SettledAlert[] = result.rows.map((row: any) => ({
+    green: row.goal_happened,
+    voided: row.void_reason !== null,
+    league: row.league_name
+      ? row.league_country
+        ? `${row.league_name} (${row.league_country})`
+        : row.league_name
+      : null,
+    verifiedAt: new Date(row.verified_at),
+  }));
+
+  const pending = await client.query(
+    `
+      SELECT COUNT(*) AS count
+      FROM football_alerts
+      WHERE created_at > $1
+        AND goal_happened IS NULL
+        AND void_reason IS NULL
+    `,
+    [since],
+  );
+
+  const settled = alerts.filter((a) => !a.voided);
+
+  let streak = 0;
+  let bestGreenStreak = 0;
+  for (let i = 0; i < settled.length; i++) {
+    streak =
+      i > 0 && settled[i].green === settled[i - 1].green ? streak + 1 : 1;
+    if (settled[i].green) bestGreenStreak = Math.max(bestGreenStreak, streak);
+  }
+  const last = settled[settled.length - 1];
+
+  const weekStart = now.getTime() - 7 * DAY_MS;
+  const lastWeek = alerts.filter((a) => a.verifiedAt.getTime() > weekStart);
+  const leagues = leagueRecords(lastWeek).sort(
+    (a, b) =>
+      b.hitRate! - a.hitRate! || b.greens + b.reds - (a.greens + a.reds),
+  );
+
+  return {
+    day,
+    today: {
+      ...record(alerts.filter((a) => a.verifiedAt > since)),
+      pending: parseInt(pending.rows[0].count, 10) || 0,
+    },
+    currentStreak: last
+      ? { outcome: last.green ? "green" : "red", length: streak }
+      : null,
+    bestGreenStreak,
+    bestLeague: leagues[0] ?? null,
+    worstLeague: leagues.length > 1 ? leagues[leagues.length - 1] : null,
+    last7Days: record(lastWeek),
+    last30Days: record(alerts),
+  };
+}
+
+function formatRecord(value: ScoreboardRecord, none: string): string {
+  const rate = value.hitRate === null ? none : `${value.hitRate}%`;
+  return `${value.greens}✅ ${value.reds}❌ ${value.voids}⚪ (${rate})`;
+}
+
+/** The scoreboard message in `language`, sent as plain text. */
+export function renderScoreboard(
+  scoreboard: Scoreboard,
+  language: Language = DEFAULT_LANGUAGE,
+): string {
+  const t = translator(language);
+  const none = t("value.none");
+  const { today, currentStreak } = scoreboard;
+  const league = (value: LeagueRecord | null) =>
+    value ? `${value.league} – ${formatRecord(value, none)}` : none;
+
+  return t("scoreboard", {
+    day: scoreboard.day,
+    greens: today.greens,
+    reds: today.reds,
+    voids: today.voids,
+    pending: today.pending,
+    hitRate: today.hitRate === null ? none : `${today.hitRate}%`,
+    currentStreak: currentStreak
+      ? `${currentStreak.length} ${currentStreak.outcome === "green" ? "✅" : "❌"}`
+      : none,
+    bestGreenStreak: scoreboard.bestGreenStreak,
+    bestLeague: league(scoreboard.bestLeague),
+    worstLeague: league(scoreboard.worstLeague),
+    last7Days: formatRecord(scoreboard.last7Days, none),
+    last30Days: formatRecord(scoreboard.last30Days, none),
+  });
+}
@@ -0,0 +1,240 @@
+import type pg from "pg";
+import type { AlertTier } from "../football/alertRules";
+import { DEFAULT_LANGUAGE, resolveLanguage, type Language } from "./i18n";
+
+export type Subscriber = {
+  id: number;
+  // Telegram chat ids exceed 32 bits for groups, so they stay strings
+  chatId: string;
+  title: string | null;
+  language: Language;
+  // League ids to receive alerts for; empty means every league
+  leagues: number[];
+  // Alert tiers to receive; empty means every tier, except that below-threshold
+  // alerts need medium listed explicitly
+  tiers: AlertTier[];
+  // Only alerts with a model probability at least this high; null for all
+  minProbability: number | null;
+  // Local hours [start, end) without alerts; the range may wrap midnight
+  quietStart: number | null;
+  quietEnd: number | null;
+  timezone: string;
+  active: boolean;
+  disabledReason: string | null;
+};
+
+export type SubscriberPreferences = Partial<
+  Pick<
+    Subscriber,
+    | "title"
+    | "language"
+    | "leagues"
+    | "tiers"
+    | "minProbability"
+    | "quietStart"
+    | "quietEnd"
+    | "timezone"
+    | "active"
+  >
+>;
+
+/** What a subscriber's preferences are matched against. */
+export type AlertAudience = {
+  leagueId: number | null;
+  probability: number | null;
+  // Optional so callers that predate tiers reach every subscriber
+  tier?: AlertTier | null;
+  // Fired only on the medium tier; opt-in through `tiers`
+  belowThreshold?: boolean;
+};
+
+function rowToSubscriber(row: any): Subscriber {
+  return {
+    id: row.id,
+    chatId: String(row.chat_id),
+    title: row.title,
+    language: resolveLanguage(row.language),
+    leagues: row.leagues ?? [],
+    tiers: row.tiers ?? [],
+    minProbability:
+      row.min_probability === null ? null : parseFloat(row.min_probability),
+    quietStart: row.quiet_start,
+    quietEnd: row.quiet_end,
+    timezone: row.timezone,
+    active: row.active,
+    disabledReason: row.disabled_reason,
+  };
+}
+
+export async function listSubscribers(
+  client: pg.Client,
+  { activeOnly = true }: { activeOnly?: boolean } = {},
+): Promise<Subscriber[]> {
+  const result = await client.query(
+    `
+      SELECT *
+      FROM telegram_subscribers
+      WHERE ($1::boolean IS FALSE OR active)
+      ORDER BY id ASC
+    `,
+    [activeOnly],
+  );
+
+  return result.rows.map(rowToSubscriber);
+}
+
+export async function getSubscriber(
+  client: pg.Client,
+  chatId: string,
+): Promise<Subscriber | null> {
+  const result = await client.query(
+    "SELECT * FROM telegram_subscribers WHERE chat_id = $1",
+    [chatId],
+  );
+
+  return result.rows[0] ? rowToSubscriber(result.rows[0]) : null;
+}
+
+/**
+ * Creates the subscriber or updates the given preferences. Reactivating a
+ * chat clears the reason it was disabled.
+ */
+export async function upsertSubscriber(
+  client: pg.Client,
+  chatId: string,
+  preferences: SubscriberPreferences = {},
+): Promise<Subscriber> {
+  const has = (key: keyof SubscriberPreferences) =>
+    preferences[key] !== undefined;
+
+  const result = await client.query(
+    `
+      INSERT INTO telegram_subscribers
+      (chat_id, title, language, leagues, min_probability,
+       quiet_start, quiet_end, timezone, active, tiers)
+      VALUES ($1, $2, COALESCE($3, '${DEFAULT_LANGUAGE}'), COALESCE($4, '{}'),
+              $5, $6, $7, COALESCE($8, 'UTC'), COALESCE($9, true), COALESCE($10, '{}'))
+      ON CONFLICT (chat_id) DO UPDATE SET
+        title = CASE WHEN $11 THEN EXCLUDED.title ELSE telegram_subscribers.title END,
+        language = CASE WHEN $12 THEN EXCLUDED.language ELSE telegram_subscribers.language END,
+        leagues = CASE WHEN $13 THEN EXCLUDED.leagues ELSE telegram_subscribers.leagues END,
+        min_probability = CASE WHEN $14 THEN EXCLUDED.min_probability ELSE telegram_subscribers.min_probability END,
+        quiet_start = CASE WHEN $15 THEN EXCLUDED.quiet_start ELSE telegram_subscribers.quiet_start END,
+        quiet_end = CASE WHEN $16 THEN EXCLUDED.quiet_end ELSE telegram_subscribers.quiet_end END,
+        timezone = CASE WHEN $17 THEN EXCLUDED.timezone ELSE telegram_subscribers.timezone END,
+        active = CASE WHEN $18 THEN EXCLUDED.active ELSE telegram_subscribers.active END,
+        disabled_reason = CASE WHEN $18 AND EXCLUDED.active THEN NULL ELSE telegram_subscribers.disabled_reason END,
+        tiers = CASE WHEN $19 THEN EXCLUDED.tiers ELSE telegram_subscribers.tiers END,
+        updated_at = NOW()
+      RETURNING *
+    `,
+    [
+      chatId,
+      preferences.title ?? null,
+      preferences.language ?? null,
+      preferences.leagues ?? null,
+      preferences.minProbability ?? null,
+      preferences.quietStart ?? null,
+      preferences.quietEnd ?? null,
+      preferences.timezone ?? null,
+      preferences.active ?? null,
+      preferences.tiers ?? null,
+      has("title"),
+      has("language"),
+      has("leagues"),
+      has("minProbability"),
+      has("quietStart"),
+      has("quietEnd"),
+      has("timezone"),
+      has("active"),
+      has("tiers"),
+    ],
+  );
+
+  return rowToSubscriber(result.rows[0]);
+}
+
+/** Stops deliveries to a chat Telegram no longer lets the bot write to. */
+export async function disableSubscriber(
+  client: pg.Client,
+  subscriberId: number,
+  reason: string,
+): Promise<void> {
+  await client.query(
+    `
+      UPDATE telegram_subscribers
+      SET active = false, disabled_reason = $2, updated_at = NOW()
+      WHERE id = $1
+    `,
+    [subscriberId, reason],
+  );
+}
+
+/** Hour of the day (0-23) at `now` in `timezone`, falling back to UTC. */
+export function localHour(now: Date, timezone: string): number {
+  try {
+    const hour = new Intl.DateTimeFormat("en-GB", {
+      timeZone: timezone,
+      hour: "numeric",
+      hourCycle: "h23",
+    }).format(now);
+    return parseInt(hour, 10);
+  } catch {
+    return now.getUTCHours();
+  }
+}
+
+export function isQuietHour(subscriber: Subscriber, now: Date): boolean {
+  const { quietStart, quietEnd } = subscriber;
+  if (quietStart === null || quietEnd === null || quietStart === quietEnd) {
+    return false;
+  }
+
+  const hour = localHour(now, subscriber.timezone);
+  return quietStart < quietEnd
+    ? hour >= quietStart && hour < quietEnd
+    : hour >= quietStart || hour < quietEnd;
+}
+
+/**
+ * Whether an alert reaches this subscriber: an active chat outside its quiet
+ * hours, following the fixture's league (or every league) and the alert's
+ * tier (or every tier) and, with a minimum probability set, an alert whose
+ * model probability reaches it.
+ */
+export function wantsAlert(
+  subscriber: Subscriber,
+  alert: AlertAudience,
+  now: Date = new Date(),
+): boolean {
+  if (!subscriber.active) return false;
+
+  if (
+    subscriber.leagues.length > 0 &&
+    (alert.leagueId === null || !subscriber.leagues.includes(alert.leagueId))
+  ) {
+    return false;
+  }
+
+  if (
+    subscriber.tiers.length > 0 &&
+    alert.tier &&
+    !subscriber.tiers.includes(alert.tier)
+  ) {
+    return false;
+  }
+
+  if (alert.belowThreshold && !subscriber.tiers.includes("medium")) {
+    return false;
+  }
+
+  if (
+    subscriber.minProbability !== null &&
+    (alert.probability === null ||
+      alert.probability < subscriber.minProbability)
+  ) {
+    return false;
+  }
+
+  return !isQuietHour(subscriber, now);
+}
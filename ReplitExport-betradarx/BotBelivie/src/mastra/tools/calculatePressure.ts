@@ -1,12 +1,55 @@
 import { createTool } from "@mastra/core/tools";
 import { z } from "zod";
+import {
+  DEFAULT_PRESSURE_FORMULA,
+  teamPressure,
+} from "../football/pressureFormula";
+import { extractMatchStats, STAT_KEYS } from "../football/statistics";
+
+const windowBaselineSchema = z.object({
+  window: z.number(),
+  minutesCovered: z.number(),
+  complete: z.boolean(),
+  attacksHome: z.number(),
+  attacksAway: z.number(),
+  shotsHome: z.number(),
+  shotsAway: z.number(),
+  cornersHome: z.number(),
+  cornersAway: z.number(),
+});
+
+const windowedPressureSchema = z.object({
+  window: z.number(),
+  minutesCovered: z.number(),
+  complete: z.boolean(),
+  pressHome: z.number(),
+  pressAway: z.number(),
+  pressTotal: z.number(),
+  pressDiff: z.number(),
+  attacks: z.number(),
+  shotsOnGoal: z.number(),
+  corners: z.number(),
+});
+
+const pressureFormulaSchema = z.object({
+  version: z.number(),
+  name: z.string(),
+  weights: z.record(z.number()),
+});
 
 export const calculatePressure = createTool({
   id: "calculate-pressure",
-  description: "Calculates pressure metrics from match statistics (attacks, shots, corners)",
+  description: "Calculates pressure metrics from normalized match statistics (attacks, shots, corners, possession, xG and more), optionally over the last 5/10/15 minutes",
   
   inputSchema: z.object({
     stats: z.array(z.any()).describe("Match statistics from API-Football"),
+    baselines: z
+      .array(windowBaselineSchema)
+      .optional()
+      .describe("Stored totals at the start of each time window (from stats snapshots)"),
+    formula: pressureFormulaSchema
+      .optional()
+      .describe("Versioned pressure formula; defaults to the baseline formula (version 1)"),
   }),
   
   outputSchema: z.object({
@@ -20,6 +63,12 @@ export const calculatePressure = createTool({
     shotsAway: z.number(),
     cornersHome: z.number(),
     cornersAway: z.number(),
+    windowed: z.array(windowedPressureSchema),
+    formulaVersion: z.number(),
+    statsHome: z.record(z.number()),
+    statsAway: z.record(z.number()),
+    missingStats: z.array(z.string()),
+    missingWeightedStats: z.array(z.string()),
     success: z.boolean(),
     error: z.string().optional(),
   }),
@@ -28,6 +77,8 @@ export const calculatePressure = createTool({
     const logger = mastra?.getLogger();
     logger?.info("🔧 [calculatePressure] Starting execution");
     
+    const formula = context.formula ?? DEFAULT_PRESSURE_FORMULA;
+    
     try {
       if (!context.stats || context.stats.length < 2) {
         logger?.error("❌ [calculatePressure] Insufficient stats data", {
@@ -44,33 +95,38 @@ export const calculatePressure = createTool({
           shotsAway: 0,
           cornersHome: 0,
           cornersAway: 0,
+          windowed: [],
+          formulaVersion: formula.version,
+          statsHome: {},
+          statsAway: {},
+          missingStats: [...STAT_KEYS],
+          missingWeightedStats: Object.keys(formula.weights),
           success: false,
           error: "Insufficient statistics data",
         };
       }
       
-      const homeStats = context.stats[0];
-      const awayStats = context.stats[1];
+      const matchStats = extractMatchStats(context.stats);
+      const statsHome = matchStats.home;
+      const statsAway = matchStats.away;
       
-      const getStatValue = (team: any, key: string): number => {
-        const statistics = team.statistics || [];
-        for (const item of statistics) {
-          if (item.type?.toLowerCase() === key.toLowerCase()) {
-            const val = item.value;
-            if (val === null || val === undefined) return 0;
-            if (typeof val === "number") return val;
-            if (typeof val === "string") return parseInt(val, 10) || 0;
-          }
-        }
-        return 0;
-      };
+      const attacksHome = statsHome.attacks;
+      const attacksAway = statsAway.attacks;
+      const shotsHome = statsHome.shotsOnGoal;
+      const shotsAway = statsAway.shotsOnGoal;
+      const cornersHome = statsHome.corners;
+      const cornersAway = statsAway.corners;
       
-      const attacksHome = getStatValue(homeStats, "Total attacks");
-      const attacksAway = getStatValue(awayStats, "Total attacks");
-      const shotsHome = getStatValue(homeStats, "Shots on Goal");
-      const shotsAway = getStatValue(awayStats, "Shots on Goal");
-      const cornersHome = getStatValue(homeStats, "Corner Kicks");
-      const cornersAway = getStatValue(awayStats, "Corner Kicks");
+      const missingWeightedStats = Object.keys(formula.weights).filter((key) =>
+        (matchStats.missing as string[]).includes(key),
+      );
+      
+      if (missingWeightedStats.length > 0) {
+        logger?.warn(
+          "⚠️ [calculatePressure] Weighted stats missing from payload, counted as 0",
+          { missingWeightedStats },
+        );
+      }
       
       logger?.info("📊 [calculatePressure] Extracted stats", {
         attacksHome,
@@ -79,10 +135,11 @@ export const calculatePressure = createTool({
         shotsAway,
         cornersHome,
         cornersAway,
+        missingStats: matchStats.missing,
       });
       
-      const pressHome = attacksHome * 0.5 + shotsHome * 1.5 + cornersHome * 0.8;
-      const pressAway = attacksAway * 0.5 + shotsAway * 1.5 + cornersAway * 0.8;
+      const pressHome = teamPressure(statsHome, formula);
+      const pressAway = teamPressure(statsAway, formula);
       const pressTotal = pressHome + pressAway;
       const pressDiff = Math.abs(pressHome - pressAway);
       
@@ -91,8 +148,47 @@ export const calculatePressure = createTool({
         pressAway,
         pressTotal,
         pressDiff,
+        formulaVersion: formula.version,
+      });
+      
+      // Windows only track attacks, shots on goal and corners, so other weighted stats are left out
+      const windowed = (context.baselines || []).map((baseline) => {
+        const delta = (current: number, start: number) => Math.max(0, current - start);
+        const dAttacksHome = delta(attacksHome, baseline.attacksHome);
+        const dAttacksAway = delta(attacksAway, baseline.attacksAway);
+        const dShotsHome = delta(shotsHome, baseline.shotsHome);
+        const dShotsAway = delta(shotsAway, baseline.shotsAway);
+        const dCornersHome = delta(cornersHome, baseline.cornersHome);
+        const dCornersAway = delta(cornersAway, baseline.cornersAway);
+        const windowHome = teamPressure(
+          { attacks: dAttacksHome, shotsOnGoal: dShotsHome, corners: dCornersHome },
+          formula,
+        );
+        const windowAway = teamPressure(
+          { attacks: dAttacksAway, shotsOnGoal: dShotsAway, corners: dCornersAway },
+          formula,
+        );
+        
+        return {
+          window: baseline.window,
+          minutesCovered: baseline.minutesCovered,
+          complete: baseline.complete,
+          pressHome: windowHome,
+          pressAway: windowAway,
+          pressTotal: windowHome + windowAway,
+          pressDiff: Math.abs(windowHome - windowAway),
+          attacks: dAttacksHome + dAttacksAway,
+          shotsOnGoal: dShotsHome + dShotsAway,
+          corners: dCornersHome + dCornersAway,
+        };
       });
       
+      if (windowed.length > 0) {
+        logger?.info("⏱️ [calculatePressure] Calculated windowed deltas", {
+          windowed,
+        });
+      }
+      
       return {
         pressHome,
         pressAway,
@@ -104,6 +200,12 @@ export const calculatePressure = createTool({
         shotsAway,
         cornersHome,
         cornersAway,
+        windowed,
+        formulaVersion: formula.version,
+        statsHome,
+        statsAway,
+        missingStats: matchStats.missing,
+        missingWeightedStats,
         success: true,
       };
     } catch (error: any) {
@@ -122,6 +224,12 @@ export const calculatePressure = createTool({
         shotsAway: 0,
         cornersHome: 0,
         cornersAway: 0,
+        windowed: [],
+        formulaVersion: formula.version,
+        statsHome: {},
+        statsAway: {},
+        missingStats: [...STAT_KEYS],
+        missingWeightedStats: Object.keys(formula.weights),
         success: false,
         error: error.message || "Unknown error occurred",
       };
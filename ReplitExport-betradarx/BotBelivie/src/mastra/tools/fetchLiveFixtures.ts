@@ -1,16 +1,19 @@
 import { createTool } from "@mastra/core/tools";
 import { z } from "zod";
-import axios from "axios";
+import { getFootballDataProvider } from "../football/dataProvider";
+import { filterFixtures, getLeagueFilterConfig, loadLeagueIndex, needsLeagueLookup } from "../football/leagueFilter";
 
 export const fetchLiveFixtures = createTool({
   id: "fetch-live-fixtures",
-  description: "Fetches all currently live football matches from API-Football",
+  description: "Fetches the currently live football matches from API-Football, leaving out leagues excluded by the league, country and competition filters or without statistics coverage",
   
   inputSchema: z.object({}),
   
   outputSchema: z.object({
     fixtures: z.array(z.any()),
     count: z.number(),
+    skipped: z.number(),
+    skippedByReason: z.record(z.number()),
     success: z.boolean(),
     error: z.string().optional(),
   }),
@@ -19,47 +22,29 @@ export const fetchLiveFixtures = createTool({
     const logger = mastra?.getLogger();
     logger?.info("🔧 [fetchLiveFixtures] Starting execution");
     
-    const apiKey = process.env.API_FOOTBALL_KEY;
-    if (!apiKey) {
-      logger?.error("❌ [fetchLiveFixtures] API_FOOTBALL_KEY not found in environment");
-      return {
-        fixtures: [],
-        count: 0,
-        success: false,
-        error: "API_FOOTBALL_KEY not configured",
-      };
-    }
-    
     try {
-      const url = "https://v3.football.api-sports.io/fixtures?live=all";
-      logger?.info("📡 [fetchLiveFixtures] Calling API-Football", { url });
-      
-      const response = await axios.get(url, {
-        headers: { "x-apisports-key": apiKey },
-        timeout: 15000,
+      const provider = getFootballDataProvider();
+      const live = await provider.getLiveFixtures({
+        logger,
       });
       
-      if (response.status !== 200) {
-        logger?.error("❌ [fetchLiveFixtures] API returned non-200 status", {
-          status: response.status,
-          data: response.data,
-        });
-        return {
-          fixtures: [],
-          count: 0,
-          success: false,
-          error: `API returned status ${response.status}`,
-        };
-      }
+      const config = getLeagueFilterConfig();
+      const leagues = needsLeagueLookup(config)
+        ? await loadLeagueIndex(provider, logger)
+        : null;
+      const { fixtures, skipped } = filterFixtures(live, config, leagues);
+      const skippedCount = live.length - fixtures.length;
       
-      const fixtures = response.data.response || [];
       logger?.info("✅ [fetchLiveFixtures] Successfully fetched fixtures", {
         count: fixtures.length,
+        skipped,
       });
       
       return {
         fixtures,
         count: fixtures.length,
+        skipped: skippedCount,
+        skippedByReason: skipped,
         success: true,
       };
     } catch (error: any) {
@@ -71,6 +56,8 @@ export const fetchLiveFixtures = createTool({
       return {
         fixtures: [],
         count: 0,
+        skipped: 0,
+        skippedByReason: {},
         success: false,
         error: error.message || "Unknown error occurred",
       };
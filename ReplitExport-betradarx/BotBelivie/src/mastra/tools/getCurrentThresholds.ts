@@ -1,10 +1,37 @@
 import { createTool } from "@mastra/core/tools";
 import { z } from "zod";
 import pg from "pg";
+import { MANPOWER_STATES, MINUTE_BANDS, SCORE_STATES } from "../football/gameState";
+import { listScopedThresholds, listStateThresholdSets } from "../football/thresholds";
+
+const scopedThresholdsSchema = z.object({
+  leagueId: z.number().nullable(),
+  teamId: z.number().nullable(),
+  thresholdTotal: z.number(),
+  thresholdDiff: z.number(),
+  escanteios10min: z.number(),
+  shotsMin: z.number(),
+  version: z.number().nullable(),
+});
+
+const stateThresholdSetSchema = z.object({
+  id: z.number(),
+  leagueId: z.number().nullable(),
+  teamId: z.number().nullable(),
+  minuteBand: z.enum(MINUTE_BANDS).nullable(),
+  scoreState: z.enum(SCORE_STATES).nullable(),
+  manpower: z.enum(MANPOWER_STATES).nullable(),
+  thresholdTotal: z.number().nullable(),
+  thresholdDiff: z.number().nullable(),
+  escanteios10min: z.number().nullable(),
+  shotsMin: z.number().nullable(),
+  perMinute: z.boolean(),
+  version: z.number(),
+});
 
 export const getCurrentThresholds = createTool({
   id: "get-current-thresholds",
-  description: "Retrieves the current adaptive thresholds from the database for alert evaluation",
+  description: "Retrieves the current adaptive thresholds from the database for alert evaluation: the global row, the league and team rows below it, and the threshold sets for minute bands and game states",
   
   inputSchema: z.object({}),
   
@@ -12,7 +39,11 @@ export const getCurrentThresholds = createTool({
     thresholdTotal: z.number(),
     thresholdDiff: z.number(),
     escanteios10min: z.number(),
+    shotsMin: z.number(),
+    version: z.number().nullable(),
     lastUpdated: z.string(),
+    scoped: z.array(scopedThresholdsSchema),
+    stateSets: z.array(stateThresholdSetSchema),
     success: z.boolean(),
     error: z.string().optional(),
   }),
@@ -28,7 +59,11 @@ export const getCurrentThresholds = createTool({
         thresholdTotal: 70,
         thresholdDiff: 15,
         escanteios10min: 3,
+        shotsMin: 2,
+        version: null,
         lastUpdated: new Date().toISOString(),
+        scoped: [],
+        stateSets: [],
         success: false,
         error: "DATABASE_URL not configured",
       };
@@ -40,7 +75,7 @@ export const getCurrentThresholds = createTool({
       await client.connect();
       
       const query = `
-        SELECT threshold_total, threshold_diff, escanteios_10min, last_updated
+        SELECT threshold_total, threshold_diff, escanteios_10min, shots_min, version, last_updated
         FROM football_thresholds
         WHERE id = 1
       `;
@@ -54,7 +89,11 @@ export const getCurrentThresholds = createTool({
           thresholdTotal: 70,
           thresholdDiff: 15,
           escanteios10min: 3,
+          shotsMin: 2,
+          version: null,
           lastUpdated: new Date().toISOString(),
+          scoped: await listScopedThresholds(client),
+          stateSets: await listStateThresholdSets(client),
           success: true,
         };
       }
@@ -64,7 +103,11 @@ export const getCurrentThresholds = createTool({
         thresholdTotal: parseFloat(row.threshold_total),
         thresholdDiff: parseFloat(row.threshold_diff),
         escanteios10min: parseInt(row.escanteios_10min, 10),
+        shotsMin: parseInt(row.shots_min, 10),
+        version: row.version ?? null,
         lastUpdated: row.last_updated?.toISOString() || new Date().toISOString(),
+        scoped: await listScopedThresholds(client),
+        stateSets: await listStateThresholdSets(client),
         success: true,
       };
       
@@ -80,7 +123,11 @@ export const getCurrentThresholds = createTool({
         thresholdTotal: 70,
         thresholdDiff: 15,
         escanteios10min: 3,
+        shotsMin: 2,
+        version: null,
         lastUpdated: new Date().toISOString(),
+        scoped: [],
+        stateSets: [],
         success: false,
         error: error.message || "Unknown error occurred",
       };
@@ -1,6 +1,6 @@
 import { createTool } from "@mastra/core/tools";
 import { z } from "zod";
-import axios from "axios";
+import { getFootballDataProvider } from "../football/dataProvider";
 
 export const getFixtureStats = createTool({
   id: "get-fixture-stats",
@@ -22,37 +22,11 @@ export const getFixtureStats = createTool({
       fixtureId: context.fixtureId,
     });
     
-    const apiKey = process.env.API_FOOTBALL_KEY;
-    if (!apiKey) {
-      logger?.error("❌ [getFixtureStats] API_FOOTBALL_KEY not found");
-      return {
-        stats: [],
-        success: false,
-        error: "API_FOOTBALL_KEY not configured",
-      };
-    }
-    
     try {
-      const url = `https://v3.football.api-sports.io/fixtures/statistics?fixture=${context.fixtureId}`;
-      logger?.info("📡 [getFixtureStats] Calling API-Football", { url });
-      
-      const response = await axios.get(url, {
-        headers: { "x-apisports-key": apiKey },
-        timeout: 15000,
-      });
-      
-      if (response.status !== 200) {
-        logger?.error("❌ [getFixtureStats] API returned non-200 status", {
-          status: response.status,
-        });
-        return {
-          stats: [],
-          success: false,
-          error: `API returned status ${response.status}`,
-        };
-      }
-      
-      const stats = response.data.response || [];
+      const stats = await getFootballDataProvider().getFixtureStatistics(
+        context.fixtureId,
+        { logger },
+      );
       logger?.info("✅ [getFixtureStats] Successfully fetched stats", {
         statsCount: stats.length,
       });
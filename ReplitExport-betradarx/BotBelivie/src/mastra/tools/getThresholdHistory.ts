@@ -0,0 +1,127 @@
+import { createTool } from "@mastra/core/tools";
+import { z } from "zod";
+import pg from "pg";
+import {
+  listStateThresholdHistory,
+  listThresholdHistory,
+} from "../football/thresholds";
+
+const thresholdValuesSchema = z.object({
+  thresholdTotal: z.number(),
+  thresholdDiff: z.number(),
+  escanteios10min: z.number(),
+  shotsMin: z.number(),
+});
+
+export const thresholdHistoryEntrySchema = thresholdValuesSchema.extend({
+  version: z.number(),
+  leagueId: z.number().nullable(),
+  teamId: z.number().nullable(),
+  previous: thresholdValuesSchema.nullable(),
+  source: z.enum(["initial", "daily_analysis", "admin", "rollback"]),
+  reason: z.string().nullable(),
+  metrics: z.record(z.any()).nullable(),
+  rolledBackTo: z.number().nullable(),
+  createdAt: z.string(),
+});
+
+const stateValuesSchema = z.object({
+  thresholdTotal: z.number().nullable(),
+  thresholdDiff: z.number().nullable(),
+  escanteios10min: z.number().nullable(),
+  shotsMin: z.number().nullable(),
+  perMinute: z.boolean(),
+});
+
+export const stateHistoryEntrySchema = z.object({
+  version: z.number(),
+  setId: z.number().nullable(),
+  leagueId: z.number().nullable(),
+  teamId: z.number().nullable(),
+  minuteBand: z.string().nullable(),
+  scoreState: z.string().nullable(),
+  manpower: z.string().nullable(),
+  values: stateValuesSchema.nullable(),
+  previous: stateValuesSchema.nullable(),
+  source: z.enum(["initial", "daily_analysis", "admin", "rollback"]),
+  reason: z.string().nullable(),
+  rolledBackTo: z.number().nullable(),
+  createdAt: z.string(),
+});
+
+export const getThresholdHistory = createTool({
+  id: "get-threshold-history",
+  description:
+    "Lists recent threshold versions with their previous values, source and the stats behind each change, and recent state threshold versions (minute band and game state sets)",
+
+  inputSchema: z.object({
+    limit: z
+      .number()
+      .int()
+      .min(1)
+      .max(200)
+      .default(20)
+      .describe("Number of most recent versions to return"),
+  }),
+
+  outputSchema: z.object({
+    history: z.array(thresholdHistoryEntrySchema),
+    stateHistory: z.array(stateHistoryEntrySchema),
+    success: z.boolean(),
+    error: z.string().optional(),
+  }),
+
+  execute: async ({ context, mastra }) => {
+    const logger = mastra?.getLogger();
+    logger?.info("🔧 [getThresholdHistory] Starting execution", {
+      limit: context.limit,
+    });
+
+    const connectionString = process.env.DATABASE_URL;
+    if (!connectionString) {
+      logger?.error("❌ [getThresholdHistory] DATABASE_URL not found");
+      return {
+        history: [],
+        stateHistory: [],
+        success: false,
+        error: "DATABASE_URL not configured",
+      };
+    }
+
+    const client = new pg.Client({ connectionString });
+
+    try {
+      await client.connect();
+
+      const history = await listThresholdHistory(client, context.limit);
+      const stateHistory = await listStateThresholdHistory(
+        client,
+        context.limit,
+      );
+
+      logger?.info("✅ [getThresholdHistory] Retrieved history", {
+        versions: history.length,
+        stateVersions: stateHistory.length,
+      });
+
+      return {
+        history,
+        stateHistory,
+        success: true,
+      };
+    } catch (error: any) {
+      logger?.error("❌ [getThresholdHistory] Error retrieving history", {
+        error: error.message,
+      });
+
+      return {
+        history: [],
+        stateHistory: [],
+        success: false,
+        error: error.message || "Unknown error occurred",
+      };
+    } finally {
+      await client.end();
+    }
+  },
+});
@@ -1,33 +1,169 @@
 import { createTool } from "@mastra/core/tools";
 import { z } from "zod";
 import pg from "pg";
+import {
+  evaluateFixtures,
+  loadCurrentCandidate,
+  loadSnapshotFixtures,
+} from "../football/backtest";
+import { getCooldownConfig } from "../football/cooldown";
+import { ALERT_TIERS } from "../football/alertRules";
+import { readNumberEnv } from "../football/config";
+import { computeRecallReport } from "../football/evaluations";
+import { parseVerificationWindow } from "../football/goalVerification";
+import {
+  getOptimizerConfig,
+  optimizeThresholds,
+  type OptimizationResult,
+} from "../football/optimizer";
+import { pruneStatsSnapshots } from "../football/snapshots";
+import {
+  applyThresholdChange,
+  DEFAULT_THRESHOLDS,
+  thresholdsForFixture,
+} from "../football/thresholds";
+import { summarizeFeedback } from "../telegram/feedback";
+
+const thresholdValuesSchema = z.object({
+  thresholdTotal: z.number(),
+  thresholdDiff: z.number(),
+  escanteios10min: z.number(),
+  shotsMin: z.number(),
+});
+
+const scoreSummarySchema = z.object({
+  alerts: z.number(),
+  settled: z.number(),
+  hits: z.number(),
+  hitRate: z.number(),
+  hitRateLower: z.number(),
+  hitRateUpper: z.number(),
+  alertsPerDay: z.number(),
+  hitsPerDay: z.number(),
+});
+
+const recallSchema = z.object({
+  evaluations: z.number(),
+  positiveMinutes: z.number(),
+  baseRate: z.number(),
+  minuteRecall: z.number(),
+  goals: z.number(),
+  goalsAlerted: z.number(),
+  goalRecall: z.number(),
+  nearMisses: z.object({ count: z.number(), goalRate: z.number() }),
+  falseNegatives: z.object({
+    count: z.number(),
+    nearMissShare: z.number(),
+    avgPressTotal: z.number(),
+    avgPressDiff: z.number(),
+    avgRecentCorners: z.number().nullable(),
+    byBand: z.array(z.object({ band: z.string(), count: z.number() })),
+  }),
+  bands: z.array(
+    z.object({
+      band: z.string(),
+      evaluations: z.number(),
+      baseRate: z.number(),
+      alerts: z.number(),
+      alertHitRate: z.number(),
+      lift: z.number().nullable(),
+    }),
+  ),
+});
+
+const feedbackSchema = z.object({
+  alertsWithFeedback: z.number(),
+  entered: z.number(),
+  skipped: z.number(),
+  good: z.number(),
+  bad: z.number(),
+  enteredHitRate: z.number().nullable(),
+  goodCallHitRate: z.number().nullable(),
+  badCallHitRate: z.number().nullable(),
+});
+
+const optimizationSchema = z.object({
+  objective: z.enum(["precision", "hits"]),
+  candidatesEvaluated: z.number(),
+  trainFixtures: z.number(),
+  validationFixtures: z.number(),
+  current: thresholdValuesSchema,
+  proposed: thresholdValuesSchema.nullable(),
+  currentValidation: scoreSummarySchema.nullable(),
+  proposedValidation: scoreSummarySchema.nullable(),
+  apply: z.boolean(),
+  reason: z.string(),
+});
 
 export const performDailyAnalysis = createTool({
   id: "perform-daily-analysis",
-  description: "Analyzes alert accuracy from the past 24 hours and calculates new threshold recommendations",
+  description: "Analyzes alert accuracy and recall from the past 24 hours and searches stored match history for better thresholds, globally and for each league with enough fixtures, applying them only when they are significantly better",
   
-  inputSchema: z.object({}),
+  inputSchema: z.object({
+    optimize: z
+      .boolean()
+      .default(true)
+      .describe("Search stored history for better thresholds and apply them when significantly better, and delete stats snapshots past their retention; false only reports"),
+  }),
   
   outputSchema: z.object({
     matchesMonitored: z.number(),
     alertsSent: z.number(),
     goalsConfirmed: z.number(),
     accuracy: z.number(),
-    currentThresholds: z.object({
-      thresholdTotal: z.number(),
-      thresholdDiff: z.number(),
-      escanteios10min: z.number(),
+    currentThresholds: thresholdValuesSchema,
+    recommendedThresholds: thresholdValuesSchema,
+    thresholdVersion: z.number().nullable(),
+    optimization: optimizationSchema.nullable(),
+    leagueOptimizations: z.array(
+      z.object({
+        leagueId: z.number(),
+        fixtures: z.number(),
+        // Level the league's current thresholds came from
+        basedOn: z.enum(["league", "global"]),
+        optimization: optimizationSchema,
+        thresholdVersion: z.number().nullable(),
+      }),
+    ),
+    // Leagues with too few fixtures to tune, left on the global thresholds
+    leaguesOnParent: z.number(),
+    accuracyByFormula: z.array(
+      z.object({
+        formulaVersion: z.number(),
+        formulaName: z.string(),
+        alerts: z.number(),
+        goals: z.number(),
+        accuracy: z.number(),
+      }),
+    ),
+    accuracyByTier: z.array(
+      z.object({
+        tier: z.enum(ALERT_TIERS),
+        alerts: z.number(),
+        goals: z.number(),
+        accuracy: z.number(),
+      }),
+    ),
+    cornerRace: z.object({
+      alerts: z.number(),
+      goals: z.number(),
+      accuracy: z.number(),
     }),
-    recommendedThresholds: z.object({
-      thresholdTotal: z.number(),
-      thresholdDiff: z.number(),
-      escanteios10min: z.number(),
+    directional: z.object({
+      alerts: z.number(),
+      goals: z.number(),
+      pressingTeamGoals: z.number(),
+      anyGoalAccuracy: z.number(),
+      pressingTeamAccuracy: z.number(),
     }),
+    recall: recallSchema.nullable(),
+    feedback: feedbackSchema.nullable(),
+    snapshotsPruned: z.number(),
     success: z.boolean(),
     error: z.string().optional(),
   }),
   
-  execute: async ({ mastra }) => {
+  execute: async ({ context, mastra, runtimeContext }) => {
     const logger = mastra?.getLogger();
     logger?.info("🔧 [performDailyAnalysis] Starting daily analysis");
     
@@ -39,8 +175,19 @@ export const performDailyAnalysis = createTool({
         alertsSent: 0,
         goalsConfirmed: 0,
         accuracy: 0,
-        currentThresholds: { thresholdTotal: 70, thresholdDiff: 15, escanteios10min: 3 },
-        recommendedThresholds: { thresholdTotal: 70, thresholdDiff: 15, escanteios10min: 3 },
+        currentThresholds: DEFAULT_THRESHOLDS,
+        recommendedThresholds: DEFAULT_THRESHOLDS,
+        thresholdVersion: null,
+        optimization: null,
+        leagueOptimizations: [],
+        leaguesOnParent: 0,
+        accuracyByFormula: [],
+        accuracyByTier: [],
+        cornerRace: { alerts: 0, goals: 0, accuracy: 0 },
+        directional: { alerts: 0, goals: 0, pressingTeamGoals: 0, anyGoalAccuracy: 0, pressingTeamAccuracy: 0 },
+        recall: null,
+        feedback: null,
+        snapshotsPruned: 0,
         success: false,
         error: "DATABASE_URL not configured",
       };
@@ -77,67 +224,293 @@ export const performDailyAnalysis = createTool({
         accuracy: accuracy.toFixed(2) + "%",
       });
       
-      const thresholdsQuery = `
-        SELECT threshold_total, threshold_diff, escanteios_10min
-        FROM football_thresholds
-        WHERE id = 1
+      const formulaQuery = `
+        SELECT 
+          a.formula_version,
+          COALESCE(f.name, 'unknown') as formula_name,
+          COUNT(*) as total_alerts,
+          COUNT(CASE WHEN a.goal_happened = true THEN 1 END) as goals_confirmed
+        FROM football_alerts a
+        LEFT JOIN football_pressure_formulas f ON f.version = a.formula_version
+        WHERE a.created_at > NOW() - INTERVAL '30 days'
+          AND a.goal_happened IS NOT NULL
+          AND a.formula_version IS NOT NULL
+        GROUP BY a.formula_version, f.name
+        ORDER BY a.formula_version
       `;
       
-      const thresholdsResult = await client.query(thresholdsQuery);
-      const currentThresholds = thresholdsResult.rows[0];
+      const formulaResult = await client.query(formulaQuery);
+      const accuracyByFormula = formulaResult.rows.map((row) => {
+        const alerts = parseInt(row.total_alerts, 10) || 0;
+        const goals = parseInt(row.goals_confirmed, 10) || 0;
+        return {
+          formulaVersion: row.formula_version,
+          formulaName: row.formula_name,
+          alerts,
+          goals,
+          accuracy: alerts > 0 ? Math.round((goals / alerts) * 10000) / 100 : 0,
+        };
+      });
+      
+      logger?.info("🧮 [performDailyAnalysis] Accuracy by formula version (30 days)", {
+        accuracyByFormula,
+      });
+      
+      const tierQuery = `
+        SELECT
+          tier,
+          corner_race,
+          COUNT(*) as total_alerts,
+          COUNT(CASE WHEN goal_happened = true THEN 1 END) as goals_confirmed
+        FROM football_alerts
+        WHERE created_at > NOW() - INTERVAL '30 days'
+          AND goal_happened IS NOT NULL
+          AND tier IS NOT NULL
+        GROUP BY tier, corner_race
+      `;
       
-      let thresholdTotal = parseFloat(currentThresholds.threshold_total);
-      let thresholdDiff = parseFloat(currentThresholds.threshold_diff);
-      let escanteios10min = parseInt(currentThresholds.escanteios_10min, 10);
+      const tierResult = await client.query(tierQuery);
+      const summarize = (rows: any[]) => {
+        const alerts = rows.reduce((sum, row) => sum + (parseInt(row.total_alerts, 10) || 0), 0);
+        const goals = rows.reduce((sum, row) => sum + (parseInt(row.goals_confirmed, 10) || 0), 0);
+        return {
+          alerts,
+          goals,
+          accuracy: alerts > 0 ? Math.round((goals / alerts) * 10000) / 100 : 0,
+        };
+      };
+      const accuracyByTier = ALERT_TIERS.map((tier) => ({
+        tier,
+        ...summarize(tierResult.rows.filter((row) => row.tier === tier)),
+      }));
+      const cornerRace = summarize(tierResult.rows.filter((row) => row.corner_race === true));
       
-      logger?.info("🎯 [performDailyAnalysis] Current thresholds", {
-        thresholdTotal,
-        thresholdDiff,
-        escanteios10min,
+      logger?.info("🏷️ [performDailyAnalysis] Accuracy by tier (30 days)", {
+        accuracyByTier,
+        cornerRace,
       });
       
-      let adjustmentFactor = 0;
-      if (accuracy > 85) {
-        adjustmentFactor = -0.05;
-        logger?.info("📉 [performDailyAnalysis] High accuracy - decreasing thresholds");
-      } else if (accuracy < 50 && alertsSent >= 3) {
-        adjustmentFactor = 0.05;
-        logger?.info("📈 [performDailyAnalysis] Low accuracy - increasing thresholds");
-      } else {
-        logger?.info("➡️ [performDailyAnalysis] Accuracy within range - no adjustment");
-      }
+      // Alerts with a pressing side: any goal in the window versus a goal by the pressing team
+      const directionalQuery = `
+        SELECT
+          COUNT(*) as total_alerts,
+          COUNT(CASE WHEN goal_happened = true THEN 1 END) as goals_confirmed,
+          COUNT(CASE WHEN pressing_team_scored = true THEN 1 END) as pressing_goals
+        FROM football_alerts
+        WHERE created_at > NOW() - INTERVAL '30 days'
+          AND goal_happened IS NOT NULL
+          AND pressing_side IS NOT NULL
+      `;
       
-      let newThresholdTotal = thresholdTotal * (1 + adjustmentFactor);
-      let newThresholdDiff = thresholdDiff * (1 + adjustmentFactor);
-      let newEscanteios = escanteios10min;
+      const directionalRow = (await client.query(directionalQuery)).rows[0] ?? {};
+      const directionalAlerts = parseInt(directionalRow.total_alerts, 10) || 0;
+      const directionalGoals = parseInt(directionalRow.goals_confirmed, 10) || 0;
+      const pressingTeamGoals = parseInt(directionalRow.pressing_goals, 10) || 0;
+      const rate = (count: number) =>
+        directionalAlerts > 0 ? Math.round((count / directionalAlerts) * 10000) / 100 : 0;
+      const directional = {
+        alerts: directionalAlerts,
+        goals: directionalGoals,
+        pressingTeamGoals,
+        anyGoalAccuracy: rate(directionalGoals),
+        pressingTeamAccuracy: rate(pressingTeamGoals),
+      };
       
-      newThresholdTotal = Math.max(50, Math.min(120, newThresholdTotal));
-      newThresholdDiff = Math.max(10, Math.min(30, newThresholdDiff));
-      newEscanteios = Math.max(2, Math.min(6, newEscanteios));
+      logger?.info("➡️ [performDailyAnalysis] Pressing team scores vs any goal (30 days)", {
+        directional,
+      });
       
-      logger?.info("🎯 [performDailyAnalysis] Recommended thresholds", {
-        newThresholdTotal,
-        newThresholdDiff,
-        newEscanteios,
+      const recall = await computeRecallReport(client);
+      
+      logger?.info("🎣 [performDailyAnalysis] Recall over evaluated minutes", {
+        goals: recall.goals,
+        goalRecall: recall.goalRecall,
+        minuteRecall: recall.minuteRecall,
+        baseRate: recall.baseRate,
+        falseNegatives: recall.falseNegatives.count,
       });
       
-      if (adjustmentFactor !== 0) {
-        const updateQuery = `
-          UPDATE football_thresholds
-          SET threshold_total = $1,
-              threshold_diff = $2,
-              escanteios_10min = $3,
-              last_updated = NOW()
-          WHERE id = 1
-        `;
+      const feedback = await summarizeFeedback(client);
+      
+      logger?.info("🗳️ [performDailyAnalysis] Alert feedback from subscribers", feedback);
+      
+      const current = await loadCurrentCandidate(client, logger);
+      const currentThresholds = current.thresholds;
+      const versionResult = await client.query(
+        "SELECT version FROM football_thresholds WHERE id = 1",
+      );
+      
+      logger?.info("🎯 [performDailyAnalysis] Current thresholds", currentThresholds);
+      
+      let thresholdVersion: number | null = versionResult.rows[0]?.version ?? null;
+      let optimization: OptimizationResult | null = null;
+      const leagueOptimizations: {
+        leagueId: number;
+        fixtures: number;
+        basedOn: "league" | "global";
+        optimization: OptimizationResult;
+        thresholdVersion: number | null;
+      }[] = [];
+      let leaguesOnParent = 0;
+      
+      if (context.optimize) {
+        const config = getOptimizerConfig();
+        const from = new Date(Date.now() - config.lookbackDays * 24 * 60 * 60 * 1000);
+        const fixtures = (await loadSnapshotFixtures(client, { from: from.toISOString() }))
+          .sort((a, b) => a.date.localeCompare(b.date) || a.fixtureId - b.fixtureId);
         
-        await client.query(updateQuery, [
-          newThresholdTotal,
-          newThresholdDiff,
-          newEscanteios,
-        ]);
+        logger?.info("🔎 [performDailyAnalysis] Searching thresholds on stored snapshots", {
+          fixtures: fixtures.length,
+          lookbackDays: config.lookbackDays,
+          objective: config.objective,
+        });
+        
+        const evaluated = await evaluateFixtures(fixtures, current.formula, {
+          window: parseVerificationWindow(process.env.GOAL_VERIFY_WINDOW),
+          runtimeContext,
+        });
+        
+        // Fixtures under a league or team row never use the global thresholds, so they are left out of the global search
+        const { scoped, stateSets } = current.overrides;
+        const stateOverrides = { scoped: [], stateSets };
+        const globalFixtures = evaluated.filter(
+          (fixture) => thresholdsForFixture(scoped, fixture) === null,
+        );
+        
+        logger?.info("🌍 [performDailyAnalysis] Fixtures on the global thresholds", {
+          fixtures: globalFixtures.length,
+          onScopedRows: evaluated.length - globalFixtures.length,
+        });
+        
+        optimization = optimizeThresholds(
+          globalFixtures,
+          currentThresholds,
+          getCooldownConfig(),
+          config,
+          stateOverrides,
+        );
+        
+        logger?.info("🧪 [performDailyAnalysis] Optimization finished", {
+          proposed: optimization.proposed,
+          apply: optimization.apply,
+          reason: optimization.reason,
+          candidatesEvaluated: optimization.candidatesEvaluated,
+        });
+        
+        if (optimization.apply && optimization.proposed) {
+          thresholdVersion = await applyThresholdChange(
+            client,
+            optimization.proposed,
+            {
+              source: "daily_analysis",
+              reason: `Optimizer (${optimization.objective}): ${optimization.reason}`,
+              metrics: {
+                matchesMonitored,
+                alertsSent,
+                goalsConfirmed,
+                accuracy: Math.round(accuracy * 100) / 100,
+                goalRecall: recall.goalRecall,
+                trainFixtures: optimization.trainFixtures,
+                validationFixtures: optimization.validationFixtures,
+                currentValidation: optimization.currentValidation,
+                proposedValidation: optimization.proposedValidation,
+              },
+            },
+          );
+        
+          logger?.info("✅ [performDailyAnalysis] Thresholds updated in database", {
+            thresholdVersion,
+          });
+        } else {
+          logger?.info("➡️ [performDailyAnalysis] Keeping current thresholds");
+        }
+        
+        // Each league with enough fixtures is tuned on its own matches; the rest stay on the global row
+        const globalThresholds =
+          optimization.apply && optimization.proposed ? optimization.proposed : currentThresholds;
+        // Fixtures under a team row are likewise left out of their league's search
+        const leagueRows = scoped.filter((row) => row.teamId === null);
+        const teamRows = scoped.filter((row) => row.teamId !== null);
+        const byLeague = new Map<number, typeof evaluated>();
+        for (const fixture of evaluated) {
+          if (fixture.leagueId === null) continue;
+          if (thresholdsForFixture(teamRows, fixture) !== null) continue;
+          byLeague.set(fixture.leagueId, [...(byLeague.get(fixture.leagueId) ?? []), fixture]);
+        }
+        
+        for (const [leagueId, leagueFixtures] of byLeague) {
+          if (leagueFixtures.length < config.leagueMinFixtures) {
+            leaguesOnParent++;
+            continue;
+          }
+          
+          const leagueRow = leagueRows.find((row) => row.leagueId === leagueId);
+          const leagueCurrent = leagueRow
+            ? {
+                thresholdTotal: leagueRow.thresholdTotal,
+                thresholdDiff: leagueRow.thresholdDiff,
+                escanteios10min: leagueRow.escanteios10min,
+                shotsMin: leagueRow.shotsMin,
+              }
+            : globalThresholds;
+          const leagueOptimization = optimizeThresholds(
+            leagueFixtures,
+            leagueCurrent,
+            getCooldownConfig(),
+            { ...config, minAlertsPerDay: config.leagueMinAlertsPerDay },
+            { ...stateOverrides, scope: { leagueId, teamId: null } },
+          );
+          
+          let leagueVersion = leagueRow?.version ?? null;
+          if (leagueOptimization.apply && leagueOptimization.proposed) {
+            leagueVersion = await applyThresholdChange(
+              client,
+              leagueOptimization.proposed,
+              {
+                source: "daily_analysis",
+                reason: `Optimizer (${leagueOptimization.objective}), league ${leagueId}: ${leagueOptimization.reason}`,
+                metrics: {
+                  trainFixtures: leagueOptimization.trainFixtures,
+                  validationFixtures: leagueOptimization.validationFixtures,
+                  currentValidation: leagueOptimization.currentValidation,
+                  proposedValidation: leagueOptimization.proposedValidation,
+                },
+              },
+              { leagueId, teamId: null },
+            );
+          }
+          
+          leagueOptimizations.push({
+            leagueId,
+            fixtures: leagueFixtures.length,
+            basedOn: leagueRow ? "league" : "global",
+            optimization: leagueOptimization,
+            thresholdVersion: leagueVersion,
+          });
+        }
+        
+        logger?.info("🏟️ [performDailyAnalysis] Per-league optimization finished", {
+          tuned: leagueOptimizations.length,
+          applied: leagueOptimizations.filter((league) => league.optimization.apply).length,
+          leaguesOnParent,
+        });
+      }
+      
+      // Snapshots back the optimizer's lookback and the goal model's features,
+      // so they are kept at least as long as the optimizer looks back; a
+      // report-only run changes nothing
+      let snapshotsPruned = 0;
+      if (context.optimize) {
+        const retentionDays = Math.max(
+          readNumberEnv("SNAPSHOT_RETENTION_DAYS", 60),
+          getOptimizerConfig().lookbackDays,
+        );
+        snapshotsPruned = await pruneStatsSnapshots(client, retentionDays);
         
-        logger?.info("✅ [performDailyAnalysis] Thresholds updated in database");
+        logger?.info("🧹 [performDailyAnalysis] Old stats snapshots deleted", {
+          snapshotsPruned,
+          retentionDays,
+        });
       }
       
       return {
@@ -145,16 +518,19 @@ export const performDailyAnalysis = createTool({
         alertsSent,
         goalsConfirmed,
         accuracy: Math.round(accuracy * 100) / 100,
-        currentThresholds: {
-          thresholdTotal,
-          thresholdDiff,
-          escanteios10min,
-        },
-        recommendedThresholds: {
-          thresholdTotal: Math.round(newThresholdTotal * 100) / 100,
-          thresholdDiff: Math.round(newThresholdDiff * 100) / 100,
-          escanteios10min: newEscanteios,
-        },
+        currentThresholds,
+        recommendedThresholds: optimization?.proposed ?? currentThresholds,
+        thresholdVersion,
+        optimization,
+        leagueOptimizations,
+        leaguesOnParent,
+        accuracyByFormula,
+        accuracyByTier,
+        cornerRace,
+        directional,
+        recall,
+        feedback,
+        snapshotsPruned,
         success: true,
       };
     } catch (error: any) {
@@ -167,8 +543,19 @@ export const performDailyAnalysis = createTool({
         alertsSent: 0,
         goalsConfirmed: 0,
         accuracy: 0,
-        currentThresholds: { thresholdTotal: 70, thresholdDiff: 15, escanteios10min: 3 },
-        recommendedThresholds: { thresholdTotal: 70, thresholdDiff: 15, escanteios10min: 3 },
+        currentThresholds: DEFAULT_THRESHOLDS,
+        recommendedThresholds: DEFAULT_THRESHOLDS,
+        thresholdVersion: null,
+        optimization: null,
+        leagueOptimizations: [],
+        leaguesOnParent: 0,
+        accuracyByFormula: [],
+        accuracyByTier: [],
+        cornerRace: { alerts: 0, goals: 0, accuracy: 0 },
+        directional: { alerts: 0, goals: 0, pressingTeamGoals: 0, anyGoalAccuracy: 0, pressingTeamAccuracy: 0 },
+        recall: null,
+        feedback: null,
+        snapshotsPruned: 0,
         success: false,
         error: error.message || "Unknown error occurred",
       };
@@ -0,0 +1,106 @@
+import { createTool } from "@mastra/core/tools";
+import { z } from "zod";
+import pg from "pg";
+import {
+  getThresholdVersion,
+  rollbackStateThresholds,
+  rollbackThresholds as rollback,
+} from "../football/thresholds";
+
+export const rollbackThresholds = createTool({
+  id: "rollback-thresholds",
+  description:
+    'Restores the thresholds of a previous version, or with kind "state" a minute band and game state set of a previous state threshold version. The rollback is recorded as a new version in the matching history',
+
+  inputSchema: z.object({
+    version: z.number().int().describe("Threshold version to restore"),
+    kind: z
+      .enum(["thresholds", "state"])
+      .default("thresholds")
+      .describe("Which history the version belongs to"),
+    reason: z.string().optional().describe("Why the rollback is being made"),
+  }),
+
+  outputSchema: z.object({
+    newVersion: z.number().optional(),
+    thresholdTotal: z.number().optional(),
+    thresholdDiff: z.number().optional(),
+    escanteios10min: z.number().optional(),
+    shotsMin: z.number().optional(),
+    success: z.boolean(),
+    error: z.string().optional(),
+  }),
+
+  execute: async ({ context, mastra }) => {
+    const logger = mastra?.getLogger();
+    logger?.info("🔧 [rollbackThresholds] Starting execution", {
+      version: context.version,
+      kind: context.kind,
+    });
+
+    const connectionString = process.env.DATABASE_URL;
+    if (!connectionString) {
+      logger?.error("❌ [rollbackThresholds] DATABASE_URL not found");
+      return {
+        success: false,
+        error: "DATABASE_URL not configured",
+      };
+    }
+
+    const client = new pg.Client({ connectionString });
+
+    try {
+      await client.connect();
+
+      if (context.kind === "state") {
+        const newVersion = await rollbackStateThresholds(
+          client,
+          context.version,
+          context.reason,
+        );
+
+        logger?.info("✅ [rollbackThresholds] State thresholds rolled back", {
+          from: context.version,
+          newVersion,
+        });
+
+        return {
+          newVersion,
+          success: true,
+        };
+      }
+
+      const newVersion = await rollback(
+        client,
+        context.version,
+        context.reason,
+      );
+      const restored = await getThresholdVersion(client, newVersion);
+
+      logger?.info("✅ [rollbackThresholds] Thresholds rolled back", {
+        from: context.version,
+        newVersion,
+      });
+
+      return {
+        newVersion,
+        thresholdTotal: restored?.thresholdTotal,
+        thresholdDiff: restored?.thresholdDiff,
+        escanteios10min: restored?.escanteios10min,
+        shotsMin: restored?.shotsMin,
+        success: true,
+      };
+    } catch (error: any) {
+      logger?.error("❌ [rollbackThresholds] Error rolling back thresholds", {
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        error: error.message || "Unknown error occurred",
+      };
+    } finally {
+      await client.end();
+    }
+  },
+});
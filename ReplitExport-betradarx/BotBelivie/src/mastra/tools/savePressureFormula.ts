@@ -0,0 +1,82 @@
+import { createTool } from "@mastra/core/tools";
+import { z } from "zod";
+import pg from "pg";
+import { createPressureFormula } from "../football/pressureFormula";
+import { STAT_KEYS } from "../football/statistics";
+
+export const savePressureFormula = createTool({
+  id: "save-pressure-formula",
+  description:
+    "Stores a new pressure formula version (weights per canonical stat key) and optionally makes it the active formula for new alerts. Existing versions are never modified",
+
+  inputSchema: z.object({
+    name: z.string().min(1).max(64).describe("Short name for the formula"),
+    weights: z
+      .record(z.number())
+      .describe(
+        `Weight per stat key, applied to each team's value; keys: ${STAT_KEYS.join(", ")}`,
+      ),
+    notes: z.string().optional().describe("What the formula changes and why"),
+    activate: z
+      .boolean()
+      .default(false)
+      .describe("Use the new version for new alerts right away"),
+  }),
+
+  outputSchema: z.object({
+    version: z.number().optional(),
+    active: z.boolean(),
+    success: z.boolean(),
+    error: z.string().optional(),
+  }),
+
+  execute: async ({ context, mastra }) => {
+    const logger = mastra?.getLogger();
+    logger?.info("🔧 [savePressureFormula] Starting execution", context);
+
+    const connectionString = process.env.DATABASE_URL;
+    if (!connectionString) {
+      logger?.error("❌ [savePressureFormula] DATABASE_URL not found");
+      return {
+        active: false,
+        success: false,
+        error: "DATABASE_URL not configured",
+      };
+    }
+
+    const client = new pg.Client({ connectionString });
+
+    try {
+      await client.connect();
+
+      const version = await createPressureFormula(
+        client,
+        { name: context.name, weights: context.weights, notes: context.notes },
+        context.activate,
+      );
+
+      logger?.info("✅ [savePressureFormula] Pressure formula stored", {
+        version,
+        active: context.activate,
+      });
+
+      return {
+        version,
+        active: context.activate,
+        success: true,
+      };
+    } catch (error: any) {
+      logger?.error("❌ [savePressureFormula] Error storing pressure formula", {
+        error: error.message,
+      });
+
+      return {
+        active: false,
+        success: false,
+        error: error.message || "Unknown error occurred",
+      };
+    } finally {
+      await client.end();
+    }
+  },
+});
@@ -1,10 +1,14 @@
 import { createTool } from "@mastra/core/tools";
 import { z } from "zod";
+import pg from "pg";
 import TelegramBot from "node-telegram-bot-api";
+import { ALERT_TIERS } from "../football/alertRules";
+import { deliverToSubscribers } from "../telegram/delivery";
+import { LEGACY_CHAT_LANGUAGE } from "../telegram/i18n";
 
 export const sendTelegramMessage = createTool({
   id: "send-telegram-message",
-  description: "Sends a message via Telegram Bot API",
+  description: "Sends a message via Telegram Bot API to every active subscriber, or for alerts to the subscribers whose preferences match",
   
   inputSchema: z.object({
     message: z.string().describe("The message to send"),
@@ -12,11 +16,29 @@ export const sendTelegramMessage = createTool({
       .enum(["HTML", "Markdown"])
       .optional()
       .describe("Message formatting mode"),
+    translations: z
+      .record(z.string())
+      .optional()
+      .describe("Message text per subscriber language (pt-BR, en, es); subscribers in other languages receive `message`. Without a database TELEGRAM_CHAT_ID receives the pt-BR text when given"),
+    alert: z
+      .object({
+        alertId: z.number().nullable(),
+        leagueId: z.number().nullable(),
+        probability: z.number().nullable(),
+        tier: z.enum(ALERT_TIERS).nullable().optional(),
+        belowThreshold: z.boolean().optional().describe("Fired only on the medium tier; sent only to chats that listed medium in /tiers"),
+      })
+      .optional()
+      .describe("Alert context; when given, only subscribers following the league, receiving the tier, above their minimum probability and outside quiet hours receive it"),
   }),
   
   outputSchema: z.object({
     success: z.boolean(),
     messageId: z.number().optional(),
+    recipients: z.number(),
+    sent: z.number(),
+    failed: z.number(),
+    disabled: z.number(),
     error: z.string().optional(),
   }),
   
@@ -26,49 +48,143 @@ export const sendTelegramMessage = createTool({
     
     const token = process.env.TELEGRAM_BOT_TOKEN;
     const chatId = process.env.TELEGRAM_CHAT_ID;
+    const connectionString = process.env.DATABASE_URL;
     
-    if (!token || !chatId) {
+    if (!token || (!connectionString && !chatId)) {
       logger?.error("❌ [sendTelegramMessage] Missing credentials", {
         hasToken: !!token,
         hasChatId: !!chatId,
+        hasDatabase: !!connectionString,
       });
       return {
         success: false,
-        error: "TELEGRAM_BOT_TOKEN or TELEGRAM_CHAT_ID not configured",
+        recipients: 0,
+        sent: 0,
+        failed: 0,
+        disabled: 0,
+        error: "TELEGRAM_BOT_TOKEN and either DATABASE_URL or TELEGRAM_CHAT_ID must be configured",
       };
     }
     
+    const bot = new TelegramBot(token);
+    logger?.info("📤 [sendTelegramMessage] Sending message", {
+      messageLength: context.message.length,
+      parseMode: context.parseMode,
+      alertId: context.alert?.alertId,
+    });
+    
+    // Without a database there is no subscriber list, only TELEGRAM_CHAT_ID
+    if (!connectionString) {
+      // That chat cannot have opted in to below-threshold alerts
+      if (context.alert?.belowThreshold) {
+        logger?.info("🔕 [sendTelegramMessage] Below-threshold alert not sent without subscribers");
+        return {
+          success: true,
+          recipients: 0,
+          sent: 0,
+          failed: 0,
+          disabled: 0,
+        };
+      }
+      
+      try {
+        const options: any = {};
+        if (context.parseMode) {
+          options.parse_mode = context.parseMode;
+        }
+        
+        const text = context.translations?.[LEGACY_CHAT_LANGUAGE] ?? context.message;
+        const result = await bot.sendMessage(chatId!, text, options);
+        
+        logger?.info("✅ [sendTelegramMessage] Message sent successfully", {
+          messageId: result.message_id,
+        });
+        
+        return {
+          success: true,
+          messageId: result.message_id,
+          recipients: 1,
+          sent: 1,
+          failed: 0,
+          disabled: 0,
+        };
+      } catch (error: any) {
+        logger?.error("❌ [sendTelegramMessage] Error sending message", {
+          error: error.message,
+        });
+        
+        return {
+          success: false,
+          recipients: 1,
+          sent: 0,
+          failed: 1,
+          disabled: 0,
+          error: error.message || "Unknown error occurred",
+        };
+      }
+    }
+    
+    const client = new pg.Client({ connectionString });
+    
     try {
-      const bot = new TelegramBot(token);
-      logger?.info("📤 [sendTelegramMessage] Sending message", {
-        messageLength: context.message.length,
+      await client.connect();
+      
+      const summary = await deliverToSubscribers(client, bot, {
+        text: context.message,
         parseMode: context.parseMode,
+        translations: context.translations,
+        alert: context.alert,
       });
       
-      const options: any = {};
-      if (context.parseMode) {
-        options.parse_mode = context.parseMode;
+      for (const delivery of summary.deliveries) {
+        if (delivery.status === "blocked") {
+          logger?.warn("🚫 [sendTelegramMessage] Chat unreachable, subscriber disabled", {
+            chatId: delivery.chatId,
+            error: delivery.error,
+          });
+        } else if (delivery.status === "failed") {
+          logger?.error("❌ [sendTelegramMessage] Error sending message", {
+            chatId: delivery.chatId,
+            error: delivery.error,
+          });
+        }
       }
       
-      const result = await bot.sendMessage(chatId, context.message, options);
-      
-      logger?.info("✅ [sendTelegramMessage] Message sent successfully", {
-        messageId: result.message_id,
+      logger?.info("✅ [sendTelegramMessage] Delivery finished", {
+        recipients: summary.recipients,
+        sent: summary.sent,
+        failed: summary.failed,
+        disabled: summary.disabled,
       });
       
+      const first = summary.deliveries.find((delivery) => delivery.status === "sent");
+      
       return {
-        success: true,
-        messageId: result.message_id,
+        success: summary.recipients === 0 || summary.sent > 0,
+        messageId: first?.messageId ?? undefined,
+        recipients: summary.recipients,
+        sent: summary.sent,
+        failed: summary.failed,
+        disabled: summary.disabled,
+        ...(summary.recipients > 0 && summary.sent === 0
+          ? { error: summary.deliveries[0].error ?? "No message was delivered" }
+          : {}),
       };
     } catch (error: any) {
-      logger?.error("❌ [sendTelegramMessage] Error sending message", {
+      logger?.error("❌ [sendTelegramMessage] Error delivering message", {
         error: error.message,
       });
       
       return {
         success: false,
+        recipients: 0,
+        sent: 0,
+        failed: 0,
+        disabled: 0,
         error: error.message || "Unknown error occurred",
       };
+    } finally {
+      await client.end();
     }
   },
 });
@@ -1,6 +1,8 @@
 import { createTool } from "@mastra/core/tools";
 import { z } from "zod";
 import pg from "pg";
+import { ALERT_TIERS } from "../football/alertRules";
+import { DEFAULT_PRESSURE_FORMULA } from "../football/pressureFormula";
 
 export const storeAlert = createTool({
   id: "store-alert",
@@ -14,6 +16,38 @@ export const storeAlert = createTool({
     corners: z.number().describe("Total corners in the match"),
     shotsOnGoal: z.number().describe("Total shots on goal"),
     goalsAtAlert: z.number().describe("Total goals in match when alert was sent"),
+    formulaVersion: z
+      .number()
+      .optional()
+      .describe("Version of the pressure formula that produced the alert"),
+    thresholdVersion: z
+      .number()
+      .optional()
+      .describe("Version of the thresholds in effect when the alert fired"),
+    goalProbability: z
+      .number()
+      .optional()
+      .describe("Goal probability from the active model, if any"),
+    modelId: z.number().optional().describe("ID of the model that produced goalProbability"),
+    leagueId: z.number().optional().describe("API-Football league ID of the fixture"),
+    leagueName: z.string().optional().describe("League name"),
+    leagueCountry: z.string().optional().describe("League country"),
+    homeTeam: z.string().optional().describe("Home team name"),
+    awayTeam: z.string().optional().describe("Away team name"),
+    tier: z.enum(ALERT_TIERS).optional().describe("Goal-probability tier: high, medium or low"),
+    cornerRace: z.boolean().optional().describe("Whether recent corners reached the corner threshold"),
+    pressHome: z.number().optional().describe("Home team pressure"),
+    pressAway: z.number().optional().describe("Away team pressure"),
+    pressingSide: z.enum(["home", "away"]).optional().describe("Side with the higher pressure"),
+    homeTeamId: z.number().optional().describe("API-Football team ID of the home team"),
+    awayTeamId: z.number().optional().describe("API-Football team ID of the away team"),
+    minuteBand: z.string().optional().describe("Minute band of the alert (0-15 … 90+, ET)"),
+    scoreDiff: z.number().optional().describe("Home goals minus away goals at the alert"),
+    redCardsHome: z.number().optional().describe("Home red cards at the alert"),
+    redCardsAway: z.number().optional().describe("Away red cards at the alert"),
+    pressTotalRate: z.number().optional().describe("Total pressure per match minute"),
+    stateThresholdId: z.number().optional().describe("ID of the state threshold set that applied, if any"),
+    stateThresholdVersion: z.number().optional().describe("State threshold history version of that set"),
   }),
   
   outputSchema: z.object({
@@ -45,8 +79,13 @@ export const storeAlert = createTool({
       
       const query = `
         INSERT INTO football_alerts 
-        (fixture_id, minute, press_total, press_diff, corners, shots_on_goal, goals_at_alert)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        (fixture_id, minute, press_total, press_diff, corners, shots_on_goal, goals_at_alert, formula_version, threshold_version, goal_probability, model_id,
+         league_id, league_name, league_country, home_team, away_team, tier, corner_race,
+         press_home, press_away, pressing_side, home_team_id, away_team_id,
+         minute_band, score_diff, red_cards_home, red_cards_away, press_total_rate, state_threshold_id,
+         state_threshold_version)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23,
+                $24, $25, $26, $27, $28, $29, $30)
         RETURNING id
       `;
       
@@ -58,6 +97,29 @@ export const storeAlert = createTool({
         context.corners,
         context.shotsOnGoal,
         context.goalsAtAlert,
+        context.formulaVersion ?? DEFAULT_PRESSURE_FORMULA.version,
+        context.thresholdVersion ?? null,
+        context.goalProbability ?? null,
+        context.modelId ?? null,
+        context.leagueId ?? null,
+        context.leagueName ?? null,
+        context.leagueCountry ?? null,
+        context.homeTeam ?? null,
+        context.awayTeam ?? null,
+        context.tier ?? null,
+        context.cornerRace ?? null,
+        context.pressHome ?? null,
+        context.pressAway ?? null,
+        context.pressingSide ?? null,
+        context.homeTeamId ?? null,
+        context.awayTeamId ?? null,
+        context.minuteBand ?? null,
+        context.scoreDiff ?? null,
+        context.redCardsHome ?? null,
+        context.redCardsAway ?? null,
+        context.pressTotalRate ?? null,
+        context.stateThresholdId ?? null,
+        context.stateThresholdVersion ?? null,
       ];
       
       logger?.info("💾 [storeAlert] Inserting alert into database", { values });
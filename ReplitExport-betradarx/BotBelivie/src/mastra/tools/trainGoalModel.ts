@@ -0,0 +1,139 @@
+import { createTool } from "@mastra/core/tools";
+import { z } from "zod";
+import pg from "pg";
+import { loadPressureFormulaOrDefault } from "../football/pressureFormula";
+import {
+  loadTrainingSamples,
+  saveModel,
+  trainLogisticRegression,
+} from "../football/probabilityModel";
+
+export const trainGoalModel = createTool({
+  id: "train-goal-model",
+  description:
+    "Retrains the goal-probability model from settled evaluations of the active pressure formula and reports its holdout metrics",
+
+  inputSchema: z.object({}),
+
+  outputSchema: z.object({
+    trained: z.boolean(),
+    activated: z.boolean(),
+    modelId: z.number().optional(),
+    samples: z.number(),
+    formulaVersion: z.number().optional(),
+    metrics: z
+      .object({
+        trainSamples: z.number(),
+        holdoutSamples: z.number(),
+        baseRate: z.number(),
+        logLoss: z.number(),
+        baselineLogLoss: z.number(),
+        brier: z.number(),
+        auc: z.number().nullable(),
+        accuracy: z.number(),
+      })
+      .optional(),
+    success: z.boolean(),
+    error: z.string().optional(),
+  }),
+
+  execute: async ({ mastra }) => {
+    const logger = mastra?.getLogger();
+    logger?.info("🔧 [trainGoalModel] Starting execution");
+
+    const connectionString = process.env.DATABASE_URL;
+    if (!connectionString) {
+      logger?.error("❌ [trainGoalModel] DATABASE_URL not found");
+      return {
+        trained: false,
+        activated: false,
+        samples: 0,
+        success: false,
+        error: "DATABASE_URL not configured",
+      };
+    }
+
+    const minSamples = parseInt(process.env.MODEL_MIN_SAMPLES || "200", 10);
+    const minHoldout = parseInt(process.env.MODEL_MIN_HOLDOUT || "50", 10);
+    const maxSamples = parseInt(process.env.MODEL_MAX_SAMPLES || "20000", 10);
+    const client = new pg.Client({ connectionString });
+
+    try {
+      await client.connect();
+
+      // Pressure scores from another formula are on a different scale, so
+      // only evaluations scored with the formula the monitor uses are kept
+      const formula = await loadPressureFormulaOrDefault(client, logger);
+      const verified = await loadTrainingSamples(
+        client,
+        formula.version,
+        maxSamples,
+      );
+
+      // Labels settled with another window answer a different question, so
+      // only the evaluations settled like the latest one are used
+      const horizon = verified[verified.length - 1]?.horizon ?? null;
+      const samples = verified.filter((sample) => sample.horizon === horizon);
+      logger?.info("📚 [trainGoalModel] Loaded training samples", {
+        samples: samples.length,
+        otherWindows: verified.length - samples.length,
+        horizon,
+        formulaVersion: formula.version,
+        minSamples,
+      });
+
+      if (horizon === null || samples.length < minSamples) {
+        logger?.info(
+          "⏭️ [trainGoalModel] Not enough settled evaluations to train",
+        );
+        return {
+          trained: false,
+          activated: false,
+          samples: samples.length,
+          formulaVersion: formula.version,
+          success: true,
+        };
+      }
+
+      const model = trainLogisticRegression(samples, horizon, formula.version);
+
+      // Only a model that beats always predicting the base rate, on a holdout
+      // large enough to tell, is used for alerts
+      const activated =
+        model.metrics.holdoutSamples >= minHoldout &&
+        model.metrics.logLoss < model.metrics.baselineLogLoss;
+      const modelId = await saveModel(client, model, activated);
+
+      logger?.info("✅ [trainGoalModel] Model trained", {
+        modelId,
+        activated,
+        minHoldout,
+        metrics: model.metrics,
+      });
+
+      return {
+        trained: true,
+        activated,
+        modelId,
+        samples: samples.length,
+        formulaVersion: formula.version,
+        metrics: model.metrics,
+        success: true,
+      };
+    } catch (error: any) {
+      logger?.error("❌ [trainGoalModel] Error training model", {
+        error: error.message,
+      });
+
+      return {
+        trained: false,
+        activated: false,
+        samples: 0,
+        success: false,
+        error: error.message || "Unknown error occurred",
+      };
+    } finally {
+      await client.end();
+    }
+  },
+});
@@ -0,0 +1,175 @@
+import { createTool } from "@mastra/core/tools";
+import { z } from "zod";
+import pg from "pg";
+import {
+  MANPOWER_STATES,
+  MINUTE_BANDS,
+  SCORE_STATES,
+} from "../football/gameState";
+import { applyStateThresholdChange } from "../football/thresholds";
+
+export const updateStateThresholds = createTool({
+  id: "update-state-thresholds",
+  description:
+    "Sets or removes the thresholds for a minute band and game state (score margin, red cards), globally or for a league or a team within a league. A set only applies to fixtures using the thresholds row of its scope, and unset values inherit from that row; per-minute sets compare pressure per match minute instead of match totals. Every change is recorded as a new state threshold version",
+
+  inputSchema: z.object({
+    leagueId: z
+      .number()
+      .int()
+      .nullable()
+      .default(null)
+      .describe(
+        "API-Football league ID; null for the sets applied over the global thresholds",
+      ),
+    teamId: z
+      .number()
+      .int()
+      .nullable()
+      .default(null)
+      .describe(
+        "API-Football team ID within leagueId; null for the whole league",
+      ),
+    minuteBand: z
+      .enum(MINUTE_BANDS)
+      .nullable()
+      .default(null)
+      .describe("Minute band (0-15 … 90+, ET); null for any"),
+    scoreState: z
+      .enum(SCORE_STATES)
+      .nullable()
+      .default(null)
+      .describe("Score margin: level, one_goal or two_plus; null for any"),
+    manpower: z
+      .enum(MANPOWER_STATES)
+      .nullable()
+      .default(null)
+      .describe("even or uneven after red cards; null for any"),
+    thresholdTotal: z
+      .number()
+      .positive()
+      .nullable()
+      .default(null)
+      .describe("Minimum total pressure (per minute when perMinute)"),
+    thresholdDiff: z
+      .number()
+      .positive()
+      .nullable()
+      .default(null)
+      .describe("Minimum pressure difference (per minute when perMinute)"),
+    escanteios10min: z
+      .number()
+      .int()
+      .min(0)
+      .nullable()
+      .default(null)
+      .describe("Minimum corners in the last 10 minutes"),
+    shotsMin: z
+      .number()
+      .int()
+      .min(0)
+      .nullable()
+      .default(null)
+      .describe("Minimum shots on goal for the pressure-difference rule"),
+    perMinute: z
+      .boolean()
+      .default(false)
+      .describe("Compare pressure per match minute"),
+    remove: z
+      .boolean()
+      .default(false)
+      .describe(
+        "Remove the set for this scope, minute band and game state instead",
+      ),
+    reason: z.string().optional().describe("Why the change is being made"),
+  }),
+
+  outputSchema: z.object({
+    setId: z.number().optional(),
+    version: z.number().optional(),
+    removed: z.boolean().optional(),
+    success: z.boolean(),
+    error: z.string().optional(),
+  }),
+
+  execute: async ({ context, mastra }) => {
+    const logger = mastra?.getLogger();
+    logger?.info("🔧 [updateStateThresholds] Starting execution", context);
+
+    const connectionString = process.env.DATABASE_URL;
+    if (!connectionString) {
+      logger?.error("❌ [updateStateThresholds] DATABASE_URL not found");
+      return {
+        success: false,
+        error: "DATABASE_URL not configured",
+      };
+    }
+
+    const client = new pg.Client({ connectionString });
+
+    try {
+      await client.connect();
+
+      const key = {
+        leagueId: context.leagueId,
+        teamId: context.teamId,
+        minuteBand: context.minuteBand,
+        scoreState: context.scoreState,
+        manpower: context.manpower,
+      };
+
+      const applied = await applyStateThresholdChange(
+        client,
+        key,
+        context.remove
+          ? null
+          : {
+              thresholdTotal: context.thresholdTotal,
+              thresholdDiff: context.thresholdDiff,
+              escanteios10min: context.escanteios10min,
+              shotsMin: context.shotsMin,
+              perMinute: context.perMinute,
+            },
+        { source: "admin", reason: context.reason },
+      );
+
+      if (context.remove) {
+        logger?.info("🗑️ [updateStateThresholds] State thresholds removed", {
+          ...key,
+          removed: applied !== null,
+          version: applied?.version,
+        });
+        return {
+          removed: applied !== null,
+          version: applied?.version,
+          success: true,
+        };
+      }
+
+      logger?.info(
+        "✅ [updateStateThresholds] State thresholds saved",
+        applied ?? {},
+      );
+
+      return {
+        setId: applied?.setId,
+        version: applied?.version,
+        success: true,
+      };
+    } catch (error: any) {
+      logger?.error(
+        "❌ [updateStateThresholds] Error updating state thresholds",
+        {
+          error: error.message,
+        },
+      );
+
+      return {
+        success: false,
+        error: error.message || "Unknown error occurred",
+      };
+    } finally {
+      await client.end();
+    }
+  },
+});
@@ -0,0 +1,129 @@
+import { createTool } from "@mastra/core/tools";
+import { z } from "zod";
+import pg from "pg";
+import { ALERT_TIERS } from "../football/alertRules";
+import { LANGUAGES } from "../telegram/i18n";
+import { upsertSubscriber } from "../telegram/subscribers";
+
+export const subscriberSchema = z.object({
+  id: z.number(),
+  chatId: z.string(),
+  title: z.string().nullable(),
+  language: z.enum(LANGUAGES),
+  leagues: z.array(z.number()),
+  tiers: z.array(z.enum(ALERT_TIERS)),
+  minProbability: z.number().nullable(),
+  quietStart: z.number().nullable(),
+  quietEnd: z.number().nullable(),
+  timezone: z.string(),
+  active: z.boolean(),
+  disabledReason: z.string().nullable(),
+});
+
+export const updateSubscriber = createTool({
+  id: "update-subscriber",
+  description:
+    "Adds a Telegram chat as a subscriber or changes its delivery preferences (language, leagues, alert tiers, minimum probability, quiet hours, active flag). Omitted fields keep their current value",
+
+  inputSchema: z.object({
+    chatId: z.string().describe("Telegram chat id (negative for groups)"),
+    title: z.string().nullable().optional().describe("Label for the chat"),
+    language: z
+      .enum(LANGUAGES)
+      .optional()
+      .describe("Message language: pt-BR, en or es"),
+    leagues: z
+      .array(z.number().int())
+      .optional()
+      .describe("League ids to receive alerts for; empty for every league"),
+    tiers: z
+      .array(z.enum(ALERT_TIERS))
+      .optional()
+      .describe(
+        "Alert tiers to receive (high, medium, low); empty for every tier",
+      ),
+    minProbability: z
+      .number()
+      .min(0)
+      .max(1)
+      .nullable()
+      .optional()
+      .describe(
+        "Only alerts with a model probability at least this high; null for all",
+      ),
+    quietStart: z
+      .number()
+      .int()
+      .min(0)
+      .max(23)
+      .nullable()
+      .optional()
+      .describe("Local hour quiet hours start"),
+    quietEnd: z
+      .number()
+      .int()
+      .min(0)
+      .max(23)
+      .nullable()
+      .optional()
+      .describe("Local hour quiet hours end (exclusive)"),
+    timezone: z
+      .string()
+      .optional()
+      .describe("IANA time zone for quiet hours, e.g. America/Sao_Paulo"),
+    active: z
+      .boolean()
+      .optional()
+      .describe("Whether the chat receives messages"),
+  }),
+
+  outputSchema: z.object({
+    subscriber: subscriberSchema.optional(),
+    success: z.boolean(),
+    error: z.string().optional(),
+  }),
+
+  execute: async ({ context, mastra }) => {
+    const logger = mastra?.getLogger();
+    logger?.info("🔧 [updateSubscriber] Starting execution", context);
+
+    const connectionString = process.env.DATABASE_URL;
+    if (!connectionString) {
+      logger?.error("❌ [updateSubscriber] DATABASE_URL not found");
+      return {
+        success: false,
+        error: "DATABASE_URL not configured",
+      };
+    }
+
+    const client = new pg.Client({ connectionString });
+
+    try {
+      await client.connect();
+
+      const { chatId, ...preferences } = context;
+      const subscriber = await upsertSubscriber(client, chatId, preferences);
+
+      logger?.info("✅ [updateSubscriber] Subscriber saved", {
+        id: subscriber.id,
+        active: subscriber.active,
+      });
+
+      return {
+        subscriber,
+        success: true,
+      };
+    } catch (error: any) {
+      logger?.error("❌ [updateSubscriber] Error saving subscriber", {
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        error: error.message || "Unknown error occurred",
+      };
+    } finally {
+      await client.end();
+    }
+  },
+});
@@ -0,0 +1,98 @@
+import { createTool } from "@mastra/core/tools";
+import { z } from "zod";
+import pg from "pg";
+import { applyThresholdChange } from "../football/thresholds";
+
+export const updateThresholds = createTool({
+  id: "update-thresholds",
+  description:
+    "Sets the alert thresholds by hand (admin change), globally or for a league or a team within a league. The change is recorded as a new version in the threshold history",
+
+  inputSchema: z.object({
+    thresholdTotal: z.number().positive().describe("Minimum total pressure"),
+    thresholdDiff: z
+      .number()
+      .positive()
+      .describe("Minimum pressure difference"),
+    escanteios10min: z
+      .number()
+      .int()
+      .min(0)
+      .describe("Minimum corners in the last 10 minutes"),
+    shotsMin: z
+      .number()
+      .int()
+      .min(0)
+      .default(2)
+      .describe("Minimum shots on goal for the pressure-difference rule"),
+    reason: z.string().describe("Why the thresholds are being changed"),
+    leagueId: z
+      .number()
+      .int()
+      .optional()
+      .describe("API-Football league ID; omit for the global thresholds"),
+    teamId: z
+      .number()
+      .int()
+      .optional()
+      .describe(
+        "API-Football team ID within leagueId; omit for the whole league",
+      ),
+  }),
+
+  outputSchema: z.object({
+    newVersion: z.number().optional(),
+    success: z.boolean(),
+    error: z.string().optional(),
+  }),
+
+  execute: async ({ context, mastra }) => {
+    const logger = mastra?.getLogger();
+    logger?.info("🔧 [updateThresholds] Starting execution", context);
+
+    const connectionString = process.env.DATABASE_URL;
+    if (!connectionString) {
+      logger?.error("❌ [updateThresholds] DATABASE_URL not found");
+      return {
+        success: false,
+        error: "DATABASE_URL not configured",
+      };
+    }
+
+    const client = new pg.Client({ connectionString });
+
+    try {
+      await client.connect();
+
+      const newVersion = await applyThresholdChange(
+        client,
+        {
+          thresholdTotal: context.thresholdTotal,
+          thresholdDiff: context.thresholdDiff,
+          escanteios10min: context.escanteios10min,
+          shotsMin: context.shotsMin,
+        },
+        { source: "admin", reason: context.reason },
+        { leagueId: context.leagueId ?? null, teamId: context.teamId ?? null },
+      );
+
+      logger?.info("✅ [updateThresholds] Thresholds updated", { newVersion });
+
+      return {
+        newVersion,
+        success: true,
+      };
+    } catch (error: any) {
+      logger?.error("❌ [updateThresholds] Error updating thresholds", {
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        error: error.message || "Unknown error occurred",
+      };
+    } finally {
+      await client.end();
+    }
+  },
+});
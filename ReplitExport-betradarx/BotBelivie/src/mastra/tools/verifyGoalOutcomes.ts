@@ -1,11 +1,22 @@
 import { createTool } from "@mastra/core/tools";
 import { z } from "zod";
 import pg from "pg";
-import axios from "axios";
+import TelegramBot from "node-telegram-bot-api";
+import { getFootballDataProvider } from "../football/dataProvider";
+import {
+  extractValidGoals,
+  judgeAlert,
+  parseVerificationWindow,
+  pressingTeamScored,
+  voidStatus,
+  type GoalEvent,
+} from "../football/goalVerification";
+import { editAlertDeliveries } from "../telegram/delivery";
+import { formatAlertResult } from "../telegram/messages";
 
 export const verifyGoalOutcomes = createTool({
   id: "verify-goal-outcomes",
-  description: "Checks recent alerts and updates goal_happened status by comparing goal totals before/after alerts",
+  description: "Settles pending alerts from fixture goal events, recording the first goal after each alert, whether it fell inside the verification window and whether the pressing team scored it, and adds the result to the alert's Telegram messages",
   
   inputSchema: z.object({}),
   
@@ -21,18 +32,14 @@ export const verifyGoalOutcomes = createTool({
     logger?.info("🔧 [verifyGoalOutcomes] Starting execution");
     
     const connectionString = process.env.DATABASE_URL;
-    const apiKey = process.env.API_FOOTBALL_KEY;
     
-    if (!connectionString || !apiKey) {
-      logger?.error("❌ [verifyGoalOutcomes] Missing configuration", {
-        hasDb: !!connectionString,
-        hasApiKey: !!apiKey,
-      });
+    if (!connectionString) {
+      logger?.error("❌ [verifyGoalOutcomes] DATABASE_URL not found");
       return {
         checked: 0,
         updated: 0,
         success: false,
-        error: "Missing DATABASE_URL or API_FOOTBALL_KEY",
+        error: "DATABASE_URL not configured",
       };
     }
     
@@ -41,16 +48,21 @@ export const verifyGoalOutcomes = createTool({
     try {
       await client.connect();
       
+      const window = parseVerificationWindow(process.env.GOAL_VERIFY_WINDOW);
+      
       const query = `
-        SELECT id, fixture_id, minute, goals_at_alert, created_at
+        SELECT id, fixture_id, minute, goals_at_alert, pressing_side, home_team_id, away_team_id, created_at
         FROM football_alerts
         WHERE goal_happened IS NULL
-          AND created_at < NOW() - INTERVAL '10 minutes'
+          AND void_reason IS NULL
+          AND created_at > NOW() - INTERVAL '1 day'
         ORDER BY created_at ASC
         LIMIT 50
       `;
       
-      logger?.info("🔍 [verifyGoalOutcomes] Querying unverified alerts older than 10 minutes");
+      logger?.info("🔍 [verifyGoalOutcomes] Querying unverified alerts", {
+        window,
+      });
       const result = await client.query(query);
       const alerts = result.rows;
       
@@ -58,54 +70,155 @@ export const verifyGoalOutcomes = createTool({
         count: alerts.length,
       });
       
+      const alertsByFixture = new Map<number, any[]>();
+      for (const alert of alerts) {
+        const fixtureAlerts = alertsByFixture.get(alert.fixture_id) ?? [];
+        fixtureAlerts.push(alert);
+        alertsByFixture.set(alert.fixture_id, fixtureAlerts);
+      }
+      
+      const provider = getFootballDataProvider();
+      const token = process.env.TELEGRAM_BOT_TOKEN;
+      const bot = token ? new TelegramBot(token) : null;
       let updated = 0;
       
-      for (const alert of alerts) {
+      for (const [fixtureId, fixtureAlerts] of alertsByFixture) {
         try {
-          const url = `https://v3.football.api-sports.io/fixtures?id=${alert.fixture_id}`;
           logger?.info("📡 [verifyGoalOutcomes] Fetching fixture data", {
-            alertId: alert.id,
-            fixtureId: alert.fixture_id,
+            fixtureId,
+            alerts: fixtureAlerts.length,
           });
           
-          const response = await axios.get(url, {
-            headers: { "x-apisports-key": apiKey },
-            timeout: 10000,
-          });
+          const fixture = await provider.getFixture(fixtureId, { logger });
+          if (!fixture) continue;
           
-          if (response.data.response && response.data.response.length > 0) {
-            const fixture = response.data.response[0];
-            const goals = fixture.goals;
-            
-            const homeGoals = goals?.home || 0;
-            const awayGoals = goals?.away || 0;
-            const totalGoalsNow = homeGoals + awayGoals;
-            const goalsAtAlert = alert.goals_at_alert || 0;
-            
-            const goalHappened = totalGoalsNow > goalsAtAlert;
+          const totalGoalsNow =
+            (fixture.goals?.home || 0) + (fixture.goals?.away || 0);
+          const lowestGoalsAtAlert = Math.min(
+            ...fixtureAlerts.map((alert) => alert.goals_at_alert || 0),
+          );
+          
+          // Events are only needed once the score has moved since an alert
+          let goals: GoalEvent[] = [];
+          if (totalGoalsNow > lowestGoalsAtAlert) {
+            const events = await provider.getFixtureEvents(fixtureId, {
+              logger,
+            });
+            goals = extractValidGoals(events);
+          }
+          
+          for (const alert of fixtureAlerts) {
+            const verdict = judgeAlert(
+              { minute: alert.minute, goalsAtAlert: alert.goals_at_alert || 0 },
+              fixture,
+              goals,
+              window,
+            );
             
-            const updateQuery = `
-              UPDATE football_alerts
-              SET goal_happened = $1
-              WHERE id = $2
-            `;
+            // A goal inside the window still counts if the match is abandoned later
+            const voidReason =
+              verdict.settled && verdict.goalHappened ? null : voidStatus(fixture);
             
-            await client.query(updateQuery, [goalHappened, alert.id]);
-            updated++;
+            if (voidReason) {
+              await client.query(
+                `
+                  UPDATE football_alerts
+                  SET void_reason = $1,
+                      verification_window = $2,
+                      verified_at = NOW()
+                  WHERE id = $3
+                `,
+                [voidReason, String(window), alert.id],
+              );
+              updated++;
+              
+              logger?.info("⚪ [verifyGoalOutcomes] Voided alert", {
+                alertId: alert.id,
+                fixtureId,
+                status: voidReason,
+              });
+            } else if (verdict.settled) {
+              const updateQuery = `
+                UPDATE football_alerts
+                SET goal_happened = $1,
+                    first_goal_minute = $2,
+                    first_goal_extra = $3,
+                    first_goal_team_id = $4,
+                    first_goal_team_name = $5,
+                    first_goal_type = $6,
+                    verification_window = $7,
+                    pressing_team_scored = $8,
+                    verified_at = NOW()
+                WHERE id = $9
+              `;
+              
+              const pressingScored = pressingTeamScored(
+                verdict,
+                alert.pressing_side,
+                {
+                  home: alert.home_team_id ?? fixture.teams?.home?.id ?? null,
+                  away: alert.away_team_id ?? fixture.teams?.away?.id ?? null,
+                },
+              );
+              
+              await client.query(updateQuery, [
+                verdict.goalHappened,
+                verdict.firstGoal?.minute ?? null,
+                verdict.firstGoal?.extra ?? null,
+                verdict.firstGoal?.teamId ?? null,
+                verdict.firstGoal?.teamName ?? null,
+                verdict.firstGoal?.type ?? null,
+                String(window),
+                pressingScored,
+                alert.id,
+              ]);
+              updated++;
+              
+              logger?.info("✅ [verifyGoalOutcomes] Updated alert", {
+                alertId: alert.id,
+                fixtureId,
+                alertMinute: alert.minute,
+                goalHappened: verdict.goalHappened,
+                firstGoal: verdict.firstGoal,
+                pressingSide: alert.pressing_side,
+                pressingTeamScored: pressingScored,
+              });
+            } else {
+              continue;
+            }
             
-            logger?.info("✅ [verifyGoalOutcomes] Updated alert", {
-              alertId: alert.id,
-              fixtureId: alert.fixture_id,
-              goalsAtAlert,
-              totalGoalsNow,
-              goalHappened,
-              goalIncrease: totalGoalsNow - goalsAtAlert,
-            });
+            if (bot) {
+              const edits = await editAlertDeliveries(
+                client,
+                bot,
+                alert.id,
+                (language, parseMode) =>
+                  formatAlertResult(
+                    {
+                      minute: alert.minute,
+                      outcome: voidReason
+                        ? "void"
+                        : verdict.settled && verdict.goalHappened
+                          ? "green"
+                          : "red",
+                      firstGoal: verdict.settled ? verdict.firstGoal : null,
+                    },
+                    fixture,
+                    window,
+                    language,
+                    parseMode,
+                  ),
+              );
+              
+              logger?.info("✏️ [verifyGoalOutcomes] Alert messages edited", {
+                alertId: alert.id,
+                ...edits,
+              });
+            }
           }
         } catch (error: any) {
           logger?.warn("⚠️ [verifyGoalOutcomes] Error checking fixture", {
-            alertId: alert.id,
-            fixtureId: alert.fixture_id,
+            fixtureId,
             error: error.message,
           });
         }
@@ -0,0 +1,273 @@
+import { createStep, createWorkflow } from "@mastra/core/workflows";
+import { z } from "zod";
+import pg from "pg";
+import {
+  backtestResult,
+  evaluateFixtures,
+  loadCurrentCandidate,
+  loadRecordedFixtures,
+  loadSnapshotFixtures,
+  scoreThresholds,
+  type BacktestCandidate,
+  type EvaluatedFixture,
+} from "../football/backtest";
+import { getCooldownConfig } from "../football/cooldown";
+import { parseVerificationWindow } from "../football/goalVerification";
+import { validatePressureWeights } from "../football/pressureFormula";
+
+// Runs on the core (in-process) workflow engine rather than Inngest: it is
+// started on demand, not by cron, and index.ts only allows one registered
+// workflow.
+
+const thresholdValuesSchema = z.object({
+  thresholdTotal: z.number(),
+  thresholdDiff: z.number(),
+  escanteios10min: z.number(),
+  shotsMin: z.number(),
+});
+
+const formulaSchema = z.object({
+  version: z.number(),
+  name: z.string(),
+  weights: z.record(z.number()),
+});
+
+const candidateInputSchema = z.object({
+  name: z.string(),
+  thresholds: thresholdValuesSchema
+    .partial()
+    .optional()
+    .describe(
+      "Thresholds to test; missing values come from the current thresholds",
+    ),
+  formula: formulaSchema
+    .extend({ version: z.number().optional() })
+    .optional()
+    .describe(
+      "Pressure formula to test; defaults to the active formula. Unsaved formulas get version 0",
+    ),
+});
+
+const candidateSchema = z.object({
+  name: z.string(),
+  thresholds: thresholdValuesSchema,
+  // League, team and game-state rows, carried over from the current settings
+  overrides: z.object({
+    scoped: z.array(z.any()),
+    stateSets: z.array(z.any()),
+  }),
+  formula: formulaSchema,
+});
+
+const backtestResultSchema = z.object({
+  candidate: z.string(),
+  thresholds: thresholdValuesSchema,
+  formulaVersion: z.number(),
+  formulaName: z.string(),
+  fixtures: z.number(),
+  days: z.number(),
+  fixturesWithAlerts: z.number(),
+  alerts: z.number(),
+  suppressed: z.number(),
+  settled: z.number(),
+  hits: z.number(),
+  hitRate: z.number(),
+  alertsPerMatch: z.number(),
+  alertsPerDay: z.number(),
+  reasons: z.record(z.number()),
+  timing: z.array(
+    z.object({ period: z.string(), alerts: z.number(), hits: z.number() }),
+  ),
+  minutesToGoal: z.object({ mean: z.number(), median: z.number() }).nullable(),
+});
+
+export const backtestInputSchema = z.object({
+  source: z
+    .enum(["snapshots", "recordings"])
+    .default("snapshots")
+    .describe(
+      "Stored stats snapshots (database) or recorded API-Football responses",
+    ),
+  dir: z
+    .string()
+    .optional()
+    .describe("Recordings directory; defaults to FOOTBALL_RECORD_DIR"),
+  from: z
+    .string()
+    .optional()
+    .describe("ISO date/time to start from (inclusive)"),
+  to: z.string().optional().describe("ISO date/time to stop at (exclusive)"),
+  window: z
+    .string()
+    .optional()
+    .describe(
+      "Verification window: 5, 10, 15, HT or FT; defaults to GOAL_VERIFY_WINDOW",
+    ),
+  includeCurrent: z
+    .boolean()
+    .default(true)
+    .describe(
+      "Also run the thresholds and formula currently in effect as a reference",
+    ),
+  candidates: z.array(candidateInputSchema).default([]),
+});
+
+const loadBacktestData = createStep({
+  id: "load-backtest-data",
+  description: "Loads historical fixtures and resolves the candidates to test",
+
+  inputSchema: backtestInputSchema,
+
+  outputSchema: z.object({
+    fixtures: z.array(z.any()),
+    candidates: z.array(candidateSchema),
+    window: z.string(),
+  }),
+
+  execute: async ({ inputData, mastra }) => {
+    const logger = mastra?.getLogger();
+    logger?.info("🔧 [loadBacktestData] Starting execution", {
+      source: inputData.source,
+      from: inputData.from,
+      to: inputData.to,
+    });
+
+    const connectionString = process.env.DATABASE_URL;
+    const db = connectionString ? new pg.Client({ connectionString }) : null;
+    if (db) await db.connect();
+
+    try {
+      let fixtures;
+      if (inputData.source === "snapshots") {
+        if (!db) {
+          throw new Error(
+            "DATABASE_URL is required to backtest stats snapshots",
+          );
+        }
+        fixtures = await loadSnapshotFixtures(db, inputData);
+      } else {
+        const dir = inputData.dir || process.env.FOOTBALL_RECORD_DIR;
+        if (!dir) {
+          throw new Error(
+            "A recordings directory (dir or FOOTBALL_RECORD_DIR) is required",
+          );
+        }
+        fixtures = await loadRecordedFixtures(dir, inputData);
+      }
+
+      const current = await loadCurrentCandidate(db, logger);
+      const candidates: BacktestCandidate[] = inputData.candidates.map(
+        (candidate) => ({
+          name: candidate.name,
+          thresholds: { ...current.thresholds, ...candidate.thresholds },
+          overrides: current.overrides,
+          formula: candidate.formula
+            ? {
+                ...candidate.formula,
+                version: candidate.formula.version ?? 0,
+                weights: validatePressureWeights(candidate.formula.weights),
+              }
+            : current.formula,
+        }),
+      );
+      if (inputData.includeCurrent || candidates.length === 0) {
+        candidates.unshift(current);
+      }
+
+      const window = String(
+        parseVerificationWindow(
+          inputData.window ?? process.env.GOAL_VERIFY_WINDOW,
+        ),
+      );
+
+      logger?.info("📚 [loadBacktestData] Loaded history", {
+        fixtures: fixtures.length,
+        candidates: candidates.map((candidate) => candidate.name),
+        window,
+      });
+
+      return { fixtures, candidates, window };
+    } finally {
+      await db?.end();
+    }
+  },
+});
+
+const runBacktestCandidates = createStep({
+  id: "run-backtest-candidates",
+  description:
+    "Replays the history through the alert evaluation for each candidate",
+
+  inputSchema: z.object({
+    fixtures: z.array(z.any()),
+    candidates: z.array(candidateSchema),
+    window: z.string(),
+  }),
+
+  outputSchema: z.object({
+    fixtures: z.number(),
+    window: z.string(),
+    results: z.array(backtestResultSchema),
+  }),
+
+  execute: async ({ inputData, mastra, runtimeContext }) => {
+    const logger = mastra?.getLogger();
+    logger?.info("🔧 [runBacktestCandidates] Starting execution");
+
+    const window = parseVerificationWindow(inputData.window);
+    const cooldown = getCooldownConfig();
+    const results = [];
+    // Candidates sharing a formula share one pressure evaluation
+    const evaluations = new Map<string, EvaluatedFixture[]>();
+
+    for (const candidate of inputData.candidates) {
+      const key = JSON.stringify(candidate.formula);
+      let evaluated = evaluations.get(key);
+      if (!evaluated) {
+        evaluated = await evaluateFixtures(
+          inputData.fixtures,
+          candidate.formula,
+          { window, runtimeContext },
+        );
+        evaluations.set(key, evaluated);
+      }
+
+      const result = backtestResult(
+        candidate,
+        scoreThresholds(
+          evaluated,
+          candidate.thresholds,
+          cooldown,
+          candidate.overrides,
+        ),
+      );
+      logger?.info("📈 [runBacktestCandidates] Candidate evaluated", {
+        candidate: result.candidate,
+        alerts: result.alerts,
+        hitRate: result.hitRate,
+      });
+      results.push(result);
+    }
+
+    return {
+      fixtures: inputData.fixtures.length,
+      window: inputData.window,
+      results,
+    };
+  },
+});
+
+export const backtestWorkflow = createWorkflow({
+  id: "backtest-workflow",
+  description:
+    "Replays stored stats snapshots or recorded API-Football responses to compare candidate thresholds and pressure formulas",
+  inputSchema: backtestInputSchema,
+  outputSchema: z.object({
+    fixtures: z.number(),
+    window: z.string(),
+    results: z.array(backtestResultSchema),
+  }),
+})
+  .then(loadBacktestData)
+  .then(runBacktestCandidates)
+  .commit();
@@ -1,7 +1,38 @@
+import type { Mastra } from "@mastra/core";
+import type { RuntimeContext } from "@mastra/core/runtime-context";
 import { createStep, createWorkflow } from "../inngest";
 import { z } from "zod";
-import { footballMonitorAgent } from "../agents/footballMonitorAgent";
 import pg from "pg";
+import { footballMonitorAgent } from "../agents/footballMonitorAgent";
+import { runMonitorCycle } from "../football/monitor";
+import { DEFAULT_LANGUAGE, renderForLanguages } from "../telegram/i18n";
+import {
+  buildScoreboard,
+  claimScoreboardDay,
+  finishScoreboardDay,
+  getScoreboardConfig,
+  renderScoreboard,
+  scoreboardDueDay,
+} from "../telegram/scoreboard";
+import { sendTelegramMessage } from "../tools/sendTelegramMessage";
+import { trainGoalModel } from "../tools/trainGoalModel";
+
+// The Inngest createStep does not infer execute's parameters, so each step declares them
+type StepParams<TInput = unknown> = {
+  inputData: TInput;
+  mastra?: Mastra;
+  runtimeContext: RuntimeContext;
+};
+
+const analysisResultSchema = z.object({
+  isMidnight: z.boolean(),
+  analysisRun: z.boolean(),
+  analysisReport: z.string().optional(),
+});
+
+const scoreboardResultSchema = analysisResultSchema.extend({
+  scoreboardSent: z.boolean(),
+});
 
 const checkMidnightAndRunAnalysis = createStep({
   id: "check-midnight-and-run-analysis",
@@ -9,13 +40,9 @@ const checkMidnightAndRunAnalysis = createStep({
 
   inputSchema: z.object({}),
 
-  outputSchema: z.object({
-    isMidnight: z.boolean(),
-    analysisRun: z.boolean(),
-    analysisReport: z.string().optional(),
-  }),
+  outputSchema: analysisResultSchema,
 
-  execute: async ({ mastra }) => {
+  execute: async ({ mastra, runtimeContext }: StepParams) => {
     const logger = mastra?.getLogger();
     logger?.info("🔧 [checkMidnightAndRunAnalysis] Starting execution");
 
@@ -41,6 +68,18 @@ const checkMidnightAndRunAnalysis = createStep({
 
     logger?.info("🌙 [checkMidnightAndRunAnalysis] Midnight detected, running daily analysis");
 
+    const retrain = await trainGoalModel.execute!({
+      context: {},
+      runtimeContext,
+      mastra,
+    });
+
+    logger?.info("🧠 [checkMidnightAndRunAnalysis] Goal model retrained", {
+      trained: retrain.trained,
+      activated: retrain.activated,
+      metrics: retrain.metrics,
+    });
+
     const agentResponse = await footballMonitorAgent.generateLegacy([
       {
         role: "user",
@@ -55,8 +94,16 @@ The report should include:
 - Total alerts sent
 - Goals confirmed after alerts
 - Accuracy percentage
-- Current vs recommended thresholds
+- Accuracy per goal-probability tier (high/medium/low) and for corner-race alerts over 30 days
+- For alerts with a pressing side: how often the pressing team scored the next goal versus any goal over 30 days
+- Recall: goals caught by an alert, missed goals and near misses, and lift over the base goal rate per minute band
+- Subscriber feedback from the alert buttons: entered/skipped and good/bad call counts, and the hit rate of alerts users entered or called good
+- Current vs recommended thresholds, with the optimizer's validation hit rates and confidence bounds and whether the change was applied
+- Per-league thresholds: the leagues tuned on their own matches and whether their change was applied, and how many leagues stay on the global thresholds for lack of fixtures
 - Performance assessment
+- Goal-probability model retraining (holdout metrics below)
+
+Model retraining result: ${JSON.stringify(retrain)}
 
 Format the message beautifully for Telegram with emojis and clear sections.`,
       },
@@ -74,15 +121,82 @@ Format the message beautifully for Telegram with emojis and clear sections.`,
   },
 });
 
+const sendDailyScoreboard = createStep({
+  id: "send-daily-scoreboard",
+  description: "Sends the green/red scoreboard once a day at the configured local time",
+
+  inputSchema: analysisResultSchema,
+
+  outputSchema: scoreboardResultSchema,
+
+  execute: async ({
+    inputData,
+    mastra,
+    runtimeContext,
+  }: StepParams<z.infer<typeof analysisResultSchema>>) => {
+    const logger = mastra?.getLogger();
+    logger?.info("🔧 [sendDailyScoreboard] Starting execution");
+
+    const config = getScoreboardConfig();
+    const day = scoreboardDueDay(config);
+    const connectionString = process.env.DATABASE_URL;
+
+    if (!day || !connectionString) {
+      return { ...inputData, scoreboardSent: false };
+    }
+
+    const client = new pg.Client({ connectionString });
+    let scoreboardSent = false;
+
+    try {
+      await client.connect();
+
+      if (!(await claimScoreboardDay(client, day, config.timezone))) {
+        return { ...inputData, scoreboardSent: false };
+      }
+
+      let message: string | null = null;
+      try {
+        const scoreboard = await buildScoreboard(client, day);
+        const translations = renderForLanguages((language) =>
+          renderScoreboard(scoreboard, language),
+        );
+        message = translations[DEFAULT_LANGUAGE];
+
+        const result = await sendTelegramMessage.execute!({
+          context: { message, translations },
+          runtimeContext,
+          mastra,
+        });
+        scoreboardSent = result.success;
+
+        logger?.info("📊 [sendDailyScoreboard] Scoreboard sent", {
+          day,
+          recipients: result.recipients,
+          sent: result.sent,
+          failed: result.failed,
+        });
+      } finally {
+        // Released on failure so the next run retries the day
+        await finishScoreboardDay(client, day, scoreboardSent ? message : null);
+      }
+    } catch (error: any) {
+      logger?.error("❌ [sendDailyScoreboard] Error sending scoreboard", {
+        error: error.message,
+      });
+    } finally {
+      await client.end();
+    }
+
+    return { ...inputData, scoreboardSent };
+  },
+});
+
 const monitorLiveMatches = createStep({
   id: "monitor-live-matches",
   description: "Monitors live football matches and sends alerts for high-pressure situations",
 
-  inputSchema: z.object({
-    isMidnight: z.boolean(),
-    analysisRun: z.boolean(),
-    analysisReport: z.string().optional(),
-  }),
+  inputSchema: scoreboardResultSchema,
 
   outputSchema: z.object({
     fixturesChecked: z.number(),
@@ -91,45 +205,25 @@ const monitorLiveMatches = createStep({
     summary: z.string(),
   }),
 
-  execute: async ({ inputData, mastra }) => {
+  execute: async ({ mastra, runtimeContext }: StepParams) => {
     const logger = mastra?.getLogger();
     logger?.info("🔧 [monitorLiveMatches] Starting execution");
 
     try {
-      const agentResponse = await footballMonitorAgent.generateLegacy([
-        {
-          role: "user",
-          content: `Monitor live football matches and send alerts for high-probability goal situations:
-
-1. Use getCurrentThresholds tool to get the current adaptive thresholds
-2. Use fetchLiveFixtures tool to get all live matches
-3. For each live match:
-   a. Use getFixtureStats tool to get detailed statistics
-   b. Use calculatePressure tool to compute pressure metrics
-   c. Get the current goal count from the fixture (homeGoals + awayGoals)
-   d. Evaluate if alert should be sent based on current thresholds:
-      - Total pressure >= threshold_total
-      - Pressure difference >= threshold_diff AND shots on goal >= 2
-      - Corners >= escanteios_10min threshold
-   e. If alert criteria met:
-      - Format a beautiful Telegram message with match details, pressure metrics, and recommendation
-      - Use sendTelegramMessage tool to send alert
-      - Use storeAlert tool to save the prediction to database (IMPORTANT: include goalsAtAlert parameter with current goal count)
-4. Use verifyGoalOutcomes tool to check alerts older than 10 minutes and update their goal_happened status
-
-Provide a brief summary of monitoring results.`,
-        },
-      ]);
+      const result = await runMonitorCycle({ mastra, runtimeContext });
 
       logger?.info("✅ [monitorLiveMatches] Monitoring completed", {
-        responseLength: agentResponse.text.length,
+        fixturesChecked: result.fixturesChecked,
+        alertsSent: result.alertsSent,
+        alertsVerified: result.alertsVerified,
+        errors: result.errors,
       });
 
       return {
-        fixturesChecked: 0,
-        alertsSent: 0,
+        fixturesChecked: result.fixturesChecked,
+        alertsSent: result.alertsSent,
         success: true,
-        summary: agentResponse.text,
+        summary: result.summary,
       };
     } catch (error: any) {
       logger?.error("❌ [monitorLiveMatches] Error monitoring matches", {
@@ -157,5 +251,6 @@ export const footballMonitorWorkflow = createWorkflow({
   }),
 })
   .then(checkMidnightAndRunAnalysis)
+  .then(sendDailyScoreboard)
   .then(monitorLiveMatches)
   .commit();
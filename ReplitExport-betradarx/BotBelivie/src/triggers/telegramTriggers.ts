@@ -1,3 +1,4 @@
+import { timingSafeEqual } from "node:crypto";
 import type { ContentfulStatusCode } from "hono/utils/http-status";
 
 import { registerApiRoute } from "../mastra/inngest";
@@ -9,6 +10,29 @@ if (!process.env.TELEGRAM_BOT_TOKEN) {
   );
 }
 
+if (!process.env.TELEGRAM_WEBHOOK_SECRET) {
+  console.warn(
+    "TELEGRAM_WEBHOOK_SECRET is not set, so Telegram webhook requests are accepted without a secret token. Set it and register the webhook with `npm run telegram:webhook`.",
+  );
+}
+
+// Sent by Telegram with the secret_token the webhook was registered with
+const SECRET_TOKEN_HEADER = "X-Telegram-Bot-Api-Secret-Token";
+
+/**
+ * Whether a webhook request carries TELEGRAM_WEBHOOK_SECRET. Without a
+ * configured secret every request is accepted.
+ */
+function hasWebhookSecret(received: string | undefined): boolean {
+  const expected = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!expected) return true;
+  if (!received) return false;
+
+  const a = Buffer.from(received);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
 export type TriggerInfoTelegramOnNewMessage = {
   type: "telegram/message";
   params: {
@@ -18,15 +42,24 @@ export type TriggerInfoTelegramOnNewMessage = {
   payload: any;
 };
 
+export type TriggerInfoTelegramOnCallbackQuery = {
+  type: "telegram/callback_query";
+  params: {
+    userName: string;
+    data: string;
+  };
+  payload: any;
+};
+
+export type TriggerInfoTelegram =
+  TriggerInfoTelegramOnNewMessage | TriggerInfoTelegramOnCallbackQuery;
+
 export function registerTelegramTrigger({
   triggerType,
   handler,
 }: {
   triggerType: string;
-  handler: (
-    mastra: Mastra,
-    triggerInfo: TriggerInfoTelegramOnNewMessage,
-  ) => Promise<void>;
+  handler: (mastra: Mastra, triggerInfo: TriggerInfoTelegram) => Promise<void>;
 }) {
   return [
     registerApiRoute("/webhooks/telegram/action", {
@@ -34,19 +67,43 @@ export function registerTelegramTrigger({
       handler: async (c) => {
         const mastra = c.get("mastra");
         const logger = mastra.getLogger();
+
+        // Rejected before the body is read, so forged updates never reach a handler
+        if (!hasWebhookSecret(c.req.header(SECRET_TOKEN_HEADER))) {
+          logger?.warn(
+            "🚫 [Telegram] Rejected request without the webhook secret",
+          );
+          return c.text("Unauthorized", 401);
+        }
+
         try {
           const payload = await c.req.json();
 
           logger?.info("📝 [Telegram] payload", payload);
 
-          await handler(mastra, {
-            type: triggerType,
-            params: {
-              userName: payload.message.from.username,
-              message: payload.message.text,
-            },
-            payload,
-          } as TriggerInfoTelegramOnNewMessage);
+          if (payload.callback_query) {
+            // Inline keyboard button presses
+            await handler(mastra, {
+              type: "telegram/callback_query",
+              params: {
+                userName: payload.callback_query.from?.username,
+                data: payload.callback_query.data ?? "",
+              },
+              payload,
+            } as TriggerInfoTelegramOnCallbackQuery);
+          } else if (typeof payload.message?.text === "string") {
+            await handler(mastra, {
+              type: triggerType,
+              params: {
+                userName: payload.message.from?.username,
+                message: payload.message.text,
+              },
+              payload,
+            } as TriggerInfoTelegramOnNewMessage);
+          } else {
+            // Edits, joins, media without text and other update types
+            logger?.info("⏭️ [Telegram] Ignoring update without text");
+          }
 
           return c.text("OK", 200);
         } catch (error) {